@@ -13,7 +13,7 @@
  * permissions and limitations under the License.
  */
 
-define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
+define(['exports', 'jquery', 'underscore', 'oae.api.cache', 'oae.api.error', 'oae.api.util'], function(exports, $, _, cacheAPI, errorAPI, utilAPI) {
 
 
     /////////////
@@ -32,8 +32,9 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
      * @param  {Function}       [callback]                          Standard callback method
      * @param  {Object}         [callback.err]                      Error object containing error code and error message
      * @param  {Tenant}         [callback.tenant]                   A Tenant object representing the created tenant
+     * @return {Promise}                                            When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      */
-    var createTenant = exports.createTenant = function(alias, displayName, host, opts, callback) {
+    var createTenant = exports.createTenant = utilAPI.promisify(function(alias, displayName, host, opts, callback) {
         if (!alias) {
             throw new Error('A tenant alias should be provided');
         } else if (!displayName) {
@@ -71,10 +72,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Get a tenant by alias
@@ -83,8 +84,9 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
      * @param  {Function}    callback           Standard callback method
      * @param  {Object}      callback.err       Error object containing error code and error message
      * @param  {Tenant}      callback.tenant    The requested tenant
+     * @return {Promise}                        When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      */
-    var getTenant = exports.getTenant = function(alias, callback) {
+    var getTenant = exports.getTenant = utilAPI.promisify(function(alias, callback) {
         var url = '/api/tenant';
         if (alias) {
             url += '/' + alias;
@@ -96,10 +98,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
 
     /////////////////////
@@ -123,9 +125,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
      * @param  {Function}       [callback]                          Standard callback function
      * @param  {Object}         [callback.err]                      Error object containing error code and error message
      * @param  {User}           [callback.user]                     The created user
+     * @return {Promise}                                            When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                              Error thrown when not all of the required parameters have been provided
      */
-    var createUser = exports.createUser = function(tenantAlias, username, password, displayName, email, additionalOptions, callback) {
+    var createUser = exports.createUser = utilAPI.promisify(function(tenantAlias, username, password, displayName, email, additionalOptions, callback) {
         if (!username) {
             throw new Error('A username should be provided');
         } else if (!password) {
@@ -166,10 +169,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Create a new global administrator with an internal login strategy
@@ -184,9 +187,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
      * @param  {Function}       [callback]                          Standard callback function
      * @param  {Object}         [callback.err]                      Error object containing error code and error message
      * @param  {User}           [callback.user]                     The created global administrator user
+     * @return {Promise}                                            When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                              Error thrown when not all of the required parameters have been provided
      */
-    var createGlobalAdminUser = exports.createGlobalAdminUser = function(username, password, displayName, email, additionalOptions, callback) {
+    var createGlobalAdminUser = exports.createGlobalAdminUser = utilAPI.promisify(function(username, password, displayName, email, additionalOptions, callback) {
         if (!username) {
             throw new Error('A username should be provided');
         } else if (!password) {
@@ -220,10 +224,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Create a new tenant administrator with an internal login strategy
@@ -239,9 +243,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
      * @param  {Function}       [callback]                          Standard callback function
      * @param  {Object}         [callback.err]                      Error object containing error code and error message
      * @param  {User}           [callback.user]                     The created tenant administrator user
+     * @return {Promise}                                            When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                              Error thrown when not all of the required parameters have been provided
      */
-    var createTenantAdminUser = exports.createTenantAdminUser = function(tenantAlias, username, password, displayName, email, additionalOptions, callback) {
+    var createTenantAdminUser = exports.createTenantAdminUser = utilAPI.promisify(function(tenantAlias, username, password, displayName, email, additionalOptions, callback) {
         if (!username) {
             throw new Error('A username should be provided');
         } else if (!password) {
@@ -281,10 +286,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Update a user's basic profile
@@ -294,9 +299,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
      * @param  {Function}       [callback]          Standard callback function
      * @param  {Object}         [callback.err]      Error object containing error code and error message
      * @param  {User}           [callback.user]     The updated user profile
+     * @return {Promise}                            When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                              Error thrown when not all of the required parameters have been provided
      */
-    var updateUser = exports.updateUser = function(userId, params, callback) {
+    var updateUser = exports.updateUser = utilAPI.promisify(function(userId, params, callback) {
         if (!userId) {
             throw new Error('A valid user id should be provided');
         } else if (!params || _.keys(params).length === 0) {
@@ -311,13 +317,14 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
             'type': 'POST',
             'data': params,
             'success': function(data) {
+                cacheAPI.invalidate(userId);
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.statusText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Delete a user. The user will be marked as deleted but will still be accessible in the system
@@ -328,9 +335,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
      * @param  {String}         userId              User id of the user to delete
      * @param  {Function}       [callback]          Standard callback function
      * @param  {Object}         [callback.err]      Error object containing error code and error message
+     * @return {Promise}                            When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                              Error thrown when not all of the required parameters have been provided
      */
-    var deleteUser = exports.deleteUser = function(userId, callback) {
+    var deleteUser = exports.deleteUser = utilAPI.promisify(function(userId, callback) {
         if (!userId) {
             throw new Error('A valid user id should be provided');
         }
@@ -342,13 +350,14 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
             'url': '/api/user/' + userId,
             'type': 'DELETE',
             'success': function() {
+                cacheAPI.invalidate(userId);
                 callback();
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.statusText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Change the password of the specified user
@@ -357,9 +366,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
      * @param  {String}         newPassword           The user's new password
      * @param  {Function}       [callback]            Standard callback function
      * @param  {Object}         [callback.err]        Error object containing error code and error message
+     * @return {Promise}                              When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                Error thrown when not all of the required parameters have been provided
      */
-    var changePassword = exports.changePassword = function(userId, newPassword, callback) {
+    var changePassword = exports.changePassword = utilAPI.promisify(function(userId, newPassword, callback) {
         if (!userId) {
             throw new Error('A valid user id should be provided');
         } else if (!newPassword) {
@@ -379,10 +389,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
                 callback();
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
 
     //////////////////
@@ -397,9 +407,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
      * @param  {Boolean}        isGlobalAdminServer     Whether or not the user is on the global admin tenant
      * @param  {Function}       [callback]              Standard callback function
      * @param  {Object}         [callback.err]          Error object containing error code and error message
+     * @return {Promise}                                When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                  Error thrown when no user id has been specified
      */
-    var editPrivileges = exports.editPrivileges = function(userId, isAdmin, isGlobalAdminServer, callback) {
+    var editPrivileges = exports.editPrivileges = utilAPI.promisify(function(userId, isAdmin, isGlobalAdminServer, callback) {
         if (!userId) {
             throw new Error('A valid user id should be provided');
         }
@@ -419,13 +430,14 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
                 'admin': isAdmin
             },
             'success': function() {
+                cacheAPI.invalidate(userId);
                 callback();
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Retrieve the signed authentication request info that will allow the admin user
@@ -434,9 +446,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
      * @param  {String}         userId                The id of the user to become
      * @param  {Function}       [callback]            Standard callback function
      * @param  {Object}         [callback.err]        Error object containing error code and error message
+     * @return {Promise}                              When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                Error thrown when no user id has been provided
      */
-    var getSignedBecomeRequestInfo = exports.getSignedBecomeRequestInfo = function(userId, callback) {
+    var getSignedBecomeRequestInfo = exports.getSignedBecomeRequestInfo = utilAPI.promisify(function(userId, callback) {
         if (!userId) {
             throw new Error('A valid user id should be provided');
         }
@@ -454,10 +467,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
 
     /////////////////
@@ -469,8 +482,9 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
      *
      * @param  {Function}       [callback]              Standard callback function
      * @param  {Object}         [callback.err]          Error object containing error code and error message
+     * @return {Promise}                                When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      */
-    var reindexSearch = exports.reindexSearch = function(callback) {
+    var reindexSearch = exports.reindexSearch = utilAPI.promisify(function(callback) {
         // Set a default callback function in case no callback function has been provided
         callback = callback || function() {};
 
@@ -481,10 +495,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
                 callback(null);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Reprocess content previews
@@ -498,9 +512,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
      * @param  {String[]}    [reprocessParameters.revision_createdBy]         An array of user IDs for which to reprocess the content previews
      * @param  {Function}    [callback]                                       Standard callback function
      * @param  {Object}      [callback.err]                                   Error object containing error code and error message
+     * @return {Promise}                                                      When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                                        Error thrown when no valid content reprocessing parameters have been provided
      */
-    var reprocessPreviews = exports.reprocessPreviews = function(reprocessParameters, callback) {
+    var reprocessPreviews = exports.reprocessPreviews = utilAPI.promisify(function(reprocessParameters, callback) {
         if (!reprocessParameters || _.isEmpty(reprocessParameters)) {
             throw new Error('Valid reprocess parameters should be provided');
         }
@@ -516,9 +531,9 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
                 callback(null);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
 });
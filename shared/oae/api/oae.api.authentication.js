@@ -13,7 +13,7 @@
  * permissions and limitations under the License.
  */
 
-define(['exports', 'jquery', 'oae.api.config', 'oae.api.i18n', 'oae.api.user', 'oae.api.util'], function(exports, $, configAPI, i18nAPI, userAPI, utilAPI) {
+define(['exports', 'jquery', 'oae.api.config', 'oae.api.error', 'oae.api.i18n', 'oae.api.user', 'oae.api.util'], function(exports, $, configAPI, errorAPI, i18nAPI, userAPI, utilAPI) {
 
     var STRATEGY_CAS = exports.STRATEGY_CAS = 'cas';
     var STRATEGY_FACEBOOK = exports.STRATEGY_FACEBOOK = 'facebook';
@@ -105,9 +105,10 @@ define(['exports', 'jquery', 'oae.api.config', 'oae.api.i18n', 'oae.api.user', '
      * @param  {Function}   callback            Standard callback function
      * @param  {Object}     callback.err        Error object containing error code and error message
      * @param  {Object}     callback.loginIds   Hash object containing the user's login ids
+     * @return {Promise}                        When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                          Error thrown when not all of the required parameters have been provided
      */
-    var getAuthLoginIds = exports.getAuthLoginIds = function(userId, callback) {
+    var getAuthLoginIds = exports.getAuthLoginIds = utilAPI.promisify(function(userId, callback) {
         if (!userId) {
             throw new Error('A valid user id should be provided');
         }
@@ -119,10 +120,10 @@ define(['exports', 'jquery', 'oae.api.config', 'oae.api.i18n', 'oae.api.user', '
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Get the list of all enabled authentication strategies for the current tenant
@@ -291,9 +292,10 @@ define(['exports', 'jquery', 'oae.api.config', 'oae.api.i18n', 'oae.api.user', '
      * @param  {Function}       [callback]              Standard callback function
      * @param  {Object}         [callback.err]          Error object containing error code and error message
      * @param  {User}           [callback.user]         User object representing the logged in user
+     * @return {Promise}                                When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                  Error thrown when not all of the required parameters have been provided
      */
-    var localLogin = exports.localLogin = function(username, password, callback) {
+    var localLogin = exports.localLogin = utilAPI.promisify(function(username, password, callback) {
         if (!username) {
             throw new Error('A valid username should be provided');
         } else if (!password) {
@@ -314,15 +316,19 @@ define(['exports', 'jquery', 'oae.api.config', 'oae.api.i18n', 'oae.api.user', '
                 callback(null);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Log out of an internal user using the local authentication strategy
+     *
+     * @param  {Function}       [callback]              Standard callback function
+     * @param  {Object}         [callback.err]          Error object containing error code and error message
+     * @return {Promise}                                When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      */
-    var logout = exports.logout = function(callback) {
+    var logout = exports.logout = utilAPI.promisify(function(callback) {
         $.ajax({
             'url': '/api/auth/logout',
             'type': 'POST',
@@ -330,10 +336,10 @@ define(['exports', 'jquery', 'oae.api.config', 'oae.api.i18n', 'oae.api.user', '
                 callback(null);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Log in using the LDAP authentication strategy
@@ -343,9 +349,10 @@ define(['exports', 'jquery', 'oae.api.config', 'oae.api.i18n', 'oae.api.user', '
      * @param  {Function}       [callback]              Standard callback function
      * @param  {Object}         [callback.err]          Error object containing error code and error message
      * @param  {User}           [callback.user]         User object representing the logged in user
+     * @return {Promise}                                When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                  Error thrown when not all of the required parameters have been provided
      */
-    var LDAPLogin = exports.LDAPLogin = function(username, password, callback) {
+    var LDAPLogin = exports.LDAPLogin = utilAPI.promisify(function(username, password, callback) {
         if (!username) {
             throw new Error('A valid username should be provided');
         } else if (!password) {
@@ -366,10 +373,10 @@ define(['exports', 'jquery', 'oae.api.config', 'oae.api.i18n', 'oae.api.user', '
                 callback(null);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Change the password of the currently logged in user
@@ -378,9 +385,10 @@ define(['exports', 'jquery', 'oae.api.config', 'oae.api.i18n', 'oae.api.user', '
      * @param  {String}         newPassword           The user's new password
      * @param  {Function}       [callback]            Standard callback function
      * @param  {Object}         [callback.err]        Error object containing error code and error message
+     * @return {Promise}                              When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                Error thrown when no new or current password has been provided
      */
-    var changePassword = exports.changePassword = function(currentPassword, newPassword, callback) {
+    var changePassword = exports.changePassword = utilAPI.promisify(function(currentPassword, newPassword, callback) {
         if (!currentPassword) {
             throw new Error('A valid current password should be provided');
         } else if (!newPassword) {
@@ -400,8 +408,8 @@ define(['exports', 'jquery', 'oae.api.config', 'oae.api.i18n', 'oae.api.user', '
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 });
@@ -0,0 +1,230 @@
+/*!
+ * Copyright 2017 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
+
+    // Constant that defines how long (in milliseconds) a cached response for a resource type
+    // is considered to be fresh. Once an entry has expired, the next request for it will go
+    // through to the server again. Resource types that are not listed here will use the
+    // `DEFAULT_TTL`
+    var RESOURCE_TTLS = {
+        'content': 30000,
+        'discussion': 30000,
+        'folder': 30000,
+        'group': 60000,
+        'meeting': 30000,
+        'user': 60000
+    };
+
+    // Time in milliseconds during which a cached response for a resource type without a
+    // configured TTL is considered to be fresh
+    var DEFAULT_TTL = 30000;
+
+    // Variable that keeps track of all of the cached responses. The entries are keyed by
+    // `<resourceType>#<resourceId>` and are stored in the following way:
+    //
+    //   {
+    //      '<resourceType>#<resourceId>': {
+    //          'resourceId': '<resourceId>',
+    //          'data': <Cached response>,
+    //          'expires': <Timestamp in milliseconds after which the entry is no longer fresh>
+    //      },
+    //      ...
+    //   }
+    var entries = {};
+
+    // Variable that keeps track of the requests that are currently in flight. When a resource is
+    // requested while a request for that same resource is still pending, the caller will be added
+    // as a listener to the pending request rather than triggering a new request. The requests
+    // are stored in the following way:
+    //
+    //   {
+    //      '<resourceType>#<resourceId>': {
+    //          'resourceId': '<resourceId>',
+    //          'stale': <Whether or not the resource was invalidated whilst the request was in flight>,
+    //          'callbacks': [<callback>, ...]
+    //      },
+    //      ...
+    //   }
+    var inFlight = {};
+
+    /**
+     * Get a resource through the cache. When a fresh cached copy of the resource is available,
+     * it will be returned straight away. When a request for the resource is already in flight,
+     * the callback will be invoked when that request completes. In all other cases, the provided
+     * fetch function will be used to retrieve the resource from the server. Errors are never cached.
+     *
+     * Every caller will receive its own copy of the cached resource to avoid modifications by one
+     * caller leaking into the data received by other callers.
+     *
+     * @param  {String}         resourceType            The type of the resource that is being retrieved (e.g. `content`, `user`). This determines how long the response will be cached for
+     * @param  {String}         resourceId              The id of the resource that is being retrieved
+     * @param  {Function}       fetch                   Function that retrieves the resource from the server when no cached copy is available
+     * @param  {Function}       fetch.callback          Standard callback function that should be invoked by the fetch function
+     * @param  {Object}         fetch.callback.err      Error object containing error code and error message
+     * @param  {Object}         fetch.callback.data     The retrieved resource
+     * @param  {Function}       callback                Standard callback function
+     * @param  {Object}         callback.err            Error object containing error code and error message
+     * @param  {Object}         callback.data           The requested resource
+     * @throws {Error}                                  Error thrown when not all of the required parameters have been provided
+     */
+    var get = exports.get = function(resourceType, resourceId, fetch, callback) {
+        if (!resourceType) {
+            throw new Error('A valid resource type should be provided');
+        } else if (!resourceId) {
+            throw new Error('A valid resource id should be provided');
+        } else if (!_.isFunction(fetch)) {
+            throw new Error('A valid fetch function should be provided');
+        }
+
+        var key = getKey(resourceType, resourceId);
+
+        // Return a copy of the cached resource when it is still fresh. The callback is
+        // deferred to ensure that a cached response is delivered asynchronously, just
+        // like a response coming from the server would be
+        var entry = entries[key];
+        if (entry && entry.expires > Date.now()) {
+            return _.defer(callback, null, copy(entry.data));
+        } else if (entry) {
+            delete entries[key];
+        }
+
+        // When a request for this resource is already in flight, wait for it to complete
+        if (inFlight[key]) {
+            inFlight[key].callbacks.push(callback);
+            return;
+        }
+
+        inFlight[key] = {
+            'resourceId': resourceId,
+            'stale': false,
+            'callbacks': [callback]
+        };
+
+        fetch(function(err, data) {
+            var request = inFlight[key];
+            delete inFlight[key];
+
+            // Only cache successful responses for resources that haven't been
+            // invalidated whilst the request was in flight
+            if (!err && !request.stale) {
+                entries[key] = {
+                    'resourceId': resourceId,
+                    'data': data,
+                    'expires': Date.now() + (RESOURCE_TTLS[resourceType] || DEFAULT_TTL)
+                };
+            }
+
+            _.each(request.callbacks, function(requestCallback) {
+                if (err) {
+                    requestCallback(err);
+                } else {
+                    requestCallback(null, copy(data));
+                }
+            });
+        });
+    };
+
+    /**
+     * Invalidate all cached responses for one or more resources. Requests for these resources that
+     * are in flight at the time of invalidation will still be delivered to their callers, but their
+     * responses will not be cached.
+     *
+     * @param  {String|String[]}    resourceIds     The id(s) of the resource(s) for which to invalidate the cached responses
+     */
+    var invalidate = exports.invalidate = function(resourceIds) {
+        resourceIds = _.compact(_.isArray(resourceIds) ? resourceIds : [resourceIds]);
+        if (_.isEmpty(resourceIds)) {
+            return;
+        }
+
+        _.each(entries, function(entry, key) {
+            if (_.contains(resourceIds, entry.resourceId)) {
+                delete entries[key];
+            }
+        });
+
+        _.each(inFlight, function(request) {
+            if (_.contains(resourceIds, request.resourceId)) {
+                request.stale = true;
+            }
+        });
+    };
+
+    /**
+     * Invalidate the cached responses for all of the entities referenced by a set of activities.
+     * This is used to ensure that resources that have been changed by another user are retrieved
+     * from the server again when they are next requested. Both activities in the `internal` and the
+     * `activitystreams` format are supported.
+     *
+     * @param  {Activity[]}     activities      The activities for which the referenced entities should be invalidated
+     */
+    var invalidateActivities = exports.invalidateActivities = function(activities) {
+        var resourceIds = [];
+        _.each(activities, function(activity) {
+            _.each([activity.object, activity.target], function(entity) {
+                if (!entity) {
+                    return;
+                }
+
+                // Aggregated entities will be wrapped into a collection
+                var collection = entity['oae:collection'] || [entity];
+                _.each(collection, function(collectionEntity) {
+                    resourceIds.push(collectionEntity['oae:id'] || collectionEntity.id);
+                });
+            });
+        });
+
+        invalidate(resourceIds);
+    };
+
+    /**
+     * Remove all cached responses
+     */
+    var clear = exports.clear = function() {
+        entries = {};
+        _.each(inFlight, function(request) {
+            request.stale = true;
+        });
+    };
+
+    /**
+     * Get the key under which a resource is cached
+     *
+     * @param  {String}     resourceType    The type of the resource
+     * @param  {String}     resourceId      The id of the resource
+     * @return {String}                     The key under which the resource is cached
+     * @api private
+     */
+    var getKey = function(resourceType, resourceId) {
+        return resourceType + '#' + resourceId;
+    };
+
+    /**
+     * Create a deep copy of a cached response
+     *
+     * @param  {Object|Array}   data    The cached response to copy
+     * @return {Object|Array}           A deep copy of the cached response
+     * @api private
+     */
+    var copy = function(data) {
+        if (_.isArray(data)) {
+            return $.extend(true, [], data);
+        } else if (_.isObject(data)) {
+            return $.extend(true, {}, data);
+        }
+        return data;
+    };
+});
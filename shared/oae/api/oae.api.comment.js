@@ -13,7 +13,18 @@
  * permissions and limitations under the License.
  */
 
-define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
+define(['exports', 'jquery', 'underscore', 'oae.api.error', 'oae.api.queue', 'oae.api.util'], function(exports, $, _, errorAPI, queueAPI, utilAPI) {
+
+    // The reactions that can be added to a comment, keyed by the id of the reaction. The value is the
+    // emoji that represents the reaction. Reactions are shown in the order in which they are listed here
+    var REACTIONS = exports.REACTIONS = {
+        'thumbsup': '\ud83d\udc4d',
+        'heart': '\u2764\ufe0f',
+        'laugh': '\ud83d\ude04',
+        'tada': '\ud83c\udf89',
+        'thinking': '\ud83e\udd14',
+        'eyes': '\ud83d\udc40'
+    };
 
     /**
      * Gets the comments for a particular resource (content item, discussion, etc.)
@@ -27,9 +38,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
      * @param  {Object}       callback.comments            Response object containing the resource comments and nextToken
      * @param  {Comment[]}    callback.comments.results    Array of comments on the resource
      * @param  {String}       callback.comments.nextToken  The value to provide in the `start` parameter to get the next set of results
+     * @return {Promise}                                   When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                     Error thrown when not all of the required parameters have been provided
      */
-    var getComments = exports.getComments = function(resourceId, resourceType, start, limit, callback) {
+    var getComments = exports.getComments = utilAPI.promisify(function(resourceId, resourceType, start, limit, callback) {
         if (!resourceId) {
             throw new Error('A valid resource id should be provided');
         } else if (!resourceType) {
@@ -48,10 +60,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Create a comment on a resource or reply to an existing comment.
@@ -63,9 +75,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
      * @param  {Function}     [callback]            Standard callback function
      * @param  {Object}       [callback.err]        Error object containing error code and error message
      * @param  {Comment}      [callback.comment]    Comment object representing the created comment
+     * @return {Promise}                            When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                              Error thrown when not all of the required parameters have been provided
      */
-    var createComment = exports.createComment = function(resourceId, resourceType, body, replyTo, callback) {
+    var createComment = exports.createComment = utilAPI.promisify(function(resourceId, resourceType, body, replyTo, callback) {
         if (!resourceId) {
             throw new Error('A valid resource id should be provided');
         } else if (!resourceType) {
@@ -82,18 +95,55 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
             'replyTo': replyTo
         };
 
-        $.ajax({
+        queueAPI.ajax({
             'url': '/api/' + resourceType + '/' + resourceId + '/messages',
             'type': 'POST',
             'data': data,
-            'success': function(data) {
-                callback(null, data);
+            'resourceId': resourceId
+        }, callback);
+    });
+
+    /**
+     * Update the body of an existing comment on a resource
+     *
+     * @param  {String}       resourceId            Id of the resource on which the comment was made
+     * @param  {String}       resourceType          Type of resource on which the comment was made (e.g. 'content', 'discussion', etc.)
+     * @param  {String}       commentId             The id of the comment to update
+     * @param  {String}       body                  The new body of the comment
+     * @param  {Function}     [callback]            Standard callback function
+     * @param  {Object}       [callback.err]        Error object containing error code and error message
+     * @param  {Comment}      [callback.comment]    Comment object representing the updated comment. The `lastModified` property of the comment will be set to the time at which the comment was edited
+     * @return {Promise}                            When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
+     * @throws {Error}                              Error thrown when not all of the required parameters have been provided
+     */
+    var updateComment = exports.updateComment = utilAPI.promisify(function(resourceId, resourceType, commentId, body, callback) {
+        if (!resourceId) {
+            throw new Error('A valid resource id should be provided');
+        } else if (!resourceType) {
+            throw new Error('A valid resource type should be provided');
+        } else if (!commentId) {
+            throw new Error('A comment id should be provided');
+        } else if (!body) {
+            throw new Error('A comment should be provided');
+        }
+
+        // Set a default callback function in case no callback function has been provided
+        callback = callback || function() {};
+
+        $.ajax({
+            'url': '/api/' + resourceType + '/' + resourceId + '/messages/' + commentId,
+            'type': 'POST',
+            'data': {
+                'body': body
+            },
+            'success': function(comment) {
+                callback(null, comment);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Delete an existing comment from a resource
@@ -104,9 +154,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
      * @param  {Function}     [callback]                Standard callback function
      * @param  {Object}       [callback.err]            Error object containing error code and error message
      * @param  {Object}       [callback.softDeleted]    If the comment is not deleted, but instead flagged as deleted because it has replies, this will return a stripped down comment object representing the deleted comment, with the `deleted` property set to `true`. If the comment has been properly deleted, no comment will be returned.
+     * @return {Promise}                                When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                  Error thrown when not all of the required parameters have been provided
      */
-    var deleteComment = exports.deleteComment = function(resourceId, resourceType, commentId, callback) {
+    var deleteComment = exports.deleteComment = utilAPI.promisify(function(resourceId, resourceType, commentId, callback) {
         if (!resourceId) {
             throw new Error('A valid resource id should be provided');
         } else if (!resourceType) {
@@ -125,9 +176,91 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
                 callback(null, softDeleted);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
+
+    /**
+     * Add a reaction to an existing comment on a resource. Every user can add each of the available reactions
+     * to a comment once
+     *
+     * @param  {String}       resourceId            Id of the resource on which the comment was made
+     * @param  {String}       resourceType          Type of resource on which the comment was made (e.g. 'content', 'discussion', etc.)
+     * @param  {String}       commentId             The id of the comment to react to
+     * @param  {String}       reaction              The id of the reaction to add. One of the keys of `REACTIONS`
+     * @param  {Function}     [callback]            Standard callback function
+     * @param  {Object}       [callback.err]        Error object containing error code and error message
+     * @param  {Comment}      [callback.comment]    Comment object representing the comment the reaction was added to. The `reactions` property of the comment contains the users that reacted to the comment, keyed by reaction
+     * @return {Promise}                            When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
+     * @throws {Error}                              Error thrown when not all of the required parameters have been provided
+     */
+    var addReaction = exports.addReaction = utilAPI.promisify(function(resourceId, resourceType, commentId, reaction, callback) {
+        if (!resourceId) {
+            throw new Error('A valid resource id should be provided');
+        } else if (!resourceType) {
+            throw new Error('A valid resource type should be provided');
+        } else if (!commentId) {
+            throw new Error('A comment id should be provided');
+        } else if (!_.has(REACTIONS, reaction)) {
+            throw new Error('A valid reaction should be provided');
+        }
+
+        // Set a default callback function in case no callback function has been provided
+        callback = callback || function() {};
+
+        $.ajax({
+            'url': '/api/' + resourceType + '/' + resourceId + '/messages/' + commentId + '/reactions',
+            'type': 'POST',
+            'data': {
+                'reaction': reaction
+            },
+            'success': function(comment) {
+                callback(null, comment);
+            },
+            'error': function(jqXHR, textStatus) {
+                callback(errorAPI.createError(jqXHR, this.url));
+            }
+        });
+    });
+
+    /**
+     * Remove a reaction the current user has added to an existing comment on a resource
+     *
+     * @param  {String}       resourceId            Id of the resource on which the comment was made
+     * @param  {String}       resourceType          Type of resource on which the comment was made (e.g. 'content', 'discussion', etc.)
+     * @param  {String}       commentId             The id of the comment from which to remove the reaction
+     * @param  {String}       reaction              The id of the reaction to remove. One of the keys of `REACTIONS`
+     * @param  {Function}     [callback]            Standard callback function
+     * @param  {Object}       [callback.err]        Error object containing error code and error message
+     * @param  {Comment}      [callback.comment]    Comment object representing the comment the reaction was removed from
+     * @return {Promise}                            When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
+     * @throws {Error}                              Error thrown when not all of the required parameters have been provided
+     */
+    var removeReaction = exports.removeReaction = utilAPI.promisify(function(resourceId, resourceType, commentId, reaction, callback) {
+        if (!resourceId) {
+            throw new Error('A valid resource id should be provided');
+        } else if (!resourceType) {
+            throw new Error('A valid resource type should be provided');
+        } else if (!commentId) {
+            throw new Error('A comment id should be provided');
+        } else if (!_.has(REACTIONS, reaction)) {
+            throw new Error('A valid reaction should be provided');
+        }
+
+        // Set a default callback function in case no callback function has been provided
+        callback = callback || function() {};
+
+        $.ajax({
+            'url': '/api/' + resourceType + '/' + resourceId + '/messages/' + commentId + '/reactions/' + reaction,
+            'type': 'DELETE',
+            'success': function(comment) {
+                callback(null, comment);
+            },
+            'error': function(jqXHR, textStatus) {
+                callback(errorAPI.createError(jqXHR, this.url));
+            }
+        });
+    });
 
 });
@@ -13,7 +13,7 @@
  * permissions and limitations under the License.
  */
 
-define(['exports', 'jquery'], function(exports, $) {
+define(['exports', 'jquery', 'oae.api.error'], function(exports, $, errorAPI) {
 
     // Variable that will be used to cache the config values set for the current tenant
     var config = null;
@@ -33,7 +33,7 @@ define(['exports', 'jquery'], function(exports, $) {
                 callback(null);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
     };
@@ -13,7 +13,7 @@
  * permissions and limitations under the License.
  */
 
-define(['exports', 'jquery', 'underscore', 'oae.api.i18n', 'mimetypes'], function(exports, $, _, i18nAPI, MimeTypes) {
+define(['exports', 'jquery', 'underscore', 'oae.api.cache', 'oae.api.error', 'oae.api.i18n', 'oae.api.queue', 'oae.api.util', 'mimetypes'], function(exports, $, _, cacheAPI, errorAPI, i18nAPI, queueAPI, utilAPI, MimeTypes) {
 
     /**
      * Get a full content profile
@@ -22,23 +22,26 @@ define(['exports', 'jquery', 'underscore', 'oae.api.i18n', 'mimetypes'], functio
      * @param  {Function}     callback            Standard callback function
      * @param  {Object}       callback.err        Error object containing error code and error message
      * @param  {Content}      callback.content    Content object representing the retrieved content
+     * @return {Promise}                          When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                            Error thrown when no content id has been provided
      */
-    var getContent = exports.getContent = function(contentId, callback) {
+    var getContent = exports.getContent = utilAPI.promisify(function(contentId, callback) {
         if (!contentId) {
             throw new Error('A valid content id should be provided');
         }
 
-        $.ajax({
-            'url': '/api/content/' + contentId,
-            'success': function(data) {
-                callback(null, data);
-            },
-            'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
-            }
-        });
-    };
+        cacheAPI.get('content', contentId, function(fetchCallback) {
+            $.ajax({
+                'url': '/api/content/' + contentId,
+                'success': function(data) {
+                    fetchCallback(null, data);
+                },
+                'error': function(jqXHR, textStatus) {
+                    fetchCallback(errorAPI.createError(jqXHR, this.url));
+                }
+            });
+        }, callback);
+    });
 
     /**
      * Get a specific revision
@@ -48,9 +51,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.i18n', 'mimetypes'], functio
      * @param  {Function}     callback            Standard callback function
      * @param  {Object}       callback.err        Error object containing error code and error message
      * @param  {Content}      callback.content    Content object representing the retrieved content
+     * @return {Promise}                          When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                            Error thrown when no content id has been provided
      */
-    var getRevision = exports.getRevision = function(contentId, revisionId, callback) {
+    var getRevision = exports.getRevision = utilAPI.promisify(function(contentId, revisionId, callback) {
         if (!contentId) {
             throw new Error('A valid content id should be provided');
         }
@@ -64,10 +68,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.i18n', 'mimetypes'], functio
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Create a new link
@@ -82,9 +86,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.i18n', 'mimetypes'], functio
      * @param  {Function}       [callback]          Standard callback function
      * @param  {Object}         [callback.err]      Error object containing error code and error message
      * @param  {Content}        [callback.content]  Content object representing the created link
+     * @return {Promise}                            When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                              Error thrown when not all of the required parameters have been provided
      */
-    var createLink = exports.createLink = function(displayName, description, visibility, link, managers, viewers, folders, callback) {
+    var createLink = exports.createLink = utilAPI.promisify(function(displayName, description, visibility, link, managers, viewers, folders, callback) {
         if (!displayName) {
             throw new Error('A valid link name should be provided');
         } else if (!link) {
@@ -113,13 +118,14 @@ define(['exports', 'jquery', 'underscore', 'oae.api.i18n', 'mimetypes'], functio
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
-     * Create a new file
+     * Create a new file. The upload can be paused, resumed and cancelled through the returned upload object. As the
+     * file is uploaded in a single request, a paused upload will start over when it is resumed
      *
      * @param  {String}             displayName         Display title for the created file
      * @param  {String}             [description]       The file's description
@@ -132,9 +138,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.i18n', 'mimetypes'], functio
      * @param  {Function}           [callback]          Standard callback function
      * @param  {Object}             [callback.err]      Error object containing error code and error message
      * @param  {Content}            [callback.content]  Content object representing the created file
+     * @return {Upload|Promise}                         When a callback function has been provided, an upload object that can be used to pause, resume or cancel the upload. When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                  Error thrown when not all of the required parameters have been provided
      */
-    var createFile = exports.createFile = function(displayName, description, visibility, $fileUploadField, file, managers, viewers, folders, callback) {
+    var createFile = exports.createFile = utilAPI.promisify(function(displayName, description, visibility, $fileUploadField, file, managers, viewers, folders, callback) {
         if (!displayName) {
             throw new Error('A valid file name should be provided');
         } else if (!$fileUploadField) {
@@ -171,37 +178,22 @@ define(['exports', 'jquery', 'underscore', 'oae.api.i18n', 'mimetypes'], functio
             data.push({'name': 'folders', 'value': folder});
         });
 
-        $($fileUploadField).fileupload('send', {
-            'files': [file],
-            'formData': data,
-            'success': function(data) {
-                // The response will return as text/plain to avoid IE9 trying to download
-                // the response when using the iFrame fallback upload solution
-
-                // In IE9 the response is a jQuery object. In this case we have
-                // to extract the data found in the inner pre tag.
-                if (data instanceof $) {
-                    data = data.find('pre').text();
-                }
-                callback(null, JSON.parse(data));
-            },
-            'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
-            }
-        });
-    };
+        return sendFile($fileUploadField, file, data, callback);
+    });
 
     /**
-     * Upload a new version of a file
+     * Upload a new version of a file. The file is uploaded in the same way as when creating a new file, to the URL the
+     * file upload field has been initialised with
      *
      * @param  {Element|String}     $fileUploadField    jQuery element or selector for that jQuery element representing the file upload form field that has been used to initialise jQuery.fileupload
      * @param  {Object}             file                jQuery.fileUpload object that was returned when selecting the file that needed to be uploaded
      * @param  {Function}           [callback]          Standard callback function
      * @param  {Object}             [callback.err]      Error object containing error code and error message
      * @param  {Content}            [callback.content]  Content object representing the updated content
+     * @return {Upload|Promise}                         When a callback function has been provided, an upload object that can be used to pause, resume or cancel the upload. When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                  Error thrown when not all of the required parameters have been provided
      */
-    var uploadNewVersion = exports.uploadNewVersion = function($fileUploadField, file, callback) {
+    var uploadNewVersion = exports.uploadNewVersion = utilAPI.promisify(function($fileUploadField, file, callback) {
         if (!$fileUploadField) {
             throw new Error('A valid jquery.fileUpload container should be provided');
         } else if (!file) {
@@ -211,24 +203,15 @@ define(['exports', 'jquery', 'underscore', 'oae.api.i18n', 'mimetypes'], functio
         // Set a default callback function in case no callback function has been provided
         callback = callback || function() {};
 
-        $($fileUploadField).fileupload('send', {
-            'files': [file],
-            'success': function(data) {
-                // The response will return as text/plain to avoid IE9 trying to download
-                // the response when using the iFrame fallback upload solution
-
-                // In IE9 the response is a jQuery object. In this case we have
-                // to extract the data found in the inner pre tag.
-                if (data instanceof $) {
-                    data = data.find('pre').text();
-                }
-                callback(null, JSON.parse(data));
-            },
-            'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+        return sendFile($fileUploadField, file, [], function(err, content) {
+            if (err) {
+                return callback(err);
             }
+
+            cacheAPI.invalidate(content.id);
+            callback(null, content);
         });
-    };
+    });
 
     /**
      * Create a new collaborative document
@@ -243,9 +226,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.i18n', 'mimetypes'], functio
      * @param  {Function}     [callback]          Standard callback function
      * @param  {Object}       [callback.err]      Error object containing error code and error message
      * @param  {Content}      [callback.content]  Content object representing the created collaborative document
+     * @return {Promise}                          When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                            Error thrown when not all of the required parameters have been provided
      */
-    var createCollabDoc = exports.createCollabDoc = function(displayName, description, visibility, managers, editors, viewers, folders, callback) {
+    var createCollabDoc = exports.createCollabDoc = utilAPI.promisify(function(displayName, description, visibility, managers, editors, viewers, folders, callback) {
         if (!displayName) {
             throw new Error('A valid document name should be provided');
         }
@@ -272,10 +256,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.i18n', 'mimetypes'], functio
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Restore a revision. The restored revision will become the content item's current revision, and will have the same content as that revision.
@@ -286,9 +270,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.i18n', 'mimetypes'], functio
      * @param  {Function}     [callback]            Standard callback function
      * @param  {Object}       [callback.err]        Error object containing error code and error message
      * @param  {Revision}     [callback.revision]   Revision object representing the restored revision
+     * @return {Promise}                            When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                              Error thrown when not all of the required parameters have been provided
      */
-    var restoreRevision = exports.restoreRevision = function(contentId, revisionId, callback) {
+    var restoreRevision = exports.restoreRevision = utilAPI.promisify(function(contentId, revisionId, callback) {
         if (!contentId) {
             throw new Error('A valid content id should be provided');
         } else if (!revisionId) {
@@ -302,13 +287,14 @@ define(['exports', 'jquery', 'underscore', 'oae.api.i18n', 'mimetypes'], functio
             'url': '/api/content/' + contentId + '/revisions/' + revisionId + '/restore',
             'type': 'POST',
             'success': function(data) {
+                cacheAPI.invalidate(contentId);
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Update a content item's metadata
@@ -318,9 +304,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.i18n', 'mimetypes'], functio
      * @param  {Function}     [callback]          Standard callback function
      * @param  {Object}       [callback.err]      Error object containing error code and error message
      * @param  {Content}      [callback.data]     Content object representing the updated content
+     * @return {Promise}                          When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                            Error thrown when not all of the required parameters have been provided
      */
-    var updateContent = exports.updateContent = function(contentId, params, callback) {
+    var updateContent = exports.updateContent = utilAPI.promisify(function(contentId, params, callback) {
         if (!contentId) {
             throw new Error('A valid content id should be provided');
         } else if (!params || _.keys(params).length === 0) {
@@ -330,18 +317,20 @@ define(['exports', 'jquery', 'underscore', 'oae.api.i18n', 'mimetypes'], functio
         // Set a default callback function in case no callback function has been provided
         callback = callback || function() {};
 
-        $.ajax({
+        queueAPI.ajax({
             'url': '/api/content/' + contentId,
             'type': 'POST',
             'data': params,
-            'success': function(data) {
-                callback(null, data);
-            },
-            'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+            'resourceId': contentId
+        }, function(err, data) {
+            if (err) {
+                return callback(err);
             }
+
+            cacheAPI.invalidate(contentId);
+            callback(null, data);
         });
-    };
+    });
 
     /**
      * Permanently delete a piece of content from the system
@@ -349,9 +338,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.i18n', 'mimetypes'], functio
      * @param  {String}        contentId             Id of the content item we're trying to delete
      * @param  {Function}      [callback]            Standard callback function
      * @param  {Object}        [callback.err]        Error object containing error code and error message
+     * @return {Promise}                             When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                               Error thrown when no valid content id has been provided
      */
-    var deleteContent = exports.deleteContent = function(contentId, callback) {
+    var deleteContent = exports.deleteContent = utilAPI.promisify(function(contentId, callback) {
         if (!contentId) {
             throw new Error('A valid content id should be provided');
         }
@@ -363,13 +353,14 @@ define(['exports', 'jquery', 'underscore', 'oae.api.i18n', 'mimetypes'], functio
             'url': '/api/content/' + contentId,
             'type': 'DELETE',
             'success': function() {
+                cacheAPI.invalidate(contentId);
                 callback(null);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Get all the invitations for a content item
@@ -379,9 +370,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.i18n', 'mimetypes'], functio
      * @param  {Object}         callback.err                    Error object containing error code and error message
      * @param  {Object}         callback.invitations            Response object containing the content invitations
      * @param  {Invitation[]}   callback.invitations.results    Every invitation associated to the content item
+     * @return {Promise}                                        When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                          Error thrown when no content id has been provided
      */
-    var getInvitations = exports.getInvitations = function(contentId, callback) {
+    var getInvitations = exports.getInvitations = utilAPI.promisify(function(contentId, callback) {
         if (!contentId) {
             throw new Error('A content id should be provided');
         }
@@ -392,10 +384,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.i18n', 'mimetypes'], functio
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Resend an invitation that invites an email into a content item
@@ -404,9 +396,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.i18n', 'mimetypes'], functio
      * @param  {String}     email           The email of the invitation to resend
      * @param  {Function}   callback        Standard callback function
      * @param  {Object}     callback.err    Error object containing error code and error message
+     * @return {Promise}                    When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                      Error thrown when no content id has been provided
      */
-    var resendInvitation = exports.resendInvitation = function(contentId, email, callback) {
+    var resendInvitation = exports.resendInvitation = utilAPI.promisify(function(contentId, email, callback) {
         if (!contentId) {
             throw new Error('A valid content id should be provided');
         }
@@ -418,10 +411,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.i18n', 'mimetypes'], functio
                 callback();
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Get the viewers and managers of a content item
@@ -434,9 +427,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.i18n', 'mimetypes'], functio
      * @param  {Object}          callback.members               Response object containing the content members and nextToken
      * @param  {User[]|Group[]}  callback.members.results       Array that contains an object for each member. Each object has a role property that contains the role of the member and a profile property that contains the principal profile of the member
      * @param  {String}          callback.members.nextToken     The value to provide in the `start` parameter to get the next set of results
+     * @return {Promise}                                        When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                          Error thrown when no content id has been provided
      */
-    var getMembers = exports.getMembers = function(contentId, start, limit, callback) {
+    var getMembers = exports.getMembers = utilAPI.promisify(function(contentId, start, limit, callback) {
         if (!contentId) {
             throw new Error('A content id should be provided');
         }
@@ -453,10 +447,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.i18n', 'mimetypes'], functio
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Change the members and managers of a content item
@@ -465,9 +459,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.i18n', 'mimetypes'], functio
      * @param  {Object}       updatedMembers      JSON Object where the keys are the user/group ids we want to update membership for, and the values are the roles these members should get (manager or viewer). If false is passed in as a role, the principal will be removed as a member
      * @param  {Function}     [callback]          Standard callback function
      * @param  {Object}       [callback.err]      Error object containing error code and error message
+     * @return {Promise}                          When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                            Error thrown when not all of the required parameters have been provided
      */
-    var updateMembers = exports.updateMembers = function(contentId, updatedMembers, callback) {
+    var updateMembers = exports.updateMembers = utilAPI.promisify(function(contentId, updatedMembers, callback) {
         if (!contentId) {
             throw new Error('A valid content id should be provided');
         } else if (!updatedMembers || _.keys(updatedMembers).length === 0) {
@@ -482,13 +477,14 @@ define(['exports', 'jquery', 'underscore', 'oae.api.i18n', 'mimetypes'], functio
             'type': 'POST',
             'data': updatedMembers,
             'success': function() {
+                cacheAPI.invalidate(contentId);
                 callback(null);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Share a content item
@@ -497,9 +493,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.i18n', 'mimetypes'], functio
      * @param  {String[]}     principals          Array of principal ids with who the content should be shared
      * @param  {Function}     [callback]          Standard callback function
      * @param  {Object}       [callback.err]      Error object containing error code and error message
+     * @return {Promise}                          When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                            Error thrown when no content id or Array of principal ids has been provided
      */
-    var shareContent = exports.shareContent = function(contentId, principals, callback) {
+    var shareContent = exports.shareContent = utilAPI.promisify(function(contentId, principals, callback) {
         if (!contentId) {
             throw new Error('A content id should be provided');
         } else if (!principals.length) {
@@ -518,13 +515,14 @@ define(['exports', 'jquery', 'underscore', 'oae.api.i18n', 'mimetypes'], functio
             'type': 'POST',
             'data': data,
             'success': function(data) {
+                cacheAPI.invalidate(contentId);
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Get the content library for a given principal
@@ -537,9 +535,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.i18n', 'mimetypes'], functio
      * @param  {Object}         callback.content                Response object containing the content items in the requested library and nextToken
      * @param  {Content[]}      callback.content.results        Array of content items representing the content items present in the library
      * @param  {String}         callback.content.nextToken      The value to provide in the `start` parameter to get the next set of results
+     * @return {Promise}                                        When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                          Error thrown when no principal id has been provided
      */
-    var getLibrary = exports.getLibrary = function(principalId, start, limit, callback) {
+    var getLibrary = exports.getLibrary = utilAPI.promisify(function(principalId, start, limit, callback) {
         if (!principalId) {
             throw new Error('A user or group id should be provided');
         }
@@ -556,10 +555,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.i18n', 'mimetypes'], functio
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Delete a piece of content from a content library
@@ -568,9 +567,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.i18n', 'mimetypes'], functio
      * @param  {String}         contentId         Id of the content item we're trying to delete from the library
      * @param  {Function}       [callback]        Standard callback function
      * @param  {Object}         [callback.err]    Error object containing error code and error message
+     * @return {Promise}                          When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                            Error thrown when not all of the required parameters have been provided
      */
-    var deleteContentFromLibrary = exports.deleteContentFromLibrary = function(principalId, contentId, callback) {
+    var deleteContentFromLibrary = exports.deleteContentFromLibrary = utilAPI.promisify(function(principalId, contentId, callback) {
         if (!principalId) {
             throw new Error('A valid user or group id should be provided');
         } else if (!contentId) {
@@ -584,13 +584,14 @@ define(['exports', 'jquery', 'underscore', 'oae.api.i18n', 'mimetypes'], functio
             'url': '/api/content/library/' + principalId + '/' + contentId,
             'type': 'DELETE',
             'success': function() {
+                cacheAPI.invalidate(contentId);
                 callback(null);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     ///////////////////////
     // CONTENT UTILITIES //
@@ -608,4 +609,95 @@ define(['exports', 'jquery', 'underscore', 'oae.api.i18n', 'mimetypes'], functio
         var description = MimeTypes.getDescription(contentObj.resourceSubType, contentObj.mime);
         return i18nAPI.translate(description);
     };
+
+    //////////////////
+    // FILE UPLOADS //
+    //////////////////
+
+    /**
+     * Upload a file in a single request through jQuery.fileupload, to the URL the file upload field has been initialised
+     * with. As the server will not keep the part of the file it has already received when the upload is paused, a paused
+     * upload will start over when it is resumed.
+     *
+     * The returned upload object has the following functions:
+     *
+     *  - `pause()`: Abort the upload. The callback will not be invoked
+     *  - `resume()`: Start a paused or failed upload over
+     *  - `cancel()`: Abort the upload. The callback will not be invoked
+     *  - `isPaused()`: Whether or not the upload is currently paused
+     *
+     * @param  {Element|String}     $fileUploadField    jQuery element or selector for that jQuery element representing the file upload form field that has been used to initialise jQuery.fileupload
+     * @param  {Object}             file                jQuery.fileUpload object that was returned when selecting the file that needed to be uploaded
+     * @param  {Object[]}           formData            The form data that should be sent with the file, as a .serializeArray object
+     * @param  {Function}           callback            Standard callback function
+     * @param  {Object}             callback.err        Error object containing error code and error message
+     * @param  {Content}            callback.content    Content object representing the created or updated content item
+     * @return {Upload}                                 Upload object that can be used to pause, resume or cancel the upload
+     * @api private
+     */
+    var sendFile = function($fileUploadField, file, formData, callback) {
+        $fileUploadField = $($fileUploadField);
+
+        // The URL is determined when the upload starts, so resuming the upload sends the file to the same URL
+        // even when the file upload field has been pointed at a different URL in the meantime
+        var url = $fileUploadField.fileupload('option', 'url');
+
+        // Variable that keeps track of the request through which the file is being uploaded
+        var jqXHR = null;
+        var paused = false;
+
+        var upload = {
+            'pause': function() {
+                paused = true;
+                if (jqXHR) {
+                    jqXHR.abort();
+                }
+            },
+            'resume': function() {
+                paused = false;
+                jqXHR = $fileUploadField.fileupload('send', {
+                    'url': url,
+                    'files': [file],
+                    'formData': formData
+                });
+                jqXHR.done(function(data) {
+                    callback(null, parseUploadResponse(data));
+                }).fail(function(jqXHR, textStatus) {
+                    // Paused and cancelled uploads are aborted on purpose and are not reported as failures
+                    if (textStatus === 'abort') {
+                        return;
+                    }
+                    callback(errorAPI.createError(jqXHR, url));
+                });
+            },
+            'cancel': function() {
+                upload.pause();
+            },
+            'isPaused': function() {
+                return paused;
+            }
+        };
+
+        upload.resume();
+        return upload;
+    };
+
+    /**
+     * Parse the response of the request that uploaded a file
+     *
+     * @param  {String|Object|jQuery}   data    The response of the upload request
+     * @return {Content}                        Content object representing the created or updated content item
+     * @api private
+     */
+    var parseUploadResponse = function(data) {
+        // The response will return as text/plain to avoid IE9 trying to download
+        // the response when using the iFrame fallback upload solution
+
+        // In IE9 the response is a jQuery object. In this case we have
+        // to extract the data found in the inner pre tag.
+        if (data instanceof $) {
+            data = data.find('pre').text();
+        }
+        return _.isString(data) ? JSON.parse(data) : data;
+    };
 });
@@ -13,7 +13,7 @@
  * permissions and limitations under the License.
  */
 
-define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
+define(['exports', 'jquery', 'underscore', 'oae.api.cache', 'oae.api.error', 'oae.api.queue', 'oae.api.util'], function(exports, $, _, cacheAPI, errorAPI, queueAPI, utilAPI) {
 
     /**
      * Get a full discussion profile
@@ -22,23 +22,26 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
      * @param  {Function}     callback              Standard callback function
      * @param  {Object}       callback.err          Error object containing error code and error message
      * @param  {Discussion}   callback.discussion   Discussion object representing the retrieved discussion
+     * @return {Promise}                            When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                              Error thrown when no discussion id has been provided
      */
-    var getDiscussion = exports.getDiscussion = function(discussionId, callback) {
+    var getDiscussion = exports.getDiscussion = utilAPI.promisify(function(discussionId, callback) {
         if (!discussionId) {
             throw new Error('A valid discussion id should be provided');
         }
 
-        $.ajax({
-            'url': '/api/discussion/' + discussionId,
-            'success': function(data) {
-                callback(null, data);
-            },
-            'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
-            }
-        });
-    };
+        cacheAPI.get('discussion', discussionId, function(fetchCallback) {
+            $.ajax({
+                'url': '/api/discussion/' + discussionId,
+                'success': function(data) {
+                    fetchCallback(null, data);
+                },
+                'error': function(jqXHR, textStatus) {
+                    fetchCallback(errorAPI.createError(jqXHR, this.url));
+                }
+            });
+        }, callback);
+    });
 
     /**
      * Create a new discussion
@@ -51,9 +54,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
      * @param  {Function}       [callback]                Standard callback function
      * @param  {Object}         [callback.err]            Error object containing error code and error message
      * @param  {Discussion}     [callback.discussion]     Discussion object representing the created discussion
+     * @return {Promise}                                  When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                    Error thrown when no discussion topic has been provided
      */
-    var createDiscussion = exports.createDiscussion = function(displayName, description, visibility, managers, members, callback) {
+    var createDiscussion = exports.createDiscussion = utilAPI.promisify(function(displayName, description, visibility, managers, members, callback) {
         if (!displayName) {
             throw new Error('A valid description topic should be provided');
         }
@@ -77,10 +81,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Update a discussion's metadata
@@ -90,9 +94,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
      * @param  {Function}     [callback]                  Standard callback function
      * @param  {Object}       [callback.err]              Error object containing error code and error message
      * @param  {Discussion}   [callback.discussion]       Discussion object representing the updated discussion
+     * @return {Promise}                                  When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                    Error thrown when not all of the required parameters have been provided
      */
-    var updateDiscussion = exports.updateDiscussion = function(discussionId, params, callback) {
+    var updateDiscussion = exports.updateDiscussion = utilAPI.promisify(function(discussionId, params, callback) {
         if (!discussionId) {
             throw new Error('A valid discussion id should be provided');
         } else if (!params || _.keys(params).length === 0) {
@@ -102,18 +107,20 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
         // Set a default callback function in case no callback function has been provided
         callback = callback || function() {};
 
-        $.ajax({
+        queueAPI.ajax({
             'url': '/api/discussion/' + discussionId,
             'type': 'POST',
             'data': params,
-            'success': function(data) {
-                callback(null, data);
-            },
-            'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+            'resourceId': discussionId
+        }, function(err, data) {
+            if (err) {
+                return callback(err);
             }
+
+            cacheAPI.invalidate(discussionId);
+            callback(null, data);
         });
-    };
+    });
 
     /**
      * Permanently delete a discussion from the system
@@ -121,9 +128,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
      * @param  {String}        discussionId          Id of the discussion we're trying to delete
      * @param  {Function}      [callback]            Standard callback function
      * @param  {Object}        [callback.err]        Error object containing error code and error message
+     * @return {Promise}                             When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                               Error thrown when no valid discussion id has been provided
      */
-    var deleteDiscussion = exports.deleteDiscussion = function(discussionId, callback) {
+    var deleteDiscussion = exports.deleteDiscussion = utilAPI.promisify(function(discussionId, callback) {
         if (!discussionId) {
             throw new Error('A valid discussion id should be provided');
         }
@@ -135,13 +143,14 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
             'url': '/api/discussion/' + discussionId,
             'type': 'DELETE',
             'success': function() {
+                cacheAPI.invalidate(discussionId);
                 callback(null);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Get all the invitations for a discussion
@@ -151,9 +160,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
      * @param  {Object}         callback.err                    Error object containing error code and error message
      * @param  {Object}         callback.invitations            Response object containing the discussion invitations
      * @param  {Invitation[]}   callback.invitations.results    Every invitation associated to the discussion
+     * @return {Promise}                                        When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                          Error thrown when no discussion id has been provided
      */
-    var getInvitations = exports.getInvitations = function(discussionId, callback) {
+    var getInvitations = exports.getInvitations = utilAPI.promisify(function(discussionId, callback) {
         if (!discussionId) {
             throw new Error('A valid discussion id should be provided');
         }
@@ -164,10 +174,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Resend an invitation that invites an email into a discussion
@@ -176,9 +186,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
      * @param  {String}     email           The email of the invitation to resend
      * @param  {Function}   callback        Standard callback function
      * @param  {Object}     callback.err    Error object containing error code and error message
+     * @return {Promise}                    When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                      Error thrown when no discussion id has been provided
      */
-    var resendInvitation = exports.resendInvitation = function(discussionId, email, callback) {
+    var resendInvitation = exports.resendInvitation = utilAPI.promisify(function(discussionId, email, callback) {
         if (!discussionId) {
             throw new Error('A valid discussion id should be provided');
         }
@@ -190,10 +201,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
                 callback();
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Get the viewers and managers of a discussion
@@ -206,9 +217,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
      * @param  {Object}          callback.members               Response object containing the discussion members and nextToken
      * @param  {User[]|Group[]}  callback.members.results       Array that contains an object for each member. Each object has a role property that contains the role of the member and a profile property that contains the principal profile of the member
      * @param  {String}          callback.members.nextToken     The value to provide in the `start` parameter to get the next set of results
+     * @return {Promise}                                        When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                          Error thrown when no discussion id has been provided
      */
-    var getMembers = exports.getMembers = function(discussionId, start, limit, callback) {
+    var getMembers = exports.getMembers = utilAPI.promisify(function(discussionId, start, limit, callback) {
         if (!discussionId) {
             throw new Error('A valid discussion id should be provided');
         }
@@ -225,10 +237,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Change the members and managers of a discussion
@@ -237,9 +249,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
      * @param  {Object}       updatedMembers        JSON Object where the keys are the user/group ids we want to update membership for, and the values are the roles these members should get (manager or viewer). If false is passed in as a role, the principal will be removed as a member
      * @param  {Function}     [callback]            Standard callback function
      * @param  {Object}       [callback.err]        Error object containing error code and error message
+     * @return {Promise}                            When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                              Error thrown when not all of the required parameters have been provided
      */
-    var updateMembers = exports.updateMembers = function(discussionId, updatedMembers, callback) {
+    var updateMembers = exports.updateMembers = utilAPI.promisify(function(discussionId, updatedMembers, callback) {
         if (!discussionId) {
             throw new Error('A valid discussion id should be provided');
         } else if (!updatedMembers || _.keys(updatedMembers).length === 0) {
@@ -254,13 +267,14 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
             'type': 'POST',
             'data': updatedMembers,
             'success': function() {
+                cacheAPI.invalidate(discussionId);
                 callback(null);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Share a discussion
@@ -269,9 +283,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
      * @param  {String[]}     principals            Array of principal ids with who the discussion should be shared
      * @param  {Function}     [callback]            Standard callback function
      * @param  {Object}       [callback.err]        Error object containing error code and error message
+     * @return {Promise}                            When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                              Error thrown when not all of the required parameters have been provided
      */
-    var shareDiscussion = exports.shareDiscussion = function(discussionId, principals, callback) {
+    var shareDiscussion = exports.shareDiscussion = utilAPI.promisify(function(discussionId, principals, callback) {
         if (!discussionId) {
             throw new Error('A discussion id should be provided');
         } else if (!principals.length) {
@@ -290,13 +305,14 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
             'type': 'POST',
             'data': data,
             'success': function(data) {
+                cacheAPI.invalidate(discussionId);
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Get the discussion library for a given principal
@@ -309,9 +325,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
      * @param  {Object}         callback.discussions            Response object containing the discussions in the requested library and nextToken
      * @param  {Discussion[]}   callback.discussions.results    Array of discussions representing the discussions present in the library
      * @param  {String}         callback.discussions.nextToken  The value to provide in the `start` parameter to get the next set of results
+     * @return {Promise}                                        When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                          Error thrown when no principal id has been provided
      */
-    var getLibrary = exports.getLibrary = function(principalId, start, limit, callback) {
+    var getLibrary = exports.getLibrary = utilAPI.promisify(function(principalId, start, limit, callback) {
         if (!principalId) {
             throw new Error('A user or group id should be provided');
         }
@@ -328,10 +345,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Delete a discussion from a discussion library
@@ -340,9 +357,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
      * @param  {String}         discussionId      Id of the discussion we're trying to delete from the library
      * @param  {Function}       [callback]        Standard callback function
      * @param  {Object}         [callback.err]    Error object containing error code and error message
+     * @return {Promise}                          When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                            Error thrown when not all of the required parameters have been provided
      */
-    var deleteDiscussionFromLibrary = exports.deleteDiscussionFromLibrary = function(principalId, discussionId, callback) {
+    var deleteDiscussionFromLibrary = exports.deleteDiscussionFromLibrary = utilAPI.promisify(function(principalId, discussionId, callback) {
         if (!principalId) {
             throw new Error('A valid user or group id should be provided');
         } else if (!discussionId) {
@@ -356,11 +374,12 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
             'url': '/api/discussion/library/' + principalId + '/' + discussionId,
             'type': 'DELETE',
             'success': function() {
+                cacheAPI.invalidate(discussionId);
                 callback(null);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 });
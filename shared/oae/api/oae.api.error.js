@@ -0,0 +1,122 @@
+/*!
+ * Copyright 2017 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+define(['exports', 'underscore'], function(exports, _) {
+
+    // The request failed because the user is not signed in or is not allowed to perform the request
+    var TYPE_AUTH = exports.TYPE_AUTH = 'auth';
+
+    // The requested resource could not be found
+    var TYPE_NOT_FOUND = exports.TYPE_NOT_FOUND = 'not-found';
+
+    // The request was rejected because of invalid or conflicting parameters
+    var TYPE_VALIDATION = exports.TYPE_VALIDATION = 'validation';
+
+    // The server failed to process the request or is unavailable
+    var TYPE_SERVER = exports.TYPE_SERVER = 'server';
+
+    // The server could not be reached
+    var TYPE_NETWORK = exports.TYPE_NETWORK = 'network';
+
+    // Variable that keeps track of the global error handlers, in the order in which they were registered
+    var handlers = [];
+
+    /**
+     * Create a normalized error object for a failed request. All API functions pass an error object in
+     * this format to their callbacks, which allows widgets to use the error classification rather than
+     * having to branch on the different status codes. All registered global error handlers will be
+     * invoked with the created error object.
+     *
+     * The error handlers are invoked asynchronously to give the caller the opportunity to handle the
+     * error first.
+     *
+     * @param  {jqXHR}      jqXHR           The jQuery XHR object of the failed request
+     * @param  {String}     [url]           The url of the failed request
+     * @return {Object}                     Error object containing the error `code`, the error message as `msg`, the request `url` and the error classification as `type`. The classification will be one of the `TYPE_*` constants
+     */
+    var createError = exports.createError = function(jqXHR, url) {
+        var err = {
+            'code': jqXHR.status,
+            'msg': jqXHR.responseText || jqXHR.statusText,
+            'url': url,
+            'type': getType(jqXHR.status)
+        };
+
+        // Requests that have been aborted by the UI itself don't need to be handled globally
+        if (jqXHR.statusText !== 'abort') {
+            _.defer(invokeHandlers, err);
+        }
+
+        return err;
+    };
+
+    /**
+     * Register a global error handler. The handler will be invoked for every failed API request,
+     * regardless of whether or not the caller handled the error itself. This can be used to handle
+     * errors such as session expiry, maintenance mode and network loss uniformly across all widgets.
+     *
+     * @param  {Function}   handler         Function that will be invoked when an API request fails
+     * @param  {Object}     handler.err     Error object containing the error code, error message, request url and error classification
+     * @throws {Error}                      Error thrown when no valid handler function has been provided
+     */
+    var registerHandler = exports.registerHandler = function(handler) {
+        if (!_.isFunction(handler)) {
+            throw new Error('A valid error handler function should be provided');
+        }
+
+        handlers.push(handler);
+    };
+
+    /**
+     * Remove a previously registered global error handler
+     *
+     * @param  {Function}   handler         The error handler function to remove
+     */
+    var unregisterHandler = exports.unregisterHandler = function(handler) {
+        handlers = _.without(handlers, handler);
+    };
+
+    /**
+     * Get the classification of an error based on its HTTP status code
+     *
+     * @param  {Number}     code            The HTTP status code of the failed request
+     * @return {String}                     The error classification. This will be one of the `TYPE_*` constants
+     * @api private
+     */
+    var getType = function(code) {
+        if (!code) {
+            return TYPE_NETWORK;
+        } else if (code === 401 || code === 403) {
+            return TYPE_AUTH;
+        } else if (code === 404) {
+            return TYPE_NOT_FOUND;
+        } else if (code >= 400 && code < 500) {
+            return TYPE_VALIDATION;
+        }
+        return TYPE_SERVER;
+    };
+
+    /**
+     * Invoke all registered global error handlers with an error object
+     *
+     * @param  {Object}     err             Error object containing the error code, error message, request url and error classification
+     * @api private
+     */
+    var invokeHandlers = function(err) {
+        _.each(handlers, function(handler) {
+            handler(err);
+        });
+    };
+});
@@ -13,7 +13,7 @@
  * permissions and limitations under the License.
  */
 
-define(['exports', 'jquery'], function(exports, $) {
+define(['exports', 'jquery', 'oae.api.cache', 'oae.api.error', 'oae.api.queue', 'oae.api.util'], function(exports, $, cacheAPI, errorAPI, queueAPI, utilAPI) {
 
     /**
      * Get a full folder profile
@@ -22,23 +22,26 @@ define(['exports', 'jquery'], function(exports, $) {
      * @param  {Function}       callback                Standard callback function
      * @param  {Object}         callback.err            Error object containing error code and error message
      * @param  {Folder}         callback.folder         Folder object representing the retrieved folder
+     * @return {Promise}                                When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                  Error thrown when no folder id has been provided
      */
-    var getFolder = exports.getFolder = function(folderId, callback) {
+    var getFolder = exports.getFolder = utilAPI.promisify(function(folderId, callback) {
         if (!folderId) {
             throw new Error('A valid folder id should be provided');
         }
 
-        $.ajax({
-            'url': '/api/folder/' + folderId,
-            'success': function(data) {
-                callback(null, data);
-            },
-            'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
-            }
-        });
-    };
+        cacheAPI.get('folder', folderId, function(fetchCallback) {
+            $.ajax({
+                'url': '/api/folder/' + folderId,
+                'success': function(data) {
+                    fetchCallback(null, data);
+                },
+                'error': function(jqXHR, textStatus) {
+                    fetchCallback(errorAPI.createError(jqXHR, this.url));
+                }
+            });
+        }, callback);
+    });
 
 
     /**
@@ -52,9 +55,10 @@ define(['exports', 'jquery'], function(exports, $) {
      * @param  {Function}       [callback]              Standard callback function
      * @param  {Object}         [callback.err]          Error object containing error code and error message
      * @param  {Folder}         [callback.folder]       Folder object representing the created folder
+     * @return {Promise}                                When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                  Error thrown when no valid display name has been provided
      */
-    var createFolder = exports.createFolder = function(displayName, description, visibility, managers, viewers, callback) {
+    var createFolder = exports.createFolder = utilAPI.promisify(function(displayName, description, visibility, managers, viewers, callback) {
         if (!displayName) {
             throw new Error('A valid folder name should be provided');
         }
@@ -78,10 +82,10 @@ define(['exports', 'jquery'], function(exports, $) {
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Update a folder's metadata
@@ -91,9 +95,10 @@ define(['exports', 'jquery'], function(exports, $) {
      * @param  {Function}     [callback]                Standard callback function
      * @param  {Object}       [callback.err]            Error object containing error code and error message
      * @param  {Folder}       [callback.folder]         Folder object representing the updated folder
+     * @return {Promise}                                When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                  Error thrown when not all of the required parameters have been provided
      */
-    var updateFolder = exports.updateFolder = function(folderId, params, callback) {
+    var updateFolder = exports.updateFolder = utilAPI.promisify(function(folderId, params, callback) {
         if (!folderId) {
             throw new Error('A valid folder id should be provided');
         } else if (!params || _.keys(params).length === 0) {
@@ -103,18 +108,20 @@ define(['exports', 'jquery'], function(exports, $) {
         // Set a default callback function in case no callback function has been provided
         callback = callback || function() {};
 
-        $.ajax({
+        queueAPI.ajax({
             'url': '/api/folder/' + folderId,
             'type': 'POST',
             'data': params,
-            'success': function(data) {
-                callback(null, data);
-            },
-            'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+            'resourceId': folderId
+        }, function(err, data) {
+            if (err) {
+                return callback(err);
             }
+
+            cacheAPI.invalidate(folderId);
+            callback(null, data);
         });
-    };
+    });
 
     /**
      * Update the visibility of the content items inside a folder
@@ -124,9 +131,10 @@ define(['exports', 'jquery'], function(exports, $) {
      * @param  {Function}     [callback]                    Standard callback function
      * @param  {Object}       [callback.err]                Error object containing error code and error message
      * @param  {Folder}       [callback.failedContent]      The content items for which the visibility could not be updated
+     * @return {Promise}                                    When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                      Error thrown when not all of the required parameters have been provided
      */
-    var updateFolderContentVisibility = exports.updateFolderContentVisibility = function(folderId, visibility, callback) {
+    var updateFolderContentVisibility = exports.updateFolderContentVisibility = utilAPI.promisify(function(folderId, visibility, callback) {
         if (!folderId) {
             throw new Error('A valid folder id should be provided');
         } else if (!visibility) {
@@ -145,13 +153,14 @@ define(['exports', 'jquery'], function(exports, $) {
             'type': 'POST',
             'data': data,
             'success': function(data) {
+                cacheAPI.invalidate(folderId);
                 callback(null, data.failedContent);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Add existing content items to a folder
@@ -160,9 +169,10 @@ define(['exports', 'jquery'], function(exports, $) {
      * @param  {String[]}      contentIds                   Array of content ids that should be added to the folder
      * @param  {Function}      [callback]                   Standard callback function
      * @param  {Object}        [callback.err]               Error object containing error code and error message
+     * @return {Promise}                                    When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                      Error thrown when not all of the required parameters have been provided
      */
-    var addToFolder = exports.addToFolder = function(folderId, contentIds, callback) {
+    var addToFolder = exports.addToFolder = utilAPI.promisify(function(folderId, contentIds, callback) {
         if (!folderId) {
             throw new Error('A valid folder id should be provided');
         } else if (!contentIds || contentIds.length === 0) {
@@ -176,18 +186,20 @@ define(['exports', 'jquery'], function(exports, $) {
             'contentIds': contentIds
         };
 
-        $.ajax({
+        queueAPI.ajax({
             'url': '/api/folder/' + folderId + '/library',
             'type': 'POST',
             'data': data,
-            'success': function(data) {
-                callback(null, data);
-            },
-            'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+            'resourceId': folderId
+        }, function(err, data) {
+            if (err) {
+                return callback(err);
             }
+
+            cacheAPI.invalidate(folderId);
+            callback(null, data);
         });
-    };
+    });
 
     /**
      * Permanently delete a folder from the system. It is also possible to remove all of its content
@@ -198,9 +210,10 @@ define(['exports', 'jquery'], function(exports, $) {
      * @param  {Function}      [callback]                   Standard callback function
      * @param  {Object}        [callback.err]               Error object containing error code and error message
      * @param  {Content[]}     [callback.failedContent]     The content items that could not be deleted
+     * @return {Promise}                                    When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                      Error thrown when no valid discussion id has been provided
      */
-    var deleteFolder = exports.deleteFolder = function(folderId, deleteContent, callback) {
+    var deleteFolder = exports.deleteFolder = utilAPI.promisify(function(folderId, deleteContent, callback) {
         if (!deleteFolder) {
             throw new Error('A valid folder id should be provided');
         }
@@ -217,13 +230,14 @@ define(['exports', 'jquery'], function(exports, $) {
             'type': 'DELETE',
             'data': data,
             'success': function(data) {
+                cacheAPI.invalidate(folderId);
                 callback(null, data.failedContent);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Get all the invitations for a folder
@@ -233,9 +247,10 @@ define(['exports', 'jquery'], function(exports, $) {
      * @param  {Object}         callback.err                    Error object containing error code and error message
      * @param  {Object}         callback.invitations            Response object containing the folder invitations
      * @param  {Invitation[]}   callback.invitations.results    Every invitation associated to the folder
+     * @return {Promise}                                        When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                          Error thrown when no folder id has been provided
      */
-    var getInvitations = exports.getInvitations = function(folderId, callback) {
+    var getInvitations = exports.getInvitations = utilAPI.promisify(function(folderId, callback) {
         if (!folderId) {
             throw new Error('A valid folder id should be provided');
         }
@@ -246,10 +261,10 @@ define(['exports', 'jquery'], function(exports, $) {
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Resend an invitation that invites an email into a folder
@@ -258,9 +273,10 @@ define(['exports', 'jquery'], function(exports, $) {
      * @param  {String}     email           The email of the invitation to resend
      * @param  {Function}   callback        Standard callback function
      * @param  {Object}     callback.err    Error object containing error code and error message
+     * @return {Promise}                    When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                      Error thrown when no folder id has been provided
      */
-    var resendInvitation = exports.resendInvitation = function(folderId, email, callback) {
+    var resendInvitation = exports.resendInvitation = utilAPI.promisify(function(folderId, email, callback) {
         if (!folderId) {
             throw new Error('A valid folder id should be provided');
         }
@@ -272,10 +288,10 @@ define(['exports', 'jquery'], function(exports, $) {
                 callback();
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Get the viewers and managers of a folder
@@ -288,9 +304,10 @@ define(['exports', 'jquery'], function(exports, $) {
      * @param  {Object}          callback.members               Response object containing the folders members and nextToken
      * @param  {User[]|Group[]}  callback.members.results       Array that contains an object for each member. Each object has a role property that contains the role of the member and a profile property that contains the principal profile of the member
      * @param  {String}          callback.members.nextToken     The value to provide in the `start` parameter to get the next set of results
+     * @return {Promise}                                        When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                          Error thrown when no folder id has been provided
      */
-    var getMembers = exports.getMembers = function(folderId, start, limit, callback) {
+    var getMembers = exports.getMembers = utilAPI.promisify(function(folderId, start, limit, callback) {
         if (!folderId) {
             throw new Error('A valid folder id should be provided');
         }
@@ -307,10 +324,10 @@ define(['exports', 'jquery'], function(exports, $) {
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Change the members and managers of a folder
@@ -319,9 +336,10 @@ define(['exports', 'jquery'], function(exports, $) {
      * @param  {Object}       updatedMembers        JSON Object where the keys are the user/group ids we want to update membership for, and the values are the roles these members should get (manager or viewer). If false is passed in as a role, the principal will be removed as a member
      * @param  {Function}     [callback]            Standard callback function
      * @param  {Object}       [callback.err]        Error object containing error code and error message
+     * @return {Promise}                            When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                              Error thrown when not all of the required parameters have been provided
      */
-    var updateMembers = exports.updateMembers = function(folderId, updatedMembers, callback) {
+    var updateMembers = exports.updateMembers = utilAPI.promisify(function(folderId, updatedMembers, callback) {
         if (!folderId) {
             throw new Error('A valid folder id should be provided');
         } else if (!updatedMembers || _.keys(updatedMembers).length === 0) {
@@ -336,13 +354,14 @@ define(['exports', 'jquery'], function(exports, $) {
             'type': 'POST',
             'data': updatedMembers,
             'success': function() {
+                cacheAPI.invalidate(folderId);
                 callback(null);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Share a folder
@@ -351,9 +370,10 @@ define(['exports', 'jquery'], function(exports, $) {
      * @param  {String[]}     principals            Array of principal ids with who the folder should be shared
      * @param  {Function}     [callback]            Standard callback function
      * @param  {Object}       [callback.err]        Error object containing error code and error message
+     * @return {Promise}                            When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                              Error thrown when not all of the required parameters have been provided
      */
-    var shareFolder = exports.shareFolder = function(folderId, principals, callback) {
+    var shareFolder = exports.shareFolder = utilAPI.promisify(function(folderId, principals, callback) {
         if (!folderId) {
             throw new Error('A folder id should be provided');
         } else if (!principals.length) {
@@ -372,13 +392,14 @@ define(['exports', 'jquery'], function(exports, $) {
             'type': 'POST',
             'data': data,
             'success': function(data) {
+                cacheAPI.invalidate(folderId);
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Get the folder library for a given principal
@@ -391,9 +412,10 @@ define(['exports', 'jquery'], function(exports, $) {
      * @param  {Object}         callback.folders                Response object containing the folders in the requested library and nextToken
      * @param  {Folder[]}       callback.folders.results        Array of folders representing the folders present in the library
      * @param  {String}         callback.folders.nextToken      The value to provide in the `start` parameter to get the next set of results
+     * @return {Promise}                                        When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                          Error thrown when no principal id has been provided
      */
-    var getLibrary = exports.getLibrary = function(principalId, start, limit, callback) {
+    var getLibrary = exports.getLibrary = utilAPI.promisify(function(principalId, start, limit, callback) {
         if (!principalId) {
             throw new Error('A user or group id should be provided');
         }
@@ -410,10 +432,10 @@ define(['exports', 'jquery'], function(exports, $) {
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Delete a folder from a folder library
@@ -422,9 +444,10 @@ define(['exports', 'jquery'], function(exports, $) {
      * @param  {String}         folderId          Id of the folder we're trying to delete from the library
      * @param  {Function}       [callback]        Standard callback function
      * @param  {Object}         [callback.err]    Error object containing error code and error message
+     * @return {Promise}                          When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                            Error thrown when not all of the required parameters have been provided
      */
-    var deleteFolderFromLibrary = exports.deleteFolderFromLibrary = function(principalId, folderId, callback) {
+    var deleteFolderFromLibrary = exports.deleteFolderFromLibrary = utilAPI.promisify(function(principalId, folderId, callback) {
         if (!principalId) {
             throw new Error('A valid user or group id should be provided');
         } else if (!folderId) {
@@ -438,13 +461,14 @@ define(['exports', 'jquery'], function(exports, $) {
             'url': '/api/folder/library/' + principalId + '/' + folderId,
             'type': 'DELETE',
             'success': function() {
+                cacheAPI.invalidate(folderId);
                 callback(null);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Delete a piece of content from a folder
@@ -453,9 +477,10 @@ define(['exports', 'jquery'], function(exports, $) {
      * @param  {String}         contentId         Id of the content item we're trying to delete from the folder
      * @param  {Function}       [callback]        Standard callback function
      * @param  {Object}         [callback.err]    Error object containing error code and error message
+     * @return {Promise}                          When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                            Error thrown when not all of the required parameters have been provided
      */
-    var deleteContentFromFolder = exports.deleteContentFromFolder = function(folderId, contentId, callback) {
+    var deleteContentFromFolder = exports.deleteContentFromFolder = utilAPI.promisify(function(folderId, contentId, callback) {
         if (!folderId) {
             throw new Error('A valid folder id should be provided');
         } else if (!contentId) {
@@ -474,12 +499,13 @@ define(['exports', 'jquery'], function(exports, $) {
             'type': 'DELETE',
             'data': data,
             'success': function() {
+                cacheAPI.invalidate(folderId);
                 callback(null);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
 });
@@ -13,7 +13,7 @@
  * permissions and limitations under the License.
  */
 
-define(['exports', 'jquery'], function(exports, $) {
+define(['exports', 'jquery', 'oae.api.cache', 'oae.api.error', 'oae.api.util'], function(exports, $, cacheAPI, errorAPI, utilAPI) {
 
     /**
      * Follow a user
@@ -21,9 +21,10 @@ define(['exports', 'jquery'], function(exports, $) {
      * @param  {String}      userId            Id of the user to follow
      * @param  {Function}    [callback]        Standard callback function
      * @param  {Object}      [callback.err]    Error object containing error code and error message
+     * @return {Promise}                       When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                         Error thrown when no user id has been provided
      */
-    var follow = exports.follow = function(userId, callback) {
+    var follow = exports.follow = utilAPI.promisify(function(userId, callback) {
         if (!userId) {
             throw new Error('A valid user id should be provided');
         }
@@ -35,13 +36,14 @@ define(['exports', 'jquery'], function(exports, $) {
             'url': '/api/following/' + userId + '/follow',
             'type': 'POST',
             success: function() {
+                cacheAPI.invalidate(userId);
                 callback(null);
             },
             error: function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Unfollow a user you are already following
@@ -49,9 +51,10 @@ define(['exports', 'jquery'], function(exports, $) {
      * @param  {String}      userId            Id of the user to unfollow
      * @param  {Function}    [callback]        Standard callback function
      * @param  {Object}      [callback.err]    Error object containing error code and error message
+     * @return {Promise}                       When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                         Error thrown when no user id has been provided
      */
-    var unfollow = exports.unfollow = function(userId, callback) {
+    var unfollow = exports.unfollow = utilAPI.promisify(function(userId, callback) {
         if (!userId) {
             throw new Error('A valid user id should be provided');
         }
@@ -63,13 +66,14 @@ define(['exports', 'jquery'], function(exports, $) {
             'url': '/api/following/' + userId + '/unfollow',
             'type': 'POST',
             success: function() {
+                cacheAPI.invalidate(userId);
                 callback(null);
             },
             error: function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Get the list of users that a given user is following
@@ -77,9 +81,10 @@ define(['exports', 'jquery'], function(exports, $) {
      * @param  {String}      userId            Id of the user for which to get the following list
      * @param  {Function}    callback          Standard callback function
      * @param  {Object}      callback.err      Error object containing error code and error message
+     * @return {Promise}                       When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                         Error thrown when no user id has been provided
      */
-    var getFollowing = exports.getFollowing = function(userId, callback) {
+    var getFollowing = exports.getFollowing = utilAPI.promisify(function(userId, callback) {
         if (!userId) {
             throw new Error('A valid user id should be provided');
         }
@@ -90,10 +95,10 @@ define(['exports', 'jquery'], function(exports, $) {
                 callback(null, data);
             },
             error: function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Get the list of users following a given user
@@ -101,9 +106,10 @@ define(['exports', 'jquery'], function(exports, $) {
      * @param  {String}      userId            Id of the user for which to get the list of followers
      * @param  {Function}    callback          Standard callback function
      * @param  {Object}      callback.err      Error object containing error code and error message
+     * @return {Promise}                       When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                         Error thrown when no user id has been provided
      */
-    var getFollowers = exports.getFollowers = function(userId, callback) {
+    var getFollowers = exports.getFollowers = utilAPI.promisify(function(userId, callback) {
         if (!userId) {
             throw new Error('A valid user id should be provided');
         }
@@ -114,8 +120,8 @@ define(['exports', 'jquery'], function(exports, $) {
                 callback(null, data);
             },
             error: function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 });
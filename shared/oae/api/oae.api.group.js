@@ -13,7 +13,7 @@
  * permissions and limitations under the License.
  */
 
-define(['exports', 'jquery', 'underscore', 'oae.api.util'], function(exports, $, _, utilAPI) {
+define(['exports', 'jquery', 'underscore', 'oae.api.cache', 'oae.api.error', 'oae.api.util'], function(exports, $, _, cacheAPI, errorAPI, utilAPI) {
 
     /**
      * Create a group
@@ -27,9 +27,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util'], function(exports, $,
      * @param  {Function}          [callback]               Standard callback function
      * @param  {Object}            [callback.err]           Error object containing error code and error message
      * @param  {Group}             [callback.group]         A Group object representing the created group
+     * @return {Promise}                                    When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                      Error thrown when not all of the required parameters have been provided
      */
-    var createGroup = exports.createGroup = function (displayName, description, visibility, joinable, managers, members, callback) {
+    var createGroup = exports.createGroup = utilAPI.promisify(function (displayName, description, visibility, joinable, managers, members, callback) {
         if (!displayName) {
              throw new Error('A group displayName should be provided');
         }
@@ -54,10 +55,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util'], function(exports, $,
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Get a group
@@ -66,23 +67,26 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util'], function(exports, $,
      * @param  {Function}     callback            Standard callback function
      * @param  {Object}       callback.err        Error object containing error code and error message
      * @param  {Group}        callback.group      The group object representing the requested group
+     * @return {Promise}                          When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                            Error thrown when no group id has been provided
      */
-    var getGroup = exports.getGroup = function(groupId, callback) {
+    var getGroup = exports.getGroup = utilAPI.promisify(function(groupId, callback) {
         if (!groupId) {
             throw new Error('A valid group id should be provided');
         }
 
-        $.ajax({
-            'url': '/api/group/' + groupId,
-            'success': function(data) {
-                callback(null, data);
-            },
-            'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
-            }
-        });
-    };
+        cacheAPI.get('group', groupId, function(fetchCallback) {
+            $.ajax({
+                'url': '/api/group/' + groupId,
+                'success': function(data) {
+                    fetchCallback(null, data);
+                },
+                'error': function(jqXHR, textStatus) {
+                    fetchCallback(errorAPI.createError(jqXHR, this.url));
+                }
+            });
+        }, callback);
+    });
 
     /**
      * Update a group
@@ -96,9 +100,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util'], function(exports, $,
      * @param  {Function}     [callback]                      Standard callback function
      * @param  {Object}       [callback.err]                  Error object containing error code and error message
      * @param  {Group}        [callback.group]                The group object representing the updated group
+     * @return {Promise}                                      When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                        Error thrown when not all of the required parameters have been provided
      */
-    var updateGroup = exports.updateGroup = function (groupId, profileFields, callback) {
+    var updateGroup = exports.updateGroup = utilAPI.promisify(function (groupId, profileFields, callback) {
         if (!groupId) {
             throw new Error('A valid group id should be provided');
         } else if (!profileFields || _.keys(profileFields).length === 0) {
@@ -116,13 +121,14 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util'], function(exports, $,
             'type': 'POST',
             'data': data,
             'success': function(data) {
+                cacheAPI.invalidate(groupId);
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Get all the invitations for a group
@@ -132,9 +138,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util'], function(exports, $,
      * @param  {Object}         callback.err                    Error object containing error code and error message
      * @param  {Object}         callback.invitations            Response object containing the group invitations
      * @param  {Invitation[]}   callback.invitations.results    Every invitation associated to the group
+     * @return {Promise}                                        When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                          Error thrown when no group id has been provided
      */
-    var getInvitations = exports.getInvitations = function(groupId, callback) {
+    var getInvitations = exports.getInvitations = utilAPI.promisify(function(groupId, callback) {
         if (!groupId) {
             throw new Error('A valid group id should be provided');
         }
@@ -145,10 +152,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util'], function(exports, $,
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Resend an invitation that invites an email into a group
@@ -157,9 +164,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util'], function(exports, $,
      * @param  {String}     email           The email of the invitation to resend
      * @param  {Function}   callback        Standard callback function
      * @param  {Object}     callback.err    Error object containing error code and error message
+     * @return {Promise}                    When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                      Error thrown when no group id has been provided
      */
-    var resendInvitation = exports.resendInvitation = function(groupId, email, callback) {
+    var resendInvitation = exports.resendInvitation = utilAPI.promisify(function(groupId, email, callback) {
         if (!groupId) {
             throw new Error('A valid group id should be provided');
         }
@@ -171,10 +179,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util'], function(exports, $,
                 callback();
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Get the members of a group
@@ -187,9 +195,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util'], function(exports, $,
      * @param  {Object}             callback.members               Response object containing the group members and nextToken
      * @param  {User[]|Group[]}     callback.members.results       Array of principals representing the group members
      * @param  {String}             callback.members.nextToken     The value to provide in the `start` parameter to get the next set of results
+     * @return {Promise}                                           When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                             Error thrown when no group id has been provided
      */
-    var getMembers = exports.getMembers = function(groupId, start, limit, callback) {
+    var getMembers = exports.getMembers = utilAPI.promisify(function(groupId, start, limit, callback) {
         if (!groupId) {
             throw new Error('A valid group id should be provided');
         }
@@ -206,10 +215,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util'], function(exports, $,
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Update the members of a group
@@ -218,9 +227,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util'], function(exports, $,
      * @param  {Object}       members             A hash object where each key is the id of a user or group and the value is one of 'manager', 'member' or false. In case the value is false, the member will be deleted
      * @param  {Function}     [callback]          Standard callback function
      * @param  {Object}       [callback.err]      Error object containing error code and error message
+     * @return {Promise}                          When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                            Error thrown when not all of the required parameters have been provided
      */
-    var updateMembers = exports.updateMembers = function(groupId, members, callback) {
+    var updateMembers = exports.updateMembers = utilAPI.promisify(function(groupId, members, callback) {
         if (!groupId) {
             throw new Error('A valid group id should be provided');
         } else if (!members || _.keys(members).length === 0) {
@@ -235,13 +245,14 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util'], function(exports, $,
             'type': 'POST',
             'data': members,
             'success': function() {
+                cacheAPI.invalidate(groupId);
                 callback(null);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Return all of the groups that a user is a direct and indirect member of
@@ -254,9 +265,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util'], function(exports, $,
      * @param  {Object}       callback.memberships               Response object containing the groups the provided user is a member of and nextToken
      * @param  {Group[]}      callback.memberships.results       An array of groups representing the direct and indirect memberships of the provided user
      * @param  {String}       callback.memberships.nextToken     The value to provide in the `start` parameter to get the next set of results
+     * @return {Promise}                                         When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                           Error thrown when not all of the required parameters have been provided
      */
-    var memberOf = exports.memberOf = function(userId, start, limit, callback) {
+    var memberOf = exports.memberOf = utilAPI.promisify(function(userId, start, limit, callback) {
         // Default values
         userId = userId || require('oae.core').data.me.id;
         limit = limit || 10;
@@ -272,10 +284,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util'], function(exports, $,
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Join a group as the currently authenticated user
@@ -283,9 +295,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util'], function(exports, $,
      * @param  {String}       groupId             The id of the group that should be joined
      * @param  {Function}     [callback]          Standard callback function
      * @param  {Object}       [callback.err]      Error object containing error code and error message
+     * @return {Promise}                          When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                            Error thrown when no groupid has been provided
      */
-    var joinGroup = exports.joinGroup = function(groupId, callback) {
+    var joinGroup = exports.joinGroup = utilAPI.promisify(function(groupId, callback) {
         if (!groupId) {
             throw new Error('A valid group id should be provided');
         }
@@ -297,13 +310,14 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util'], function(exports, $,
             'url': '/api/group/' + groupId + '/join',
             'type': 'POST',
             'success': function(data) {
+                cacheAPI.invalidate(groupId);
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Leave a group as the currently authenticated user
@@ -311,9 +325,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util'], function(exports, $,
      * @param  {String}       groupId             The id of the group that should be left
      * @param  {Function}     [callback]          Standard callback function
      * @param  {Object}       [callback.err]      Error object containing error code and error message
+     * @return {Promise}                          When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                            Error thrown when no group id has been provided
      */
-    var leaveGroup = exports.leaveGroup = function(groupId, callback) {
+    var leaveGroup = exports.leaveGroup = utilAPI.promisify(function(groupId, callback) {
         if (!groupId) {
             throw new Error('A valid group id should be provided');
         }
@@ -325,13 +340,14 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util'], function(exports, $,
             'url': '/api/group/' + groupId + '/leave',
             'type': 'POST',
             'success': function(data) {
+                cacheAPI.invalidate(groupId);
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Delete a group
@@ -339,9 +355,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util'], function(exports, $,
      * @param  {String}     groupId             The id of the group to delete
      * @param  {Function}   [callback]          Standard callback function
      * @param  {Object}     [callback.err]      Error object containing the error code and error message
+     * @return {Promise}                        When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                          Error thrown when no group id has been provided
      */
-    var deleteGroup = exports.deleteGroup = function(groupId, callback) {
+    var deleteGroup = exports.deleteGroup = utilAPI.promisify(function(groupId, callback) {
         if (!groupId) {
             throw new Error('A valid group id should be provided');
         }
@@ -353,11 +370,12 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util'], function(exports, $,
             'url': '/api/group/' + groupId,
             'type': 'DELETE',
             'success': function(data) {
+                cacheAPI.invalidate(groupId);
                 callback();
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 });
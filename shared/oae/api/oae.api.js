@@ -21,10 +21,10 @@
  * This module is intended to be referenced as a *plugin*, not a regular module. Do not depend on this directly, instead depend
  * on `oae.core`, which invokes this plugin, and also efficiently pre-loads many third-party dependencies.
  */
-define(['underscore', 'oae.api.admin', 'oae.api.authentication', 'oae.api.config', 'oae.api.content', 'oae.api.comment', 'oae.api.discussion', 'oae.api.folder',
-        'oae.api.follow','oae.api.group', 'oae.api.i18n', 'oae.api.l10n', 'oae.api.lti', 'oae.api.meetingJitsi', 'oae.api.push', 'oae.api.user', 'oae.api.util', 'oae.api.widget'],
+define(['underscore', 'oae.api.admin', 'oae.api.authentication', 'oae.api.cache', 'oae.api.config', 'oae.api.content', 'oae.api.comment', 'oae.api.discussion', 'oae.api.error',
+        'oae.api.folder', 'oae.api.follow', 'oae.api.group', 'oae.api.i18n', 'oae.api.l10n', 'oae.api.lti', 'oae.api.meetingJitsi', 'oae.api.notification', 'oae.api.push', 'oae.api.queue', 'oae.api.user', 'oae.api.util', 'oae.api.widget'],
 
-    function(_, adminAPI, authenticationAPI, configAPI, contentAPI, commentAPI, discussionAPI, folderAPI, followAPI, groupAPI, i18nAPI, l10nAPI, ltiAPI, meetingJitsiAPI, pushAPI, userAPI, utilAPI, widgetAPI) {
+    function(_, adminAPI, authenticationAPI, cacheAPI, configAPI, contentAPI, commentAPI, discussionAPI, errorAPI, folderAPI, followAPI, groupAPI, i18nAPI, l10nAPI, ltiAPI, meetingJitsiAPI, notificationAPI, pushAPI, queueAPI, userAPI, utilAPI, widgetAPI) {
 
         /*!
          * Object containing all of the available OAE API modules and their functions, as well as some
@@ -34,10 +34,12 @@ define(['underscore', 'oae.api.admin', 'oae.api.authentication', 'oae.api.config
             'api': {
                 'admin': adminAPI,
                 'authentication': authenticationAPI,
+                'cache': cacheAPI,
                 'config': configAPI,
                 'content': contentAPI,
                 'comment': commentAPI,
                 'discussion': discussionAPI,
+                'error': errorAPI,
                 'folder': folderAPI,
                 'follow': followAPI,
                 'group': groupAPI,
@@ -46,6 +48,8 @@ define(['underscore', 'oae.api.admin', 'oae.api.authentication', 'oae.api.config
                 'lti' : ltiAPI,
                 'push': pushAPI,
                 'meetingJitsi': meetingJitsiAPI,
+                'notification': notificationAPI,
+                'queue': queueAPI,
                 'user': userAPI,
                 'util': utilAPI,
                 'widget': widgetAPI
@@ -53,6 +57,9 @@ define(['underscore', 'oae.api.admin', 'oae.api.authentication', 'oae.api.config
             'data': {}
         };
 
+        // The session storage key under which the mock mode state is kept
+        var MOCK_STORAGE_KEY = 'oae.api.mock';
+
         /*!
          * Initialize OAE after all of the API files have loaded. This will first of all fetch the current user's me
          * feed. Then, the localization API and the internationalization API will be initialized with the locale information
@@ -64,9 +71,29 @@ define(['underscore', 'oae.api.admin', 'oae.api.authentication', 'oae.api.config
             // using plugins that clear query string variables. We have to use a string because
             // `window.location` is stateful and can change
             oae.data.location = window.location.toString();
+            // Handle session expiry and network loss in the same way for all requests
+            setUpErrorHandlers();
+            // Serve all API requests from the local fixtures when the mock mode has been enabled. The mock
+            // API is only loaded in mock mode, which keeps it out of the optimized `oae.core` bundle
+            if (isMockEnabled()) {
+                return require(['oae.api.mock'], function(mockAPI) {
+                    oae.api.mock = mockAPI;
+                    oae.api.mock.init();
+                    initMe(callback);
+                });
+            }
+            initMe(callback);
+        };
+
+        /*!
+         * Fetch the current user's me feed and initialize the remaining APIs with the locale information that has
+         * been found in it. Once all APIs have been initialized, the full `oae` object will be passed to the callback
+         */
+        var initMe = function(callback) {
             // Get the me feed
             oae.api.user.getMe(function(err, meObj) {
                 if (err) {
+                    // Redirect to the appropriate page when the server is unavailable or undergoing maintenance
                     if (err.code === 502) {
                         return utilAPI.redirect().unavailable();
                     } else if (err.code === 503) {
@@ -126,6 +153,7 @@ define(['underscore', 'oae.api.admin', 'oae.api.authentication', 'oae.api.config
 
                                     // The APIs have now fully initialized. All javascript that
                                     // depends on the initialized core APIs can now execute
+                                    initialized = true;
                                     callback(oae);
 
                                     // We now load the widgets in the core HTML
@@ -157,6 +185,12 @@ define(['underscore', 'oae.api.admin', 'oae.api.authentication', 'oae.api.config
                                             // Ensure the push API is initialized
                                             oae.api.push.init();
                                         }
+
+                                        // Start sending any requests that were queued whilst the server couldn't be reached
+                                        oae.api.queue.init(oae.data.me);
+
+                                        // Apply the muted resources and individual read states to the unread notification count
+                                        oae.api.notification.init(oae.data.me);
                                     });
                                 });
                             });
@@ -167,6 +201,104 @@ define(['underscore', 'oae.api.admin', 'oae.api.authentication', 'oae.api.config
         };
 
 
+        /*!
+         * Check whether or not the mock mode has been enabled for the current browser tab. The mock mode is enabled
+         * by adding `?mock=1` to the URL of any page and stays enabled until `?mock=0` is added to the URL
+         *
+         * @return {Boolean}    `true` when the mock mode has been enabled, `false` otherwise
+         */
+        var isMockEnabled = function() {
+            var mock = /[?&]mock=([^&#]*)/.exec(window.location.search);
+            try {
+                if (mock) {
+                    window.sessionStorage.setItem(MOCK_STORAGE_KEY, mock[1]);
+                } else {
+                    mock = [null, window.sessionStorage.getItem(MOCK_STORAGE_KEY)];
+                }
+            } catch (err) {
+                // Session storage is not available, the mock mode will only apply to the current page
+            }
+
+            return Boolean(mock && mock[1] && mock[1] !== '0' && mock[1] !== 'false');
+        };
+
+
+        ////////////////////
+        // Error handling //
+        ////////////////////
+
+        // Variable that keeps track of whether or not the core APIs have been initialized
+        var initialized = false;
+
+        // Variable that keeps track of whether or not the validity of the current user's session is being checked
+        var checkingSession = false;
+
+        /**
+         * Register the global error handlers that deal with the errors that should be handled in the same
+         * way regardless of which widget made the failed request. Requests that couldn't reach the server
+         * will notify the user that the connection has been lost, requests to a server that is unavailable or
+         * undergoing maintenance will notify the user about that and authorization errors will check whether
+         * the current user's session has expired. Only the pages themselves know whether a failed request should
+         * redirect to an error page, which they do through `oae.api.util.redirect().fromError`
+         */
+        var setUpErrorHandlers = function() {
+            oae.api.error.registerHandler(function(err) {
+                // Errors can only be handled once the APIs have been initialized
+                if (!initialized) {
+                    return;
+                }
+
+                // Requests that have been queued will be retried automatically and notify
+                // the user themselves
+                if (err.type === oae.api.error.TYPE_NETWORK && !err.queued) {
+                    oae.api.util.notification(
+                        oae.api.i18n.translate('__MSG__CONNECTION_LOST__'),
+                        oae.api.i18n.translate('__MSG__SERVER_COULD_NOT_BE_REACHED__'),
+                        'error', 'oae-error-network');
+                } else if (err.code === 502) {
+                    oae.api.util.notification(
+                        oae.api.i18n.translate('__MSG__SERVER_UNAVAILABLE__'),
+                        oae.api.i18n.translate('__MSG__SERVER_IS_UNAVAILABLE_TRY_AGAIN_LATER__'),
+                        'error', 'oae-error-unavailable');
+                } else if (err.code === 503) {
+                    oae.api.util.notification(
+                        oae.api.i18n.translate('__MSG__MAINTENANCE__'),
+                        oae.api.i18n.translate('__MSG__SERVER_IS_UNDERGOING_MAINTENANCE_TRY_AGAIN_LATER__'),
+                        'error', 'oae-error-maintenance');
+                } else if (err.type === oae.api.error.TYPE_AUTH && !oae.data.me.anon) {
+                    checkSession();
+                }
+            });
+        };
+
+        /**
+         * Check whether the current user's session is still valid. When the session has expired, the user
+         * will be asked to sign in again. The page is not redirected straight away, as this would cause
+         * the user to lose any unsaved changes
+         */
+        var checkSession = function() {
+            if (checkingSession) {
+                return;
+            }
+
+            checkingSession = true;
+            oae.api.user.getMe(function(err, meObj) {
+                checkingSession = false;
+                if (err || !meObj.anon) {
+                    return;
+                }
+
+                var signInUrl = '/?url=' + encodeURIComponent(oae.api.util.url().attr('relative'));
+                oae.api.util.notification(
+                    oae.api.i18n.translate('__MSG__SESSION_EXPIRED__'),
+                    oae.api.i18n.translate('__MSG__SESSION_EXPIRED_SIGN_IN_AGAIN__', null, {
+                        'signInUrl': signInUrl
+                    }),
+                    'error', 'oae-error-session-expired');
+            });
+        };
+
+
         /////////////////////
         // Pre-use actions //
         /////////////////////
@@ -122,6 +122,25 @@ define(['exports', 'jquery', 'underscore', 'oae.api.config', 'globalize'], funct
         }
     };
 
+    /**
+     * Function that will take a date and convert it into the localized name of the day of the week, conforming
+     * with the conventions for the user's current locale and taking the user's browser timezone into account.
+     *
+     * e.g. Monday
+     *
+     * @param  {Date|Number}    date        Javascript date object or milliseconds since epoch that needs to be converted into a localized day of the week
+     * @return {String}                     Localized name of the day of the week
+     * @throws {Error}                      Error thrown when no date has been provided
+     */
+    var transformWeekday = exports.transformWeekday = function(date) {
+        if (!date) {
+            throw new Error('A date must be provided');
+        }
+
+        date = parseDate(date);
+        return Globalize.format(date, 'dddd');
+    };
+
     /**
      * Function that will take a number and convert it into a localized number with correct punctuations,
      * conforming with the conventions for the user's current locale.
@@ -13,7 +13,7 @@
  * permissions and limitations under the License.
  */
 
-define(['exports', 'jquery', 'underscore', 'oae.api.util'], function(exports, $, _, utilAPI) {
+define(['exports', 'jquery', 'underscore', 'oae.api.error', 'oae.api.util'], function(exports, $, _, errorAPI, utilAPI) {
 
     /**
      * Create a LTI tool
@@ -27,9 +27,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util'], function(exports, $,
      * @param  {Function}          [callback]               Standard callback function
      * @param  {Object}            [callback.err]           Error object containing error code and error message
      * @param  {LtiTool}           [callback.ltiTool]       A LTI tool object representing the created LTI tool
+     * @return {Promise}                                    When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                      Error thrown when not all of the required parameters have been provided
      */
-    var createLtiTool = exports.createLtiTool = function (groupId, url, secret, key, displayName, description, callback) {
+    var createLtiTool = exports.createLtiTool = utilAPI.promisify(function (groupId, url, secret, key, displayName, description, callback) {
         if (!groupId) {
             throw new Error('A group ID should be provided');
         } else if (!url) {
@@ -59,10 +60,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util'], function(exports, $,
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Launch a LTI tool
@@ -72,9 +73,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util'], function(exports, $,
      * @param  {Function}     callback            Standard callback function
      * @param  {Object}       callback.err        Error object containing error code and error message
      * @param  {LtiTool}      callback.ltiTool    The LTI tool object representing the requested LTI tool
+     * @return {Promise}                          When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                            Error thrown when no LTI tool id has been provided
      */
-    var launchLtiTool = exports.launchLtiTool = function(groupId, toolId, callback) {
+    var launchLtiTool = exports.launchLtiTool = utilAPI.promisify(function(groupId, toolId, callback) {
         if (!groupId){
             throw new Error('A valid group ID should be provided');
         } else if (!toolId) {
@@ -87,10 +89,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util'], function(exports, $,
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Get all the LTI tools for a group
@@ -99,9 +101,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util'], function(exports, $,
      * @param  {Function}       callback                        Standard callback function
      * @param  {Object}         callback.err                    Error object containing error code and error message
      * @param  {Object}         callback.tools                  Response object containing the LTI tool invitations
+     * @return {Promise}                                        When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                          Error thrown when no group id has been provided
      */
-    var getLtiTools = exports.getLtiTools = function(groupId, callback) {
+    var getLtiTools = exports.getLtiTools = utilAPI.promisify(function(groupId, callback) {
         if (!groupId) {
             throw new Error('A valid group ID should be provided');
         }
@@ -112,21 +115,22 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util'], function(exports, $,
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
-   /**
+    /**
      * Delete a LTI tool
      *
      * @param  {String}     groupId             The id of the group in which the LTI tool resides
      * @param  {String}     toolId              The id of the LTI tool to delete
      * @param  {Function}   [callback]          Standard callback function
      * @param  {Object}     [callback.err]      Error object containing the error code and error message
+     * @return {Promise}                        When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                          Error thrown when no group id or LTI tool id has been provided
      */
-    var deleteLtiTool = exports.deleteLtiTool = function(groupId, toolId, callback) {
+    var deleteLtiTool = exports.deleteLtiTool = utilAPI.promisify(function(groupId, toolId, callback) {
         if (!groupId){
             throw new Error('A valid group ID should be provided');
         } else if (!toolId) {
@@ -143,8 +147,8 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util'], function(exports, $,
                 callback();
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 });
@@ -13,7 +13,7 @@
  * permissions and limitations under the License.
  */
 
-define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
+define(['exports', 'jquery', 'underscore', 'oae.api.cache', 'oae.api.error', 'oae.api.util'], function(exports, $, _, cacheAPI, errorAPI, utilAPI) {
 
     /**
      * Create a new meeting
@@ -29,9 +29,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
      * @param  {Function}       [callback]                Standard callback function
      * @param  {Object}         [callback.err]            Error object containing error code and error message
      * @param  {Meeting}        [callback.meeting]        Meeting object representing the created meeting
+     * @return {Promise}                                  When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                    Error thrown when no meeting topic has been provided
      */
-    var createMeeting = exports.createMeeting = function (displayName, description, chat, contactList, visibility, managers, members, callback) {
+    var createMeeting = exports.createMeeting = utilAPI.promisify(function (displayName, description, chat, contactList, visibility, managers, members, callback) {
 
         if (!displayName) {
             throw new Error('A valid display name should be provided');
@@ -58,11 +59,11 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
                 return callback(null, data);
             },
             'error': function (jqXHR, textStatus) {
-                return callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                return callback(errorAPI.createError(jqXHR, this.url));
             }
         });
 
-    };
+    });
 
     /**
      * Get a full meeting profile
@@ -71,9 +72,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
      * @param  {Function}     callback              Standard callback function
      * @param  {Object}       callback.err          Error object containing error code and error message
      * @param  {Meeting}      callback.meeting      Meeting object representing the retrieved meeting
+     * @return {Promise}                            When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                              Error thrown when no meeting id has been provided
      */
-    var getMeeting = exports.getMeeting = function (meetingId, callback) {
+    var getMeeting = exports.getMeeting = utilAPI.promisify(function (meetingId, callback) {
 
         if (!meetingId) {
             throw new Error('A valid meeting id should be provided');
@@ -82,17 +84,19 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
         // Set a default callback function in case no callback function has been provided
         callback = callback || function() {};
 
-        $.ajax({
-            'url': '/api/meeting-jitsi/' + meetingId,
-            'success': function (data) {
-                return callback(null, data);
-            },
-            'error': function (jqXHR, textStatus) {
-                return callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
-            }
-        });
+        cacheAPI.get('meeting', meetingId, function(fetchCallback) {
+            $.ajax({
+                'url': '/api/meeting-jitsi/' + meetingId,
+                'success': function (data) {
+                    return fetchCallback(null, data);
+                },
+                'error': function (jqXHR, textStatus) {
+                    return fetchCallback(errorAPI.createError(jqXHR, this.url));
+                }
+            });
+        }, callback);
 
-    };
+    });
 
     /**
      * Get all the invitations for a meeting
@@ -102,9 +106,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
      * @param  {Object}         callback.err                    Error object containing error code and error message
      * @param  {Object}         callback.invitations            Response object containing the meeting invitations
      * @param  {Invitation[]}   callback.invitations.results    Every invitation associated to the meeting
+     * @return {Promise}                                        When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                          Error thrown when no meeting id has been provided
      */
-    var getInvitations = exports.getInvitations = function (meetingId, callback) {
+    var getInvitations = exports.getInvitations = utilAPI.promisify(function (meetingId, callback) {
 
         if (!meetingId) {
             throw new Error('A valid meeting id should be provided');
@@ -119,11 +124,11 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
                 return callback(null, data);
             },
             'error': function (jqXHR, textStatus) {
-                return callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                return callback(errorAPI.createError(jqXHR, this.url));
             }
         });
 
-    };
+    });
 
     /**
      * Update a meeting's metadata
@@ -133,9 +138,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
      * @param  {Function}     [callback]                  Standard callback function
      * @param  {Object}       [callback.err]              Error object containing error code and error message
      * @param  {Meeting}      [callback.meeting]          Meeting object representing the updated meeting
+     * @return {Promise}                                  When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                    Error thrown when not all of the required parameters have been provided
      */
-    var updateMeeting = exports.updateMeeting = function (meetingId, params, callback) {
+    var updateMeeting = exports.updateMeeting = utilAPI.promisify(function (meetingId, params, callback) {
 
         if (!meetingId) {
             throw new Error('A valid meeting id should be provided');
@@ -151,23 +157,25 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
             'type': 'PUT',
             'data': params,
             'success': function (data) {
+                cacheAPI.invalidate(meetingId);
                 return callback(null, data);
             },
             'error': function (jqXHR, textStatus) {
-                return callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                return callback(errorAPI.createError(jqXHR, this.url));
             }
         });
 
-    };
+    });
 
     /**
      * Delete a meeting
      *
      * @param   {String}      meetingId         Id of the meeting we're trying to delete
      * @param   {function}    [callback]        Standard callback function
+     * @return  {Promise}                       When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws  {Error}                         Error thrown when not all of the required parameters have been provided
      */
-    var deleteMeeting = exports.deleteMeeting = function (meetingId, callback) {
+    var deleteMeeting = exports.deleteMeeting = utilAPI.promisify(function (meetingId, callback) {
 
         if (!meetingId) {
             throw new Error('A valid meeting id should be provided');
@@ -180,14 +188,15 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
             'url': '/api/meeting-jitsi/' + meetingId,
             'type': 'DELETE',
             'success': function () {
+                cacheAPI.invalidate(meetingId);
                 return callback(null);
             },
             'error': function (jqXHR, textStatus) {
-                return callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                return callback(errorAPI.createError(jqXHR, this.url));
             }
         });
 
-    };
+    });
 
     /**
      * Delete a meeting from a meeting library
@@ -196,9 +205,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
      * @param   {String}      meetingId             Id of the meeting we're trying to delete from the library
      * @param   {Function}    [callback]            Standard callback function
      * @param   {Object}      [callback.err]        Error object containing error code and error message
+     * @return {Promise}                            When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws  {Error}                             Error thrown when not all of the required parameters have been provided
      */
-    var deleteMeetingFromLibrary = exports.deleteMeetingFromLibrary = function (principalId, meetingId, callback) {
+    var deleteMeetingFromLibrary = exports.deleteMeetingFromLibrary = utilAPI.promisify(function (principalId, meetingId, callback) {
 
         if (!principalId) {
             throw new Error('A valid user or group id should be provided');
@@ -213,14 +223,15 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
             'url': '/api/meeting-jitsi/library/' + principalId + '/' + meetingId,
             'type': 'DELETE',
             'success': function () {
+                cacheAPI.invalidate(meetingId);
                 return callback(null);
             },
             'error': function(jqXHR, textStatus) {
-                return callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                return callback(errorAPI.createError(jqXHR, this.url));
             }
         });
 
-    };
+    });
 
     /**
      * Change the members and managers of a meeting
@@ -229,9 +240,10 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
      * @param  {Object}       updatedMembers        JSON Object where the keys are the user/group ids we want to update membership for, and the values are the roles these members should get (manager or viewer). If false is passed in as a role, the principal will be removed as a member
      * @param  {Function}     [callback]            Standard callback function
      * @param  {Object}       [callback.err]        Error object containing error code and error message
+     * @return {Promise}                            When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                              Error thrown when not all of the required parameters have been provided
      */
-    var updateMembers = exports.updateMembers = function (meetingId, updatedMembers, callback) {
+    var updateMembers = exports.updateMembers = utilAPI.promisify(function (meetingId, updatedMembers, callback) {
 
         if (!meetingId) {
             throw new Error('A valid meeting id should be provided');
@@ -247,22 +259,24 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
             'type': 'PUT',
             'data': updatedMembers,
             'success': function () {
+                cacheAPI.invalidate(meetingId);
                 return callback(null);
             },
             'error': function (jqXHR, textStatus) {
-                return callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                return callback(errorAPI.createError(jqXHR, this.url));
             }
         });
 
-    };
+    });
 
     /**
      * Start a meeting
      *
      * @param {any} meetingId
      * @param {any} callback
+     * @return {Promise} When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      */
-    var startMeeting = exports.startMeeting = function (meetingId, callback) {
+    var startMeeting = exports.startMeeting = utilAPI.promisify(function (meetingId, callback) {
 
         if (!meetingId) {
             throw new Error('A valid meeting id should be provided');
@@ -278,8 +292,8 @@ define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
                 return callback(null);
             },
             'error': function(jqXHR, textStatus) {
-                return callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                return callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 });
@@ -0,0 +1,1011 @@
+/*!
+ * Copyright 2017 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+/*!
+ * The mock API allows for the UI to be run without a back-end. When the mock mode is enabled, all requests
+ * to `/api/*` are intercepted and served from the fixtures in `/shared/oae/mock/fixtures.json`, and the
+ * websocket used for push notifications is replaced by a local stand-in. All changes made whilst in mock
+ * mode (e.g. new comments) are kept in memory and will be lost when the page is reloaded.
+ *
+ * The mock mode is enabled by adding `?mock=1` to the URL of any page. It will stay enabled for the current
+ * browser tab until it is disabled again by adding `?mock=0` to the URL. This module is only loaded when the
+ * mock mode has been enabled, and is therefore not part of the optimized `oae.core` bundle.
+ */
+define(['exports', 'jquery', 'underscore'], function(exports, $, _) {
+
+    // The url from which the fixtures are loaded
+    var FIXTURES_URL = '/shared/oae/mock/fixtures.json';
+
+    // Time in milliseconds that every mocked response is delayed by, to simulate network latency
+    var RESPONSE_DELAY = 150;
+
+    // Expiry time in milliseconds of the mocked signatures used for push notification subscriptions
+    var SIGNATURE_EXPIRY = 86400000;
+
+    // Mapping between the resource id prefixes and the resource types
+    var RESOURCE_TYPES = {
+        'c': 'content',
+        'd': 'discussion',
+        'f': 'folder',
+        'g': 'group',
+        'u': 'user'
+    };
+
+    // Variable that keeps track of the registered routes, in the order in which they should be matched
+    var routes = [];
+
+    // Variable that keeps track of the in-memory data store that is seeded from the fixtures. This will
+    // be a promise until the fixtures have been loaded, and will be rejected when they could not be loaded
+    var store = null;
+
+    // Variable that keeps track of the websocket stand-in, if one has been created
+    var mockSocket = null;
+
+    /**
+     * Enable the mock mode by intercepting all requests to `/api/*` and by replacing the websocket
+     * used for push notifications. The fixtures are loaded in the background, and the intercepted
+     * requests will be answered once the fixtures have been loaded
+     *
+     * @api private
+     */
+    var init = exports.init = function() {
+        if (store) {
+            return;
+        }
+
+        store = $.Deferred();
+        $.ajax({
+            'url': FIXTURES_URL,
+            'dataType': 'json',
+            'success': function(fixtures) {
+                store.resolve(createStore(fixtures));
+            },
+            'error': function() {
+                store.reject({'code': 500, 'msg': 'Could not load the mock fixtures from ' + FIXTURES_URL});
+            }
+        });
+
+        // Intercept all requests made to the API
+        $.ajaxTransport('+*', function(options) {
+            var path = options.url.split('?')[0];
+            if (path.indexOf('/api/') !== 0) {
+                return;
+            }
+
+            var timeout = null;
+            return {
+                'send': function(headers, complete) {
+                    timeout = setTimeout(function() {
+                        handleRequest(options, function(err, data) {
+                            if (err) {
+                                return complete(err.code, 'error', {'text': err.msg});
+                            } else if (data === undefined) {
+                                return complete(204, 'nocontent', {});
+                            }
+
+                            complete(200, 'success', {'text': JSON.stringify(data)}, 'Content-Type: application/json');
+                        });
+                    }, RESPONSE_DELAY);
+                },
+                'abort': function() {
+                    clearTimeout(timeout);
+                }
+            };
+        });
+
+        // Replace the websocket implementation used by the push API
+        window.SockJS = MockSockJS;
+    };
+
+    /**
+     * Register a mocked API endpoint. Routes that are registered later take precedence over routes that
+     * were registered earlier, which allows for the default routes to be overridden (e.g. to simulate an
+     * error in a specific widget).
+     *
+     * The handler will be invoked with the parsed request and the in-memory data store. Path parameters
+     * are declared with a colon (e.g. `/api/content/:contentId`) and are made available on `request.params`.
+     *
+     * @param  {String}     type                            The request method (e.g. `GET`, `POST`)
+     * @param  {String}     path                            The path of the endpoint
+     * @param  {Function}   handler                         Function that handles the request
+     * @param  {Object}     handler.request                 The parsed request
+     * @param  {String}     handler.request.path            The path of the request
+     * @param  {Object}     handler.request.params          The values of the path parameters
+     * @param  {Object}     handler.request.data            The query string or request body parameters. For multipart requests, only the form fields are included
+     * @param  {Object}     handler.store                   The in-memory data store
+     * @param  {Function}   handler.callback                Standard callback function
+     * @param  {Object}     handler.callback.err            Error object containing error code and error message
+     * @param  {Object}     [handler.callback.data]         The response data. When no data is provided, an empty response will be returned
+     * @throws {Error}                                      Error thrown when not all of the required parameters have been provided
+     */
+    var registerRoute = exports.registerRoute = function(type, path, handler) {
+        if (!type) {
+            throw new Error('A valid request method should be provided');
+        } else if (!path) {
+            throw new Error('A valid path should be provided');
+        } else if (!_.isFunction(handler)) {
+            throw new Error('A valid handler function should be provided');
+        }
+
+        var paramNames = [];
+        var pattern = path.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/:(\w+)/g, function(match, paramName) {
+            paramNames.push(paramName);
+            return '([^/]+)';
+        });
+
+        routes.unshift({
+            'type': type.toUpperCase(),
+            'regex': new RegExp('^' + pattern + '$'),
+            'paramNames': paramNames,
+            'handler': handler
+        });
+    };
+
+    /**
+     * Simulate an incoming push notification. This allows for widgets that update on the fly to be
+     * developed without a back-end
+     *
+     * @param  {String}         resourceId      The id of the resource on which channel the message should be sent
+     * @param  {String}         streamType      The stream type of the message (e.g. `activity`, `message`)
+     * @param  {Activity[]}     activities      The activities that should be sent, in the format the subscriber expects
+     * @throws {Error}                          Error thrown when no push connection has been established
+     */
+    var sendPushMessage = exports.sendPushMessage = function(resourceId, streamType, activities) {
+        if (!mockSocket) {
+            throw new Error('The push API has not been initialized');
+        }
+
+        mockSocket.receive({
+            'resourceId': resourceId,
+            'streamType': streamType,
+            'activities': activities
+        });
+    };
+
+    //////////////////
+    // REQUEST FLOW //
+    //////////////////
+
+    /**
+     * Find the route that matches an intercepted request and invoke its handler once the fixtures have been loaded.
+     * When the fixtures could not be loaded, the request will fail
+     *
+     * @param  {Object}         options             The jQuery ajax options of the intercepted request
+     * @param  {Function}       callback            Standard callback function
+     * @param  {Object}         callback.err        Error object containing error code and error message
+     * @param  {Object}         callback.data       The response data
+     * @api private
+     */
+    var handleRequest = function(options, callback) {
+        var urlParts = options.url.split('?');
+        var type = (options.type || 'GET').toUpperCase();
+        var request = {
+            'path': urlParts[0],
+            'params': {},
+            'data': parseParameters(urlParts[1])
+        };
+        if (_.isString(options.data)) {
+            _.extend(request.data, parseParameters(options.data));
+        } else if (window.FormData && options.data instanceof window.FormData) {
+            // Files are uploaded as multipart form data. Only the form fields are made available, as the
+            // uploaded files are not kept
+            var fields = [];
+            options.data.forEach(function(value, key) {
+                if (_.isString(value)) {
+                    fields.push(encodeURIComponent(key) + '=' + encodeURIComponent(value));
+                }
+            });
+            _.extend(request.data, parseParameters(fields.join('&')));
+        }
+
+        var route = _.find(routes, function(route) {
+            return route.type === type && route.regex.test(request.path);
+        });
+        if (!route) {
+            return callback({'code': 404, 'msg': 'No mocked response is available for ' + type + ' ' + request.path});
+        }
+
+        var values = route.regex.exec(request.path).slice(1);
+        _.each(route.paramNames, function(paramName, index) {
+            request.params[paramName] = decodeURIComponent(values[index]);
+        });
+
+        store.done(function(data) {
+            route.handler(request, data, callback);
+        }).fail(callback);
+    };
+
+    /**
+     * Parse a URL encoded query string or request body. Array parameters can either be provided
+     * using the traditional serialization (`a=1&a=2`) or using brackets (`a[]=1&a[]=2`)
+     *
+     * @param  {String}     [parameters]    The URL encoded parameters
+     * @return {Object}                     The parsed parameters
+     * @api private
+     */
+    var parseParameters = function(parameters) {
+        var parsed = {};
+        _.each((parameters || '').split('&'), function(parameter) {
+            if (!parameter) {
+                return;
+            }
+
+            var parts = parameter.split('=');
+            var key = decodeURIComponent(parts[0].replace(/\+/g, ' '));
+            var value = decodeURIComponent((parts[1] || '').replace(/\+/g, ' '));
+
+            var isArray = /\[\]$/.test(key);
+            key = key.replace(/\[\]$/, '');
+            if (isArray || _.has(parsed, key)) {
+                parsed[key] = _.isArray(parsed[key]) ? parsed[key] : _.compact([parsed[key]]);
+                parsed[key].push(value);
+            } else {
+                parsed[key] = value;
+            }
+        });
+        return parsed;
+    };
+
+    ////////////////
+    // DATA STORE //
+    ////////////////
+
+    /**
+     * Create the in-memory data store from the fixtures
+     *
+     * @param  {Object}     fixtures    The fixtures as defined in `/shared/oae/mock/fixtures.json`
+     * @return {Object}                 The in-memory data store
+     * @api private
+     */
+    var createStore = function(fixtures) {
+        var now = Date.now();
+        var data = {
+            'me': fixtures.me,
+            'tenant': fixtures.tenant,
+            'widgets': fixtures.widgets,
+            'config': fixtures.config,
+            'entities': {},
+            'comments': {},
+            'following': fixtures.following || {},
+            'activities': [],
+            'notifications': [],
+            'notificationsLastRead': 0
+        };
+
+        _.each(['users', 'groups', 'content', 'discussions', 'folders'], function(collection) {
+            _.each(fixtures[collection], function(entity) {
+                entity = _.extend({'members': {}}, entity, {
+                    'created': now - (entity.ago || 0)
+                });
+                entity.lastModified = entity.created;
+                delete entity.ago;
+                data.entities[entity.id] = entity;
+            });
+        });
+
+        var comments = [];
+        _.each(fixtures.comments, function(comment) {
+            var replyTo = _.isNumber(comment.replyTo) ? comments[comment.replyTo] : null;
+            comments.push(addComment(data, comment.resourceId, comment.createdBy, comment.body, replyTo ? replyTo.created : null, now - comment.ago));
+        });
+
+        _.each(['activities', 'notifications'], function(collection) {
+            _.each(fixtures[collection], function(activity, index) {
+                data[collection].push(_.extend({}, activity, {
+                    'id': collection + '-' + index,
+                    'published': now - activity.ago
+                }));
+            });
+        });
+
+        return data;
+    };
+
+    /**
+     * Get the resource type of an entity based on its id
+     *
+     * @param  {String}     id      The id of the entity
+     * @return {String}             The resource type of the entity (e.g. `content`, `user`)
+     * @api private
+     */
+    var getResourceType = function(id) {
+        return RESOURCE_TYPES[id.split(':')[0]];
+    };
+
+    /**
+     * Get an entity from the data store, formatted the way the back-end would return it
+     *
+     * @param  {Object}     data        The in-memory data store
+     * @param  {String}     id          The id of the entity
+     * @return {Object}                 The formatted entity. This will be `null` if the entity does not exist
+     * @api private
+     */
+    var getProfile = function(data, id) {
+        var entity = data.entities[id];
+        if (!entity) {
+            return null;
+        }
+
+        var resourceType = getResourceType(id);
+        var role = getRole(data, entity, data.me);
+        var profile = _.extend(_.omit(entity, 'members', 'contents'), {
+            'tenant': _.pick(data.tenant, 'alias', 'displayName'),
+            'resourceType': resourceType,
+            'profilePath': '/' + resourceType + '/' + data.tenant.alias + '/' + id.split(':')[2],
+            'picture': entity.picture || {},
+            'signature': {
+                'signature': 'mock',
+                'expires': Date.now() + SIGNATURE_EXPIRY
+            }
+        });
+
+        if (resourceType === 'user') {
+            profile.isFollowing = _.contains(data.following[data.me], id);
+            profile.canFollow = id !== data.me;
+        } else {
+            profile.isManager = role === 'manager';
+            profile.isMember = Boolean(role);
+            profile.canShare = true;
+            profile.canJoin = !role && entity.joinable === 'yes';
+            profile.canRequest = !role && entity.joinable === 'request';
+            if (entity.createdBy) {
+                profile.createdBy = getProfile(data, entity.createdBy);
+            }
+            if (resourceType === 'content' && entity.resourceSubType === 'file') {
+                profile.previews = {'status': 'ignored'};
+            }
+        }
+
+        return profile;
+    };
+
+    /**
+     * Get the role a principal has on an entity, either directly or through one of its groups
+     *
+     * @param  {Object}     data            The in-memory data store
+     * @param  {Object}     entity          The entity for which to get the role
+     * @param  {String}     principalId     The id of the principal for which to get the role
+     * @return {String}                     The role of the principal on the entity. This will be `undefined` if the principal is not a member
+     * @api private
+     */
+    var getRole = function(data, entity, principalId) {
+        if (entity.members[principalId]) {
+            return entity.members[principalId];
+        }
+
+        var groupRoles = _.chain(entity.members).keys().filter(function(memberId) {
+            var member = data.entities[memberId];
+            return getResourceType(memberId) === 'group' && member && member.members[principalId];
+        }).map(function(groupId) {
+            return entity.members[groupId];
+        }).value();
+
+        return _.contains(groupRoles, 'manager') ? 'manager' : _.first(groupRoles);
+    };
+
+    /**
+     * Get the entities of a resource type in the library of a principal
+     *
+     * @param  {Object}     data            The in-memory data store
+     * @param  {String}     resourceType    The resource type of the entities to get
+     * @param  {String}     principalId     The id of the principal for which to get the library
+     * @return {Object[]}                   The formatted entities in the library, most recently modified first
+     * @api private
+     */
+    var getLibrary = function(data, resourceType, principalId) {
+        return _.chain(data.entities).filter(function(entity) {
+            return getResourceType(entity.id) === resourceType && getRole(data, entity, principalId);
+        }).sortBy(function(entity) {
+            return -entity.lastModified;
+        }).map(function(entity) {
+            return getProfile(data, entity.id);
+        }).value();
+    };
+
+    /**
+     * Add a comment to a resource in the data store
+     *
+     * @param  {Object}     data            The in-memory data store
+     * @param  {String}     resourceId      The id of the resource the comment is made on
+     * @param  {String}     userId          The id of the user that made the comment
+     * @param  {String}     body            The body of the comment
+     * @param  {String}     [replyTo]       The `created` timestamp of the comment this comment is a reply to
+     * @param  {Number}     [created]       The timestamp at which the comment was made. Defaults to now
+     * @return {Object}                     The stored comment
+     * @api private
+     */
+    var addComment = function(data, resourceId, userId, body, replyTo, created) {
+        var comments = data.comments[resourceId] = data.comments[resourceId] || [];
+        var parent = _.findWhere(comments, {'created': replyTo});
+        created = String(created || Date.now());
+
+        var comment = {
+            'id': resourceId + '#' + created,
+            'messageBoxId': resourceId,
+            'body': body,
+            'createdBy': userId,
+            'created': created,
+            'level': parent ? parent.level + 1 : 0,
+            'replyTo': parent ? parent.created : undefined,
+            'reactions': {}
+        };
+        comment.threadKey = (parent ? parent.threadKey.replace(/\|$/, '#') : '') + comment.created + '|';
+
+        comments.push(comment);
+        return comment;
+    };
+
+    /**
+     * Get a comment from the data store, formatted the way the back-end would return it
+     *
+     * @param  {Object}     data            The in-memory data store
+     * @param  {Object}     comment         The stored comment
+     * @return {Comment}                    The formatted comment
+     * @api private
+     */
+    var getComment = function(data, comment) {
+        var reactions = {};
+        _.each(comment.reactions, function(userIds, reaction) {
+            reactions[reaction] = _.map(userIds, function(userId) {
+                return _.pick(getProfile(data, userId), 'id', 'displayName', 'profilePath');
+            });
+        });
+
+        return _.extend({}, comment, {
+            'createdBy': getProfile(data, comment.createdBy),
+            'reactions': reactions
+        });
+    };
+
+    /**
+     * Get an activity from the data store, formatted in the `activitystreams` format
+     *
+     * @param  {Object}     data            The in-memory data store
+     * @param  {Object}     activity        The stored activity
+     * @return {Activity}                   The formatted activity
+     * @api private
+     */
+    var getActivity = function(data, activity) {
+        var formattedActivity = {
+            'oae:activityId': activity.id,
+            'oae:activityType': activity.activityType,
+            'verb': activity.verb,
+            'published': activity.published
+        };
+        _.each(['actor', 'object', 'target'], function(entityType) {
+            var profile = activity[entityType] && getProfile(data, activity[entityType]);
+            if (profile) {
+                formattedActivity[entityType] = {
+                    'objectType': profile.resourceType,
+                    'id': 'http://' + data.tenant.host + '/api/' + profile.resourceType + '/' + profile.id,
+                    'url': profile.profilePath,
+                    'displayName': profile.displayName,
+                    'oae:id': profile.id,
+                    'oae:profilePath': profile.profilePath,
+                    'oae:resourceSubType': profile.resourceSubType,
+                    'oae:mimeType': profile.mime,
+                    'oae:tenant': profile.tenant,
+                    'oae:visibility': profile.visibility
+                };
+            }
+        });
+        return formattedActivity;
+    };
+
+    /**
+     * Create a paged response for a list of results, using the `start` and `limit` parameters of the request
+     *
+     * @param  {Object}     request         The parsed request
+     * @param  {Object[]}   results         All of the results
+     * @return {Object}                     The paged response, containing the `results` for the requested page and the `nextToken` for the next page
+     * @api private
+     */
+    var getPage = function(request, results) {
+        var start = parseInt(request.data.start, 10) || 0;
+        var limit = parseInt(request.data.limit, 10) || 10;
+        var page = results.slice(start, start + limit);
+        return {
+            'results': page,
+            'nextToken': start + limit < results.length ? String(start + limit) : null
+        };
+    };
+
+    /**
+     * Create a search response for a list of results, filtering the results on the `q` parameter of the request
+     *
+     * @param  {Object}     request         The parsed request
+     * @param  {Object[]}   results         All of the results
+     * @return {Object}                     The search response, containing the `results` for the requested page and the `total` number of matching results
+     * @api private
+     */
+    var getSearchResults = function(request, results) {
+        var query = $.trim(request.data.q || '').toLowerCase();
+        if (query && query !== '*') {
+            results = _.filter(results, function(result) {
+                return (result.displayName || '').toLowerCase().indexOf(query) !== -1;
+            });
+        }
+
+        var start = parseInt(request.data.start, 10) || 0;
+        var limit = parseInt(request.data.limit, 10) || 10;
+        return {
+            'results': results.slice(start, start + limit),
+            'total': results.length
+        };
+    };
+
+    /**
+     * Get a callback function that responds with the profile of an entity or with a 404 error when the entity does not exist
+     *
+     * @param  {Function}       callback        Standard callback function
+     * @param  {Object}         data            The in-memory data store
+     * @param  {String}         id              The id of the entity
+     * @api private
+     */
+    var respondWithProfile = function(callback, data, id) {
+        var profile = getProfile(data, id);
+        if (!profile) {
+            return callback({'code': 404, 'msg': 'Could not find resource ' + id});
+        }
+        callback(null, profile);
+    };
+
+    /**
+     * Create a new entity in the data store, with the current user as its manager
+     *
+     * @param  {Object}     data            The in-memory data store
+     * @param  {String}     prefix          The resource id prefix of the entity (e.g. `c`)
+     * @param  {Object}     properties      The properties of the entity
+     * @return {Object}                     The formatted entity
+     * @api private
+     */
+    var createEntity = function(data, prefix, properties) {
+        var entity = _.extend({}, properties, {
+            'id': prefix + ':' + data.tenant.alias + ':' + _.uniqueId('mock'),
+            'createdBy': data.me,
+            'created': Date.now(),
+            'lastModified': Date.now(),
+            'members': {}
+        });
+        entity.members[data.me] = 'manager';
+        _.each(_.flatten([properties.managers || []]), function(managerId) {
+            entity.members[managerId] = 'manager';
+        });
+        _.each(_.flatten([properties.viewers || properties.members || []]), function(memberId) {
+            entity.members[memberId] = prefix === 'c' || prefix === 'f' ? 'viewer' : 'member';
+        });
+
+        data.entities[entity.id] = _.omit(entity, 'managers', 'viewers');
+        return getProfile(data, entity.id);
+    };
+
+    ////////////
+    // ROUTES //
+    ////////////
+
+    /**
+     * Register the routes that are needed to load the pages and the core widgets
+     *
+     * @api private
+     */
+    var registerDefaultRoutes = function() {
+
+        // Configuration and static files
+
+        registerRoute('GET', '/api/config', function(request, data, callback) {
+            callback(null, data.config);
+        });
+
+        registerRoute('GET', '/api/tenant', function(request, data, callback) {
+            callback(null, data.tenant);
+        });
+
+        registerRoute('GET', '/api/tenant/landingPage', function(request, data, callback) {
+            callback(null, []);
+        });
+
+        registerRoute('GET', '/api/ui/widgets', function(request, data, callback) {
+            var manifests = {};
+            var requests = _.map(data.widgets, function(widgetPath) {
+                var widgetName = widgetPath.split('/').pop();
+                return $.ajax({
+                    'url': '/node_modules/' + widgetPath + '/manifest.json',
+                    'dataType': 'json',
+                    'success': function(manifest) {
+                        manifests[widgetName] = _.extend(manifest, {
+                            'id': widgetName,
+                            'path': widgetPath + '/'
+                        });
+                    }
+                });
+            });
+
+            // Widgets for which the manifest can't be loaded are left out
+            $.when.apply($, requests).always(function() {
+                callback(null, manifests);
+            });
+        });
+
+        registerRoute('GET', '/api/ui/staticbatch', function(request, data, callback) {
+            var files = {};
+            var requests = _.map(_.flatten([request.data.files]), function(path) {
+                files[path] = null;
+                return $.ajax({
+                    'url': path,
+                    'dataType': 'text',
+                    'success': function(file) {
+                        files[path] = file;
+                    }
+                });
+            });
+
+            // Files that can't be found are returned as `null`
+            $.when.apply($, requests).always(function() {
+                callback(null, files);
+            });
+        });
+
+        // Users
+
+        registerRoute('GET', '/api/me', function(request, data, callback) {
+            var unread = _.filter(data.notifications, function(notification) {
+                return notification.published > data.notificationsLastRead && notification.unread !== false;
+            });
+
+            callback(null, _.extend(getProfile(data, data.me), {
+                'anon': false,
+                'isGlobalAdmin': false,
+                'needsToAcceptTC': false,
+                'notificationsUnread': unread.length,
+                'notificationsLastRead': data.notificationsLastRead
+            }));
+        });
+
+        registerRoute('GET', '/api/user/:id', function(request, data, callback) {
+            respondWithProfile(callback, data, request.params.id);
+        });
+
+        registerRoute('POST', '/api/user/:id', function(request, data, callback) {
+            var user = data.entities[request.params.id];
+            if (!user) {
+                return callback({'code': 404, 'msg': 'Could not find the user'});
+            }
+
+            _.extend(user, request.data);
+            respondWithProfile(callback, data, user.id);
+        });
+
+        registerRoute('GET', '/api/user/:id/memberships', function(request, data, callback) {
+            callback(null, getPage(request, getLibrary(data, 'group', request.params.id)));
+        });
+
+        registerRoute('GET', '/api/following/:id/following', function(request, data, callback) {
+            var following = _.map(data.following[request.params.id], _.partial(getProfile, data));
+            callback(null, getPage(request, _.compact(following)));
+        });
+
+        registerRoute('GET', '/api/following/:id/followers', function(request, data, callback) {
+            var userId = request.params.id;
+            var followers = _.chain(data.following).keys().filter(function(followerId) {
+                return _.contains(data.following[followerId], userId);
+            }).map(_.partial(getProfile, data)).compact().value();
+            callback(null, getPage(request, followers));
+        });
+
+        registerRoute('POST', '/api/following/:id/follow', function(request, data, callback) {
+            data.following[data.me] = _.union(data.following[data.me] || [], [request.params.id]);
+            callback();
+        });
+
+        registerRoute('POST', '/api/following/:id/unfollow', function(request, data, callback) {
+            data.following[data.me] = _.without(data.following[data.me] || [], request.params.id);
+            callback();
+        });
+
+        // Groups, content, discussions and folders
+
+        _.each(['group', 'content', 'discussion', 'folder'], function(resourceType) {
+            registerRoute('GET', '/api/' + resourceType + '/:id', function(request, data, callback) {
+                respondWithProfile(callback, data, request.params.id);
+            });
+
+            registerRoute('POST', '/api/' + resourceType + '/:id', function(request, data, callback) {
+                var entity = data.entities[request.params.id];
+                if (!entity) {
+                    return callback({'code': 404, 'msg': 'Could not find the ' + resourceType});
+                }
+
+                _.extend(entity, request.data, {'lastModified': Date.now()});
+                respondWithProfile(callback, data, entity.id);
+            });
+
+            registerRoute('DELETE', '/api/' + resourceType + '/:id', function(request, data, callback) {
+                delete data.entities[request.params.id];
+                callback();
+            });
+
+            registerRoute('GET', '/api/' + resourceType + '/:id/members', function(request, data, callback) {
+                var entity = data.entities[request.params.id];
+                if (!entity) {
+                    return callback({'code': 404, 'msg': 'Could not find the ' + resourceType});
+                }
+
+                var members = _.chain(entity.members).map(function(role, memberId) {
+                    var profile = getProfile(data, memberId);
+                    return profile ? {'profile': profile, 'role': role} : null;
+                }).compact().value();
+                callback(null, getPage(request, members));
+            });
+
+            registerRoute('POST', '/api/' + resourceType + '/:id/members', function(request, data, callback) {
+                var entity = data.entities[request.params.id];
+                if (!entity) {
+                    return callback({'code': 404, 'msg': 'Could not find the ' + resourceType});
+                }
+
+                _.each(request.data, function(role, memberId) {
+                    if (role === 'false') {
+                        delete entity.members[memberId];
+                    } else {
+                        entity.members[memberId] = role;
+                    }
+                });
+                callback();
+            });
+
+            if (resourceType !== 'group') {
+                registerRoute('GET', '/api/' + resourceType + '/library/:id', function(request, data, callback) {
+                    callback(null, getPage(request, getLibrary(data, resourceType, request.params.id)));
+                });
+
+                registerRoute('GET', '/api/' + resourceType + '/:id/messages', function(request, data, callback) {
+                    var comments = data.comments[request.params.id] || [];
+
+                    // Top-level comments are returned newest first, with their replies right below them
+                    var sortedComments = _.sortBy(comments, function(comment) {
+                        var threadKey = comment.threadKey.replace(/\|$/, '').split('#');
+                        return [String(10000000000000 - parseInt(threadKey[0], 10))].concat(threadKey.slice(1)).join('#');
+                    });
+                    callback(null, getPage(request, _.map(sortedComments, function(comment) {
+                        return getComment(data, comment);
+                    })));
+                });
+
+                registerRoute('POST', '/api/' + resourceType + '/:id/messages', function(request, data, callback) {
+                    var resourceId = request.params.id;
+                    if (!data.entities[resourceId]) {
+                        return callback({'code': 404, 'msg': 'Could not find the ' + resourceType});
+                    } else if (!request.data.body) {
+                        return callback({'code': 400, 'msg': 'A message body must be provided'});
+                    }
+
+                    var comment = addComment(data, resourceId, data.me, request.data.body, request.data.replyTo || null, Date.now());
+                    callback(null, getComment(data, comment));
+                });
+
+                registerRoute('POST', '/api/' + resourceType + '/:id/messages/:created', function(request, data, callback) {
+                    var comment = _.findWhere(data.comments[request.params.id], {'created': request.params.created});
+                    if (!comment) {
+                        return callback({'code': 404, 'msg': 'Could not find the message'});
+                    } else if (comment.createdBy !== data.me) {
+                        return callback({'code': 401, 'msg': 'Only the author of a message can edit it'});
+                    } else if (!request.data.body) {
+                        return callback({'code': 400, 'msg': 'A message body must be provided'});
+                    }
+
+                    comment.body = request.data.body;
+                    comment.lastModified = String(Date.now());
+                    callback(null, getComment(data, comment));
+                });
+
+                registerRoute('POST', '/api/' + resourceType + '/:id/messages/:created/reactions', function(request, data, callback) {
+                    var comment = _.findWhere(data.comments[request.params.id], {'created': request.params.created});
+                    if (!comment) {
+                        return callback({'code': 404, 'msg': 'Could not find the message'});
+                    } else if (!request.data.reaction) {
+                        return callback({'code': 400, 'msg': 'A reaction must be provided'});
+                    }
+
+                    comment.reactions[request.data.reaction] = _.union(comment.reactions[request.data.reaction] || [], [data.me]);
+                    callback(null, getComment(data, comment));
+                });
+
+                registerRoute('DELETE', '/api/' + resourceType + '/:id/messages/:created/reactions/:reaction', function(request, data, callback) {
+                    var comment = _.findWhere(data.comments[request.params.id], {'created': request.params.created});
+                    if (!comment) {
+                        return callback({'code': 404, 'msg': 'Could not find the message'});
+                    }
+
+                    var reaction = request.params.reaction;
+                    if (comment.reactions[reaction]) {
+                        comment.reactions[reaction] = _.without(comment.reactions[reaction], data.me);
+                        if (_.isEmpty(comment.reactions[reaction])) {
+                            delete comment.reactions[reaction];
+                        }
+                    }
+                    callback(null, getComment(data, comment));
+                });
+
+                registerRoute('DELETE', '/api/' + resourceType + '/:id/messages/:created', function(request, data, callback) {
+                    var resourceId = request.params.id;
+                    data.comments[resourceId] = _.reject(data.comments[resourceId], function(comment) {
+                        return comment.created === request.params.created;
+                    });
+                    callback();
+                });
+            }
+        });
+
+        registerRoute('POST', '/api/group/create', function(request, data, callback) {
+            callback(null, createEntity(data, 'g', request.data));
+        });
+
+        registerRoute('POST', '/api/content/create', function(request, data, callback) {
+            callback(null, createEntity(data, 'c', request.data));
+        });
+
+        registerRoute('POST', '/api/content/:id/newversion', function(request, data, callback) {
+            var content = data.entities[request.params.id];
+            if (!content) {
+                return callback({'code': 404, 'msg': 'Could not find the content'});
+            }
+
+            content.lastModified = Date.now();
+            respondWithProfile(callback, data, content.id);
+        });
+
+        registerRoute('POST', '/api/discussion/create', function(request, data, callback) {
+            callback(null, createEntity(data, 'd', request.data));
+        });
+
+        registerRoute('POST', '/api/folder', function(request, data, callback) {
+            callback(null, createEntity(data, 'f', request.data));
+        });
+
+        registerRoute('GET', '/api/folder/:id/library', function(request, data, callback) {
+            var folder = data.entities[request.params.id];
+            if (!folder) {
+                return callback({'code': 404, 'msg': 'Could not find the folder'});
+            }
+
+            var contents = _.compact(_.map(folder.contents, _.partial(getProfile, data)));
+            callback(null, getPage(request, contents));
+        });
+
+        registerRoute('POST', '/api/folder/:id/library', function(request, data, callback) {
+            var folder = data.entities[request.params.id];
+            if (!folder) {
+                return callback({'code': 404, 'msg': 'Could not find the folder'});
+            }
+
+            folder.contents = _.union(folder.contents || [], _.flatten([request.data.contentIds]));
+            callback();
+        });
+
+        // Activities and notifications
+
+        registerRoute('GET', '/api/activity', function(request, data, callback) {
+            callback(null, getPage(request, _.map(data.activities, _.partial(getActivity, data))));
+        });
+
+        registerRoute('GET', '/api/activity/:id', function(request, data, callback) {
+            var activities = _.filter(data.activities, function(activity) {
+                return request.params.id === data.me || _.contains([activity.actor, activity.object, activity.target], request.params.id);
+            });
+            callback(null, getPage(request, _.map(activities, _.partial(getActivity, data))));
+        });
+
+        registerRoute('GET', '/api/notifications', function(request, data, callback) {
+            callback(null, getPage(request, _.map(data.notifications, _.partial(getActivity, data))));
+        });
+
+        registerRoute('POST', '/api/notifications/markRead', function(request, data, callback) {
+            data.notificationsLastRead = Date.now();
+            callback(null, {'lastReadTime': data.notificationsLastRead});
+        });
+
+        // Search
+
+        registerRoute('GET', '/api/search/general', function(request, data, callback) {
+            var resourceTypes = _.flatten([request.data.resourceTypes || _.values(RESOURCE_TYPES)]);
+            var results = _.chain(data.entities).filter(function(entity) {
+                return _.contains(resourceTypes, getResourceType(entity.id));
+            }).map(function(entity) {
+                return getProfile(data, entity.id);
+            }).value();
+            callback(null, getSearchResults(request, results));
+        });
+
+        registerRoute('GET', '/api/search/:searchType/:id', function(request, data, callback) {
+            var id = request.params.id;
+            var results = [];
+            if (request.params.searchType === 'content-library') {
+                results = getLibrary(data, 'content', id);
+            } else if (request.params.searchType === 'discussion-library') {
+                results = getLibrary(data, 'discussion', id);
+            } else if (request.params.searchType === 'folder-library') {
+                results = getLibrary(data, 'folder', id);
+            } else if (request.params.searchType === 'memberships-library') {
+                results = getLibrary(data, 'group', id);
+            } else if (request.params.searchType === 'folder-content') {
+                results = _.compact(_.map((data.entities[id] || {}).contents, _.partial(getProfile, data)));
+            } else if (request.params.searchType === 'members-library') {
+                results = _.compact(_.map(_.keys((data.entities[id] || {}).members), _.partial(getProfile, data)));
+            } else if (request.params.searchType === 'following') {
+                results = _.compact(_.map(data.following[id], _.partial(getProfile, data)));
+            } else if (request.params.searchType === 'followers') {
+                results = _.chain(data.following).keys().filter(function(followerId) {
+                    return _.contains(data.following[followerId], id);
+                }).map(_.partial(getProfile, data)).compact().value();
+            }
+            callback(null, getSearchResults(request, results));
+        });
+    };
+
+    ///////////////
+    // WEBSOCKET //
+    ///////////////
+
+    /**
+     * Stand-in for the SockJS client used by the push API. Every message that is sent over the
+     * websocket is acknowledged straight away
+     *
+     * @api private
+     */
+    var MockSockJS = function() {
+        var socket = this;
+        mockSocket = socket;
+
+        /**
+         * Send a message over the websocket. The message will be acknowledged without an error
+         *
+         * @param  {String}     message     The message to send, serialized as JSON
+         */
+        socket.send = function(message) {
+            socket.receive({'replyTo': JSON.parse(message).id});
+        };
+
+        /**
+         * Deliver a message to the push API as if it was received over the websocket
+         *
+         * @param  {Object}     message     The message to deliver
+         */
+        socket.receive = function(message) {
+            setTimeout(function() {
+                if (socket.onmessage) {
+                    socket.onmessage({'data': JSON.stringify(message)});
+                }
+            }, RESPONSE_DELAY);
+        };
+
+        /**
+         * Close the websocket
+         */
+        socket.close = function() {
+            if (socket.onclose) {
+                socket.onclose();
+            }
+        };
+
+        setTimeout(function() {
+            if (socket.onopen) {
+                socket.onopen();
+            }
+        }, RESPONSE_DELAY);
+    };
+
+    // Register the default routes straight away, so routes registered by widgets can override them
+    registerDefaultRoutes();
+});
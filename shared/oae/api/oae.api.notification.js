@@ -0,0 +1,688 @@
+/*!
+ * Copyright 2017 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+/*!
+ * The muted resources, the individual read states and the desktop notification preferences are kept in the
+ * local storage of the browser, as the back-end has no place to store them. They therefore only apply to the
+ * browser in which they were set and are lost when the browser's local storage is cleared. The back-end
+ * keeps counting notifications about muted resources as unread, so these are discounted by retrieving the
+ * unread notifications. At most `UNREAD_PAGE_SIZE * UNREAD_MAX_PAGES` unread notifications are retrieved,
+ * which means that notifications about muted resources beyond that can still be included in the count.
+ */
+define(['exports', 'jquery', 'underscore', 'oae.api.error', 'oae.api.util'], function(exports, $, _, errorAPI, utilAPI) {
+
+    // The types of resources for which notifications can be muted
+    var MUTABLE_RESOURCE_TYPES = exports.MUTABLE_RESOURCE_TYPES = ['content', 'discussion', 'folder', 'group'];
+
+    // Prefix of the local storage key under which the read state of individual notifications and the
+    // muted resources are persisted. The id of the current user is appended to this prefix, to ensure
+    // that the choices of one user are never applied to a different user on the same browser
+    var STORAGE_KEY_PREFIX = 'oae.api.notification.';
+
+    // The maximum number of individual read states that are remembered. When this number is exceeded,
+    // the read states of the oldest notifications are forgotten
+    var MAX_READ_STATES = 200;
+
+    // The number of notifications that are retrieved per request to work out how many of the unread
+    // notifications are about muted resources
+    var UNREAD_PAGE_SIZE = 25;
+
+    // The maximum number of pages of unread notifications that are retrieved to work out how many of the
+    // unread notifications are about muted resources
+    var UNREAD_MAX_PAGES = 4;
+
+    // Variable that keeps track of the local storage key under which the notification state for the
+    // current user is persisted. This will only be set once the notification API has been initialized
+    var storageKey = null;
+
+    // Variable that keeps track of the notifications that have explicitly been marked as read or unread,
+    // overriding the time at which the current user last read all of the notifications. The read states
+    // are stored in the following way:
+    //
+    //   {
+    //      '<Notification id>': {
+    //          'read': <Whether or not the notification has been marked as read>,
+    //          'published': <Timestamp in milliseconds at which the notification was published>,
+    //          'resourceIds': [<Ids of the resources the notification is about>]
+    //      },
+    //      ...
+    //   }
+    var readStates = {};
+
+    // Variable that keeps track of the resources for which no notifications should be shown. The muted
+    // resources are stored in the following way:
+    //
+    //   {
+    //      '<Resource id>': {
+    //          'id': '<Resource id>',
+    //          'displayName': '<Resource display name>',
+    //          'resourceType': '<Resource type>',
+    //          'profilePath': '<Relative path to the resource profile>'
+    //      },
+    //      ...
+    //   }
+    var mutedResources = {};
+
+    // Variable that keeps track of the number of unread notifications according to the back-end. This
+    // number doesn't take the muted resources and the individual read states into account
+    var serverUnreadCount = 0;
+
+    // Variable that keeps track of the current user's desktop notification preferences. Desktop notifications
+    // are opt-in and can be disabled for individual activity types. The preferences are stored in the
+    // following way:
+    //
+    //   {
+    //      'enabled': <Whether or not the current user has opted in to desktop notifications>,
+    //      'disabledActivityTypes': [<Activity types for which no desktop notifications should be shown>]
+    //   }
+    var desktopPreferences = {'enabled': false, 'disabledActivityTypes': []};
+
+    /**
+     * Initialize the notification state for the current user. When the current user has muted resources
+     * or has marked individual notifications as read or unread, the unread notification count that was
+     * provided by the me feed will be adjusted to respect those choices. These choices are only remembered
+     * in the current browser.
+     *
+     * @param  {Me}     me      The me object for the current user
+     * @api private
+     */
+    var init = exports.init = function(me) {
+        // Notifications are only available for authenticated users
+        if (!me || me.anon || storageKey) {
+            return;
+        }
+
+        storageKey = STORAGE_KEY_PREFIX + me.id;
+        var state = readState();
+        readStates = state.readStates || {};
+        mutedResources = state.mutedResources || {};
+        desktopPreferences = _.extend(desktopPreferences, state.desktopPreferences);
+        serverUnreadCount = me.notificationsUnread || 0;
+
+        refreshUnreadCount(me);
+    };
+
+    /**
+     * Get the resources that are involved in a notification and that can be muted. This will be the
+     * content items, discussions, folders and groups that are the target or the object of the activity.
+     *
+     * @param  {Activity}   activity    The notification activity per the activitystrea.ms spec
+     * @return {Object[]}               The resources that can be muted, starting with the resources in the activity target. Every resource will have an `id`, `displayName`, `resourceType` and `profilePath`
+     */
+    var getMutableResources = exports.getMutableResources = function(activity) {
+        var resources = [];
+        _.each([activity.target, activity.object], function(entity) {
+            if (!entity) {
+                return;
+            }
+
+            var entities = entity['oae:collection'] || [entity];
+            _.each(entities, function(entity) {
+                if (_.contains(MUTABLE_RESOURCE_TYPES, entity.objectType) && entity['oae:id']) {
+                    resources.push({
+                        'id': entity['oae:id'],
+                        'displayName': entity.displayName,
+                        'resourceType': entity.objectType,
+                        'profilePath': entity['oae:profilePath']
+                    });
+                }
+            });
+        });
+        return _.uniq(resources, false, function(resource) {
+            return resource.id;
+        });
+    };
+
+    /**
+     * Get the resources for which the current user has muted the notifications
+     *
+     * @return {Object[]}       The muted resources, sorted by display name. Every resource will have an `id`, `displayName`, `resourceType` and `profilePath`
+     */
+    var getMutedResources = exports.getMutedResources = function() {
+        return _.sortBy(_.values(mutedResources), function(resource) {
+            return (resource.displayName || '').toLowerCase();
+        });
+    };
+
+    /**
+     * Check whether or not a notification is about a resource that has been muted by the current user
+     *
+     * @param  {Activity}   activity    The notification activity per the activitystrea.ms spec
+     * @return {Boolean}                `true` when the notification involves a muted resource, `false` otherwise
+     */
+    var isMuted = exports.isMuted = function(activity) {
+        return isMutedResourceIds(_.pluck(getMutableResources(activity), 'id'));
+    };
+
+    /**
+     * Stop showing notifications about a resource. The unread notification count will be adjusted
+     * and a `oae.api.notification.muted` event will be triggered on the document. The resource will
+     * only be muted in the current browser.
+     *
+     * @param  {Object}     resource                The resource to mute, as returned by `getMutableResources`
+     * @param  {String}     resource.id             The id of the resource to mute
+     * @param  {String}     resource.displayName    The display name of the resource to mute
+     * @param  {String}     resource.resourceType   The type of the resource to mute. This should be one of `MUTABLE_RESOURCE_TYPES`
+     * @param  {String}     [resource.profilePath]  The relative path to the profile of the resource to mute
+     * @throws {Error}                              Error thrown when no valid resource has been provided
+     */
+    var muteResource = exports.muteResource = function(resource) {
+        if (!resource || !resource.id) {
+            throw new Error('A valid resource should be provided');
+        } else if (!_.contains(MUTABLE_RESOURCE_TYPES, resource.resourceType)) {
+            throw new Error('A valid resource type should be provided');
+        }
+
+        mutedResources[resource.id] = _.pick(resource, 'id', 'displayName', 'resourceType', 'profilePath');
+        writeState();
+
+        $(document).trigger('oae.api.notification.muted', [mutedResources[resource.id]]);
+        refreshUnreadCount();
+    };
+
+    /**
+     * Show notifications about a previously muted resource again. The unread notification count will
+     * be adjusted and a `oae.api.notification.unmuted` event will be triggered on the document.
+     *
+     * @param  {String}     resourceId      The id of the resource to unmute
+     * @throws {Error}                      Error thrown when no resource id has been provided
+     */
+    var unmuteResource = exports.unmuteResource = function(resourceId) {
+        if (!resourceId) {
+            throw new Error('A valid resource id should be provided');
+        }
+
+        var resource = mutedResources[resourceId];
+        if (!resource) {
+            return;
+        }
+
+        delete mutedResources[resourceId];
+        writeState();
+
+        $(document).trigger('oae.api.notification.unmuted', [resource]);
+        refreshUnreadCount();
+    };
+
+    /**
+     * Check whether or not a notification is unread. Notifications that have explicitly been marked as
+     * read or unread keep that state. All other notifications are unread when they were published after
+     * the current user last read the notifications.
+     *
+     * @param  {Activity}   activity    The notification activity per the activitystrea.ms spec
+     * @return {Boolean}                `true` when the notification is unread, `false` otherwise
+     */
+    var isUnread = exports.isUnread = function(activity) {
+        var readState = readStates[activity['oae:activityId']];
+        if (readState) {
+            return !readState.read;
+        }
+        return activity.published > (getMe().notificationsLastRead || 0);
+    };
+
+    /**
+     * Mark an individual notification as read or unread. The unread notification count will be adjusted.
+     * The read state will only be remembered in the current browser.
+     *
+     * @param  {Activity}   activity    The notification activity per the activitystrea.ms spec
+     * @param  {Boolean}    unread      `true` when the notification should be marked as unread, `false` when it should be marked as read
+     * @throws {Error}                  Error thrown when no valid notification has been provided
+     */
+    var setUnread = exports.setUnread = function(activity, unread) {
+        if (!activity || !activity['oae:activityId']) {
+            throw new Error('A valid notification should be provided');
+        }
+
+        var wasUnread = isUnread(activity);
+        readStates[activity['oae:activityId']] = {
+            'read': !unread,
+            'published': activity.published,
+            'resourceIds': _.pluck(getMutableResources(activity), 'id')
+        };
+        pruneReadStates();
+        writeState();
+
+        // Muted notifications are never included in the unread notification count
+        if (wasUnread !== unread && !isMuted(activity)) {
+            setUnreadCount(getMe().notificationsUnread + (unread ? 1 : -1));
+        }
+    };
+
+    /**
+     * Mark all of the current user's notifications as read on the back-end. The notifications that have
+     * explicitly been marked as unread will remain unread.
+     *
+     * @param  {Function}    [callback]        Standard callback function
+     * @param  {Object}      [callback.err]    Error object containing error code and error message
+     * @return {Promise}                       When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
+     */
+    var markAllAsRead = exports.markAllAsRead = utilAPI.promisify(function(callback) {
+        // Set a default callback function in case no callback function has been provided
+        callback = callback || function() {};
+
+        $.ajax({
+            'url': '/api/notifications/markRead',
+            'type': 'POST',
+            'success': function() {
+                callback(null);
+            },
+            'error': function(jqXHR, textStatus) {
+                callback(errorAPI.createError(jqXHR, this.url));
+            }
+        });
+    });
+
+    /**
+     * Reset the unread notification count after the current user has seen all of the notifications. The
+     * notifications that have explicitly been marked as unread will still be counted as unread.
+     */
+    var resetUnreadCount = exports.resetUnreadCount = function() {
+        var me = getMe();
+        me.notificationsLastRead = Date.now();
+        serverUnreadCount = 0;
+
+        // Notifications that were marked as read no longer need to be remembered, as they were
+        // published before the time at which the notifications were read last
+        readStates = _.omit(readStates, function(readState) {
+            return readState.read;
+        });
+        writeState();
+
+        setUnreadCount(_.size(_.reject(readStates, isMutedReadState)));
+    };
+
+    /**
+     * Adjust the unread notification count for new notifications that have come in through the push API.
+     * Notifications about muted resources will not be counted.
+     *
+     * @param  {Activity[]}     activities          The new notification activities per the activitystrea.ms spec
+     * @param  {Number}         numNewActivities    The number of new notifications that have come in
+     * @return {Activity[]}                         The new notification activities that are not about a muted resource
+     */
+    var addUnreadNotifications = exports.addUnreadNotifications = function(activities, numNewActivities) {
+        serverUnreadCount += numNewActivities || 0;
+
+        var unmutedActivities = _.reject(activities, isMuted);
+        if (numNewActivities && unmutedActivities.length) {
+            setUnreadCount((getMe().notificationsUnread || 0) + Math.min(numNewActivities, unmutedActivities.length));
+        }
+        return unmutedActivities;
+    };
+
+    /**
+     * Check whether or not the current browser supports desktop notifications
+     *
+     * @return {Boolean}        `true` when desktop notifications are supported, `false` otherwise
+     */
+    var isDesktopNotificationSupported = exports.isDesktopNotificationSupported = function() {
+        return _.isFunction(window.Notification);
+    };
+
+    /**
+     * Get the permission the current user has given for showing desktop notifications in the current browser
+     *
+     * @return {String}         `granted` when desktop notifications are allowed, `denied` when they have been blocked, `default` when no permission has been requested yet and `null` when desktop notifications are not supported
+     */
+    var getDesktopNotificationPermission = exports.getDesktopNotificationPermission = function() {
+        if (!isDesktopNotificationSupported()) {
+            return null;
+        }
+        return window.Notification.permission;
+    };
+
+    /**
+     * Check whether or not desktop notifications will be shown, optionally for a specific activity type.
+     * Desktop notifications are only shown when the current user has opted in to them and has allowed
+     * them in the current browser.
+     *
+     * @param  {String}     [activityType]      The activity type to check. When not provided, it will be checked whether desktop notifications are enabled at all
+     * @return {Boolean}                        `true` when desktop notifications will be shown, `false` otherwise
+     */
+    var isDesktopNotificationEnabled = exports.isDesktopNotificationEnabled = function(activityType) {
+        if (!desktopPreferences.enabled || getDesktopNotificationPermission() !== 'granted') {
+            return false;
+        }
+        return !activityType || isDesktopActivityTypeEnabled(activityType);
+    };
+
+    /**
+     * Check whether or not the current user wants to receive desktop notifications for an activity type,
+     * regardless of whether or not desktop notifications have been enabled
+     *
+     * @param  {String}     activityType    The activity type to check
+     * @return {Boolean}                    `true` when desktop notifications have not been disabled for the activity type, `false` otherwise
+     */
+    var isDesktopActivityTypeEnabled = exports.isDesktopActivityTypeEnabled = function(activityType) {
+        return !_.contains(desktopPreferences.disabledActivityTypes, activityType);
+    };
+
+    /**
+     * Opt in to or out of desktop notifications. When opting in, the browser will ask the current user for
+     * permission to show desktop notifications if that permission hasn't been given yet.
+     *
+     * @param  {Boolean}     enabled            Whether or not desktop notifications should be shown
+     * @param  {Function}    [callback]         Standard callback function
+     * @param  {Object}      [callback.err]     Error object containing error code and error message. This will be set when desktop notifications are not supported or have not been allowed
+     * @return {Promise}                        When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
+     */
+    var setDesktopNotificationEnabled = exports.setDesktopNotificationEnabled = utilAPI.promisify(function(enabled, callback) {
+        // Set a default callback function in case no callback function has been provided
+        callback = callback || function() {};
+
+        if (!enabled) {
+            desktopPreferences.enabled = false;
+            writeState();
+            return callback(null);
+        } else if (!isDesktopNotificationSupported()) {
+            return callback({'code': 400, 'msg': 'Desktop notifications are not supported by this browser'});
+        }
+
+        requestDesktopNotificationPermission(function(permission) {
+            if (permission !== 'granted') {
+                return callback({'code': 401, 'msg': 'Desktop notifications have not been allowed'});
+            }
+
+            desktopPreferences.enabled = true;
+            writeState();
+            callback(null);
+        });
+    });
+
+    /**
+     * Enable or disable desktop notifications for an activity type
+     *
+     * @param  {String}     activityType    The activity type for which desktop notifications should be enabled or disabled
+     * @param  {Boolean}    enabled         Whether or not desktop notifications should be shown for the activity type
+     * @throws {Error}                      Error thrown when no activity type has been provided
+     */
+    var setDesktopActivityTypeEnabled = exports.setDesktopActivityTypeEnabled = function(activityType, enabled) {
+        if (!activityType) {
+            throw new Error('A valid activity type should be provided');
+        }
+
+        if (enabled) {
+            desktopPreferences.disabledActivityTypes = _.without(desktopPreferences.disabledActivityTypes, activityType);
+        } else {
+            desktopPreferences.disabledActivityTypes = _.union(desktopPreferences.disabledActivityTypes, [activityType]);
+        }
+        writeState();
+    };
+
+    /**
+     * Show a desktop notification for a notification activity. A desktop notification will only be shown when
+     * the current page is in the background, as the in-page notifications can be used otherwise. Clicking the
+     * desktop notification will focus the current page and navigate to the resource the activity is about.
+     *
+     * The desktop notification shares its id with the in-page notification for the same activity, so that
+     * an activity for which a desktop notification has been shown will not show an in-page notification as well.
+     *
+     * @param  {Activity}   activity    The notification activity per the activitystrea.ms spec
+     * @param  {String}     message     The HTML summary of the activity. The HTML tags will be removed before showing the summary in the desktop notification
+     * @param  {String}     id          Unique identifier for the notification. If a notification with the same id has been shown already, no desktop notification will be shown
+     * @return {Boolean}                `true` when a desktop notification has been shown, `false` otherwise
+     * @throws {Error}                  Error thrown when no valid activity or message has been provided
+     */
+    var showDesktopNotification = exports.showDesktopNotification = function(activity, message, id) {
+        if (!activity || !activity['oae:activityType']) {
+            throw new Error('A valid activity should be provided');
+        } else if (!message) {
+            throw new Error('A valid notification message should be provided');
+        }
+
+        if (!document.hidden || isMuted(activity) || !isDesktopNotificationEnabled(activity['oae:activityType'])) {
+            return false;
+        } else if (!utilAPI.trackNotification(id)) {
+            return false;
+        }
+
+        var actor = activity.actor['oae:collection'] ? activity.actor['oae:collection'][0] : activity.actor;
+        var resource = _.first(getMutableResources(activity));
+        var url = resource ? resource.profilePath : actor['oae:profilePath'];
+
+        var desktopNotification = new window.Notification(getMe().tenant.displayName, {
+            'body': getPlainText(message),
+            'icon': actor.image ? actor.image.url : undefined,
+            // Notifications with the same tag replace each other, which avoids the same desktop
+            // notification being shown by every open page
+            'tag': id
+        });
+        desktopNotification.onclick = function() {
+            window.focus();
+            if (url) {
+                window.location = url;
+            }
+            desktopNotification.close();
+        };
+
+        return true;
+    };
+
+    /**
+     * Ask the current user for permission to show desktop notifications. Older browsers only support a
+     * callback function, whilst newer browsers only return a promise.
+     *
+     * @param  {Function}   callback                Standard callback function
+     * @param  {String}     callback.permission     The permission the current user has given. This will be one of `granted`, `denied` or `default`
+     * @api private
+     */
+    var requestDesktopNotificationPermission = function(callback) {
+        if (getDesktopNotificationPermission() === 'granted') {
+            return callback('granted');
+        }
+
+        callback = _.once(callback);
+        var promise = window.Notification.requestPermission(callback);
+        if (promise && _.isFunction(promise.then)) {
+            promise.then(callback);
+        }
+    };
+
+    /**
+     * Convert an HTML string into plain text without rendering it into the current page
+     *
+     * @param  {String}     html    The HTML string to convert
+     * @return {String}             The text content of the HTML string
+     * @api private
+     */
+    var getPlainText = function(html) {
+        var doc = new DOMParser().parseFromString(html, 'text/html');
+        return $.trim(doc.body.textContent.replace(/\s+/g, ' '));
+    };
+
+    /**
+     * Work out the number of unread notifications that are not about a muted resource, taking the
+     * notifications that have explicitly been marked as read or unread into account. When the current
+     * user has muted resources, the unread notifications are retrieved to find out which of them are
+     * about muted resources.
+     *
+     * @param  {Me}     [me]    The me object for the current user. Defaults to the cached me object
+     * @api private
+     */
+    var refreshUnreadCount = function(me) {
+        me = me || getMe();
+
+        // The number of unread notifications according to the back-end, adjusted for the notifications
+        // that have explicitly been marked as read or unread
+        var notificationsLastRead = me.notificationsLastRead || 0;
+        var unreadCount = serverUnreadCount;
+        _.each(_.reject(readStates, isMutedReadState), function(readState) {
+            var unreadByDefault = readState.published > notificationsLastRead;
+            if (unreadByDefault && readState.read) {
+                unreadCount--;
+            } else if (!unreadByDefault && !readState.read) {
+                unreadCount++;
+            }
+        });
+
+        if (_.isEmpty(mutedResources) || !serverUnreadCount) {
+            return setUnreadCount(unreadCount, me);
+        }
+
+        // The notifications about muted resources that are included in the unread
+        // notification count of the back-end need to be discounted
+        countMutedUnread(notificationsLastRead, null, 0, function(mutedUnreadCount) {
+            setUnreadCount(unreadCount - mutedUnreadCount, me);
+        });
+    };
+
+    /**
+     * Count the unread notifications that are about a muted resource. The notifications are retrieved
+     * page by page until a notification that has already been read is found, or until `UNREAD_MAX_PAGES`
+     * pages have been retrieved
+     *
+     * @param  {Number}     notificationsLastRead       Timestamp in milliseconds at which the current user last read all of the notifications
+     * @param  {String}     [start]                     The token used for paging through the notifications. When not provided, the most recent notifications will be retrieved
+     * @param  {Number}     pages                       The number of pages that have already been retrieved
+     * @param  {Function}   callback                    Standard callback function
+     * @param  {Number}     callback.mutedUnreadCount   The number of unread notifications that are about a muted resource
+     * @api private
+     */
+    var countMutedUnread = function(notificationsLastRead, start, pages, callback) {
+        var data = {'limit': UNREAD_PAGE_SIZE};
+        if (start) {
+            data.start = start;
+        }
+
+        $.ajax({
+            'url': '/api/notifications',
+            'data': data,
+            'success': function(data) {
+                var unreadActivities = _.filter(data.items, function(activity) {
+                    return activity.published > notificationsLastRead;
+                });
+                var mutedUnreadCount = _.filter(unreadActivities, isMuted).length;
+
+                // Retrieve the next page when all notifications on this page are unread
+                if (unreadActivities.length === data.items.length && data.nextToken && pages + 1 < UNREAD_MAX_PAGES) {
+                    return countMutedUnread(notificationsLastRead, data.nextToken, pages + 1, function(olderMutedUnreadCount) {
+                        callback(mutedUnreadCount + olderMutedUnreadCount);
+                    });
+                }
+
+                callback(mutedUnreadCount);
+            },
+            'error': function() {
+                callback(0);
+            }
+        });
+    };
+
+    /**
+     * Update the unread notification count on the me object and the favicon bubble. A
+     * `oae.api.notification.unreadcount` event will be triggered on the document, allowing the
+     * widgets that show the unread notification count to update it.
+     *
+     * @param  {Number}     unreadCount     The number of unread notifications
+     * @param  {Me}         [me]            The me object for the current user. Defaults to the cached me object
+     * @api private
+     */
+    var setUnreadCount = function(unreadCount, me) {
+        me = me || getMe();
+        me.notificationsUnread = Math.max(unreadCount, 0);
+
+        utilAPI.favicon().setBubble(me.notificationsUnread);
+        $(document).trigger('oae.api.notification.unreadcount', [me.notificationsUnread]);
+    };
+
+    /**
+     * Check whether or not any of the provided resources has been muted by the current user
+     *
+     * @param  {String[]}   resourceIds     The ids of the resources to check
+     * @return {Boolean}                    `true` when at least one of the resources has been muted, `false` otherwise
+     * @api private
+     */
+    var isMutedResourceIds = function(resourceIds) {
+        return _.some(resourceIds, function(resourceId) {
+            return _.has(mutedResources, resourceId);
+        });
+    };
+
+    /**
+     * Check whether or not a remembered read state belongs to a notification about a muted resource
+     *
+     * @param  {Object}     readState       The remembered read state of a notification
+     * @return {Boolean}                    `true` when the notification is about a muted resource, `false` otherwise
+     * @api private
+     */
+    var isMutedReadState = function(readState) {
+        return isMutedResourceIds(readState.resourceIds);
+    };
+
+    /**
+     * Get the cached me object for the current user
+     *
+     * @return {Me}     The me object for the current user
+     * @api private
+     */
+    var getMe = function() {
+        return require('oae.core').data.me;
+    };
+
+    /**
+     * Forget the read states of the oldest notifications when more than `MAX_READ_STATES` notifications
+     * have explicitly been marked as read or unread
+     *
+     * @api private
+     */
+    var pruneReadStates = function() {
+        var ids = _.keys(readStates);
+        if (ids.length <= MAX_READ_STATES) {
+            return;
+        }
+
+        ids = _.sortBy(ids, function(id) {
+            return readStates[id].published;
+        });
+        readStates = _.pick(readStates, _.last(ids, MAX_READ_STATES));
+    };
+
+    /**
+     * Read the notification state for the current user from local storage
+     *
+     * @return {Object}     The persisted notification state, containing the `readStates` and `mutedResources`
+     * @api private
+     */
+    var readState = function() {
+        try {
+            return JSON.parse(window.localStorage.getItem(storageKey)) || {};
+        } catch (err) {
+            // Local storage is not available (e.g. in private browsing mode) or contains invalid
+            // data. Fall back to the state that was set in this window
+            return {'readStates': readStates, 'mutedResources': mutedResources, 'desktopPreferences': desktopPreferences};
+        }
+    };
+
+    /**
+     * Persist the notification state for the current user in local storage
+     *
+     * @api private
+     */
+    var writeState = function() {
+        if (!storageKey) {
+            return;
+        }
+
+        try {
+            window.localStorage.setItem(storageKey, JSON.stringify({
+                'readStates': readStates,
+                'mutedResources': mutedResources,
+                'desktopPreferences': desktopPreferences
+            }));
+        } catch (err) {
+            // Local storage is not available or full. The notification state will still be
+            // respected for as long as the current window stays open
+        }
+    };
+});
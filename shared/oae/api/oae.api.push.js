@@ -13,20 +13,29 @@
  * permissions and limitations under the License.
  */
 
-define(['exports', 'jquery', 'underscore', 'oae.api.util', 'sockjs'], function(exports, $, _, utilAPI) {
+define(['exports', 'jquery', 'underscore', 'oae.api.cache', 'oae.api.error', 'oae.api.util', 'sockjs'], function(exports, $, _, cacheAPI, errorAPI, utilAPI) {
 
-    // Constant that defines the rules that should be followed for aggregating incoming activities.
+    // Variable that keeps track of the rules that should be followed for aggregating incoming activities.
     // Push notifications can be requested to be provided as activities following the activitystrea.ms
     // specification (@see http://activitystrea.ms). As all push notifications will come in as individual
     // activities, there is a need to do some basic aggregation (e.g. otherwise uploading multiple files
     // at the same time would generate individual activities in recent activity). Each aggregation rule is
     // defined for a certain activity type. The aggregation rules define the fields of the activity that
     // should match with those fields on a different activity before both activities can be aggregated into
-    // one activity
-    var AGGREGATION_RULES = {
+    // one activity. Reactions to the same comment are aggregated regardless of who reacted. Additional
+    // aggregation rules can be registered through `registerAggregationRule`
+    var aggregationRules = {
         'content-comment': {
             'target': true
         },
+        'content-comment-reaction': {
+            'object': true,
+            'target': true
+        },
+        'content-comment-reaction-remove': {
+            'object': true,
+            'target': true
+        },
         'content-create': {
             'actor': true,
             'target': true
@@ -40,9 +49,25 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util', 'sockjs'], function(e
         'discussion-message': {
             'target': true
         },
+        'discussion-message-reaction': {
+            'object': true,
+            'target': true
+        },
+        'discussion-message-reaction-remove': {
+            'object': true,
+            'target': true
+        },
         'folder-add-to-folder': {
             'target': true
         },
+        'folder-comment-reaction': {
+            'object': true,
+            'target': true
+        },
+        'folder-comment-reaction-remove': {
+            'object': true,
+            'target': true
+        },
         'folder-create': {
             'actor': true,
             'target': true
@@ -59,41 +84,148 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util', 'sockjs'], function(e
 
     // Time in milliseconds during which aggregatable activities should be aggregated before calling
     // the registered message callback functions. Whenever a new aggregatable activity comes in, the
-    // existing timeout will be reset and a new one will start for the configured timeout delay
-    var AGGREGATION_TIMEOUT = 1000;
+    // existing timeout will be reset and a new one will start for the configured timeout delay. This
+    // delay is used for all activity types that haven't registered a timeout of their own
+    var DEFAULT_AGGREGATION_TIMEOUT = 1000;
+
+    // Variable that keeps track of the aggregation timeouts that have been registered for specific
+    // activity types, keyed by activity type
+    var aggregationTimeouts = {};
+
+    // Time in milliseconds to wait before trying to re-establish a websocket connection that has been
+    // lost for the first time. Every subsequent unsuccessful attempt will double the delay, up until
+    // `MAX_RECONNECT_DELAY`
+    var MIN_RECONNECT_DELAY = 1000;
+
+    // Maximum time in milliseconds to wait in between attempts to re-establish the websocket connection
+    var MAX_RECONNECT_DELAY = 60000;
+
+    // Constant that defines the REST feeds from which the activities that were missed whilst the
+    // websocket connection was down can be retrieved, keyed by stream type. Stream types that are
+    // not listed here will not be caught up with after a reconnect
+    var CATCH_UP_FEEDS = {
+        'activity': function(resourceId) {
+            return '/api/activity/' + resourceId;
+        },
+        'message': function(resourceId) {
+            return '/api/activity/' + resourceId;
+        },
+        'notification': function() {
+            return '/api/notifications';
+        }
+    };
+
+    // The activity types that are pushed out over the `message` stream. As the `message` stream
+    // doesn't have a REST feed of its own, these are picked from the resource's activity feed
+    var MESSAGE_ACTIVITY_TYPES = ['content-comment', 'discussion-message', 'folder-comment'];
+
+    // The number of activities to retrieve per request when catching up with missed activities
+    var CATCH_UP_PAGE_SIZE = 25;
+
+    // The number of most recently delivered activities to remember per subscription. Activities that
+    // have already been delivered will not be delivered again when they are retrieved while catching up
+    var DELIVERED_HISTORY_SIZE = 100;
+
+    // The maximum number of pages to retrieve when catching up with missed activities. This avoids
+    // fetching the entire activity history when the connection has been down for a long time
+    var CATCH_UP_MAX_PAGES = 4;
+
+    // Time in milliseconds after which the tab that holds the shared websocket connection is considered
+    // to have gone away, when it hasn't renewed its lease on the connection in the meantime. Browsers only
+    // run the timers of background tabs once per minute, so the lease needs to outlast that comfortably.
+    // The lease is only used in browsers that don't support the Web Locks API
+    var LEASE_DURATION = 150000;
 
-    // Variable that keeps track of whether or not the websocket has been
-    // initialized, connected and authenticated successfully
+    // Time in milliseconds in between renewals of the lease by the tab that holds the websocket connection.
+    // All other tabs check whether the lease has expired at the same interval. The lease is renewed as
+    // well whenever the visibility of the tab changes
+    var LEASE_INTERVAL = 2000;
+
+    // Time in milliseconds to wait after claiming the lease before checking whether the claim succeeded.
+    // This resolves the race between tabs that try to claim the lease at the same time, as only the claim
+    // that was written last will be retained
+    var LEASE_CLAIM_DELAY = 250;
+
+    // Prefix of the local storage key under which the lease on the websocket connection is stored. The
+    // id of the current user is appended to this prefix
+    var LEASE_KEY_PREFIX = 'oae.api.push.lease.';
+
+    // Prefix of the name of the channel over which the tabs of the current user communicate. The id of
+    // the current user is appended to this prefix
+    var TAB_CHANNEL_PREFIX = 'oae.api.push.tabs.';
+
+    // The websocket connection is being established for the first time
+    var STATUS_CONNECTING = exports.STATUS_CONNECTING = 'connecting';
+
+    // The websocket connection has been established and authenticated
+    var STATUS_CONNECTED = exports.STATUS_CONNECTED = 'connected';
+
+    // The websocket connection has been lost and is being re-established. No push notifications
+    // will be received until the connection has been restored
+    var STATUS_DISCONNECTED = exports.STATUS_DISCONNECTED = 'disconnected';
+
+    // Variable that keeps track of whether or not the websocket has been initialized, connected and
+    // authenticated successfully. For tabs that don't hold the websocket connection themselves, this
+    // indicates whether or not the tab that holds the connection has established it
     var websocketEstablished = false;
 
+    // Variable that keeps track of the current status of the websocket connection. Every time this
+    // status changes, an `oae.api.push.status` event will be triggered on the document
+    var connectionStatus = null;
+
+    // Variable that keeps track of the timeout for the next attempt to re-establish the websocket connection
+    var reconnectTimeout = null;
+
+    // Variable that keeps track of the time to wait before the next attempt to re-establish the websocket connection
+    var reconnectDelay = MIN_RECONNECT_DELAY;
+
+    // Variable that keeps track of the function that should be invoked once the websocket connection
+    // has been established for the first time
+    var initCallback = null;
+
     // Variable that keeps track of all messages that need to be sent over the
     // websocket, but came in whilst the websocket connection wasn't established yet.
     // Once the connection is established, all of these message will be sent over
     var deferredMessages = [];
 
-    // Variable that keeps track of the acknowledgement callback functions for each of the
-    // messages that have been sent over the websocket. As websockets are asynchronous, we
+    // Variable that keeps track of the messages that have been sent over the websocket and the
+    // acknowledgement callback functions for each of them. As websockets are asynchronous, we
     // have to keep track of this until a response has been received for a message as we can't
     // rely on the order of the responses coming in. Once an acknowledgement for a message has
-    // come in, its acknowledgement callback function will be executed and removed from this map
+    // come in, its acknowledgement callback function will be executed and removed from this map.
+    // When the connection is lost before a message has been acknowledged, the message will be
+    // sent again once the connection has been re-established
     var acknowledgementCallbacks = {};
 
     // Variable that keeps track of the message listeners that have registered for messages on a
     // specific channel with a specific stream type for a specific format (`activitystreams` or
     // `internal`), indicating whether or not the messages should be aggregated. When a message
-    // comes in, all of the provided callback functions need to be called.
+    // comes in, all of the provided callback functions need to be called. The token that was used
+    // to authorize the subscription is retained, so the subscription can be renewed when the
+    // websocket connection has to be re-established. The timestamp of the most recent activity that
+    // has been delivered is retained as well, so the activities that were missed whilst the connection
+    // was down can be retrieved after the connection has been re-established. This timestamp is taken
+    // from the server, to avoid depending on the clock of the client. The most recently delivered
+    // activities are remembered, so activities are never delivered twice.
     // The listeners for the subscriptions will be stored in the following way:
     //
     //   {
     //      '<channel>': {
     //          '<streamType>': {
-    //              '<format>': [
-    //                  {
-    //                      'performAggregation': <true/false>,
-    //                      'messageCallback': <messageCallback>
-    //                  },
-    //                  ...
-    //              ]
+    //              '<format>': {
+    //                  'token': <token>,
+    //                  'subscribed': <Whether or not the server has acknowledged the subscription>,
+    //                  'lastSeen': <Timestamp in milliseconds of the most recent activity that has been delivered. `null` until known>,
+    //                  'delivered': [<Key of a recently delivered activity>, ...],
+    //                  'listeners': [
+    //                      {
+    //                          'performInlineAggregation': <true/false>,
+    //                          'performFullAggregation': <true/false>,
+    //                          'messageCallback': <messageCallback>
+    //                      },
+    //                      ...
+    //                  ]
+    //              }
     //          },
     //          ...
     //      },
@@ -118,10 +250,53 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util', 'sockjs'], function(e
     // Variable to hold the sockjs client
     var sockjs = null;
 
+    // Unique id of the current tab
+    var tabId = utilAPI.generateId();
+
+    // Variable that keeps track of whether or not the current tab holds the websocket connection. Only
+    // one tab per user holds the websocket connection. All other tabs send their messages through that
+    // tab and receive their push notifications from it
+    var isLeader = false;
+
+    // Variable that keeps track of the channel over which the tabs of the current user communicate. This
+    // will be `null` when the browser doesn't support communication between tabs, in which case every tab
+    // holds a websocket connection of its own
+    var tabChannel = null;
+
+    // Variable that keeps track of the local storage key under which the lease on the websocket
+    // connection is stored. The same key is used as the name of the lock on the websocket connection
+    // in browsers that support the Web Locks API
+    var leaseKey = null;
+
+    // Variable that keeps track of whether or not the Web Locks API is used to decide which tab holds
+    // the websocket connection. The browser releases the lock when the tab holding it goes away, which
+    // doesn't rely on timers that are throttled in background tabs
+    var useWebLocks = false;
+
+    // Variable that keeps track of the subscriptions that the tab holding the websocket connection has
+    // made on behalf of the other tabs. The subscriptions are reference counted by the tabs that use them,
+    // and push notifications are only passed on to the other tabs for as long as at least one of the tabs
+    // is still using the subscription. The subscriptions are stored in the following way:
+    //
+    //   {
+    //      '<channel>#<streamType>#<format>': {
+    //          'subscribed': <Whether or not the server has acknowledged the subscription>,
+    //          'tabs': ['<tabId>', ...]
+    //      },
+    //      ...
+    //   }
+    var tabSubscriptions = {};
+
     /**
      * Initialize all push notification functionality by establishing the websocket connection
      * and authenticating. SockJS is used to provide a cross-browser and cross-domain communication
-     * channel between the browser and the server (@see https://github.com/sockjs)
+     * channel between the browser and the server (@see https://github.com/sockjs). When the
+     * connection is lost, it will automatically be re-established and all subscriptions will be
+     * renewed.
+     *
+     * When the user has multiple tabs open, only one of these tabs will hold a websocket connection.
+     * The other tabs will send their subscriptions through that tab and receive their push notifications
+     * from it. When the tab holding the connection is closed, one of the other tabs will take over.
      *
      * @param  {Function}   callback      Standard callback function
      * @param  {Object}     callback.err  Error object containing error code and message
@@ -135,72 +310,394 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util', 'sockjs'], function(e
         };
 
         // Push notifications are only enabled for authenticated users
-        if (require('oae.core').data.me.anon) {
+        var me = require('oae.core').data.me;
+        if (me.anon) {
             return callback();
-        } else if (sockjs) {
+        } else if (connectionStatus) {
             // Ensure we only initialize once
             return callback();
         }
 
+        initCallback = callback;
+        setConnectionStatus(STATUS_CONNECTING);
+
+        // Try to re-establish the connection straight away when the browser
+        // indicates that connectivity has been restored
+        $(window).on('online', function() {
+            if (isLeader && connectionStatus === STATUS_DISCONNECTED) {
+                reconnectDelay = MIN_RECONNECT_DELAY;
+                connect();
+            }
+        });
+
+        // Hold a websocket connection of our own when the tabs can't share a connection
+        tabChannel = createTabChannel(TAB_CHANNEL_PREFIX + me.id, receiveTabMessage);
+        if (!tabChannel) {
+            isLeader = true;
+            return connect();
+        }
+
+        leaseKey = LEASE_KEY_PREFIX + me.id;
+        $(window).on('unload', leaveTabs);
+
+        // Ask the tab holding the websocket connection for the status of the connection
+        postTabMessage({'type': 'hello'});
+
+        // Wait for the lock on the websocket connection and hold on to it for as long as the
+        // current tab is open. The lock is granted to the next tab when the current tab goes away
+        if (window.navigator.locks) {
+            useWebLocks = true;
+            return window.navigator.locks.request(leaseKey, function() {
+                becomeLeader();
+                return new Promise(function() {});
+            });
+        }
+
+        setInterval(checkLease, LEASE_INTERVAL);
+        $(document).on('visibilitychange', checkLease);
+
+        // Claim the connection when no other tab is holding it
+        checkLease();
+    };
+
+    /**
+     * Get the current status of the websocket connection. Every time the status changes, an
+     * `oae.api.push.status` event will be triggered on the document with the new status
+     *
+     * @return {String}     The current connection status. This will be one of the `STATUS_*` constants, or `null` when the push API has not been initialized
+     */
+    var getConnectionStatus = exports.getConnectionStatus = function() {
+        return connectionStatus;
+    };
+
+    /**
+     * Set up a new websocket connection
+     *
+     * @api private
+     */
+    var connect = function() {
+        clearTimeout(reconnectTimeout);
+        reconnectTimeout = null;
+
         // Set up the websocket that will be used for the push notifications
         sockjs = new SockJS('/api/push', {
             'protocols_whitelist': ['websocket']
         });
+        var socket = sockjs;
+
+        // Bind the event handlers that will be called when the websocket connection has been
+        // established, when new incoming messages arrive and when the connection is lost. Events
+        // that are still coming in from a previous connection are ignored
+        socket.onopen = authenticateSocket(socket);
+        socket.onmessage = function(ev) {
+            if (socket === sockjs) {
+                incomingMessage(ev);
+            }
+        };
+        socket.onclose = function() {
+            if (socket === sockjs) {
+                connectionLost();
+            }
+        };
+    };
+
+    /**
+     * Function that is called when the websocket connection has been lost. All messages that haven't
+     * been acknowledged yet will be sent again and a new attempt to establish the connection will be
+     * scheduled with an increasing delay
+     *
+     * @api private
+     */
+    var connectionLost = function() {
+        linkLost();
+
+        // The other tabs will renew their subscriptions once the connection has been re-established
+        _.each(tabSubscriptions, function(tabSubscription) {
+            tabSubscription.subscribed = false;
+        });
 
-        // Bind the event handlers that will be called when the websocket
-        // connection has been established and when new incoming messages arrive
-        sockjs.onopen = authenticateSocket(callback);
-        sockjs.onmessage = incomingMessage;
+        if (!reconnectTimeout) {
+            reconnectTimeout = setTimeout(connect, reconnectDelay);
+            reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY);
+        }
+    };
+
+    /**
+     * Function that is called when the websocket connection can no longer be used, either because the
+     * connection has been lost or because the tab that was holding the connection has gone away. All
+     * messages that haven't been acknowledged yet will be sent again once a connection is available
+     *
+     * @api private
+     */
+    var linkLost = function() {
+        websocketEstablished = false;
+        setConnectionStatus(STATUS_DISCONNECTED);
+
+        // Messages that were in flight when the connection was lost will be sent again once the new
+        // connection has been established. The authentication message is left out, as a new
+        // authentication message is sent for every new connection. Subscriptions that have been
+        // acknowledged before are left out as well, as these will be renewed automatically. Messages
+        // sent on behalf of other tabs are left out, as those tabs will send them again themselves
+        var unacknowledgedMessages = _.chain(acknowledgementCallbacks)
+            .pluck('message')
+            .reject(function(message) {
+                if (message.name === 'authentication' || message.relayed) {
+                    return true;
+                } else if (message.name === 'subscribe') {
+                    var stream = message.payload.stream;
+                    return getSubscription(stream.resourceId, stream.streamType, message.payload.format).subscribed;
+                }
+                return false;
+            })
+            .value();
+        acknowledgementCallbacks = {};
+        deferredMessages = unacknowledgedMessages.concat(deferredMessages);
+    };
+
+    /**
+     * Update the status of the websocket connection and notify all interested parties by triggering an
+     * `oae.api.push.status` event on the document. When the current tab holds the websocket connection,
+     * the other tabs will be notified of the new status as well
+     *
+     * @param  {String}     status      The new connection status. One of the `STATUS_*` constants
+     * @api private
+     */
+    var setConnectionStatus = function(status) {
+        if (status !== connectionStatus) {
+            connectionStatus = status;
+            $(document).trigger('oae.api.push.status', [status]);
+
+            if (isLeader && tabChannel) {
+                postTabMessage({'type': 'status', 'status': status});
+            }
+        }
     };
 
     /**
      * Function that is called when the websocket connection has been established successfully.
-     * The websocket is authenticated and any messages that were received before the connection
-     * was established are submitted over the websocket.
+     * The websocket is authenticated, after which all subscriptions will be renewed and all
+     * deferred messages will be sent.
      *
-     * @param  {Function}   callback        Invoked when the socket is either authenticated or when authentication fails
-     * @param  {Object}     callback.err    An error that occurred during authentication, if any
+     * @param  {SockJS}     socket          The websocket that has been opened
      * @api private
      */
-    var authenticateSocket = function(callback) {
+    var authenticateSocket = function(socket) {
         return function() {
+            // Ignore connections that have been replaced in the meantime
+            if (socket !== sockjs) {
+                return;
+            }
+
             // Get the me object for the current user
             var me = require('oae.core').data.me;
 
             // Authenticate the websocket
             sendMessage('authentication', {'userId': me.id, 'tenantAlias': me.tenant.alias, 'signature': me.signature}, function(err) {
                 if (err) {
-                    return callback(err);
+                    // Closing the connection will schedule a new attempt to establish it
+                    socket.close();
+                    if (initCallback) {
+                        initCallback(err);
+                        initCallback = null;
+                    }
+                    return;
                 }
 
-                // Indicate that the connection and authentication was successful
-                websocketEstablished = true;
-
-                // Keep track of how many deferred messages have called back (i.e., have been
-                // received by the server)
-                var numCalledBack = 0;
-
-                // Send all messages that were received before the websocket connection was established
-                _.each(deferredMessages, function(message) {
-                    sendMessage(message.name, message.payload, function() {
-                        // First invoke the message callback for this deferred message
-                        message.callback.apply(null, _.toArray(arguments));
-
-                        // Only after all the deferred message callbacks have been invoked do we
-                        // call the authentication callback. Practically speaking, these messages
-                        // will be subscriptions to things like activity stream, notification
-                        // stream, etc... Since we perform activity-generating actions on page load
-                        // (e.g., accepting an invitation to the system), we need to ensure these
-                        // subscriptions are registered before the activity-generating actions are
-                        // performed
-                        numCalledBack++;
-                        if (numCalledBack === deferredMessages.length) {
-                            callback();
-                        }
-                    });
+                connectionEstablished();
+            });
+        };
+    };
+
+    /**
+     * Function that is called when the websocket connection is ready to be used. All subscriptions that
+     * were made on a previous connection are renewed and any messages that were received before the
+     * connection was established are submitted over the websocket.
+     *
+     * @api private
+     */
+    var connectionEstablished = function() {
+        // Indicate that the connection and authentication was successful
+        websocketEstablished = true;
+        reconnectDelay = MIN_RECONNECT_DELAY;
+        setConnectionStatus(STATUS_CONNECTED);
+
+        // Renew all subscriptions that were made on a previous connection
+        resubscribe();
+
+        var callback = initCallback || function() {};
+        initCallback = null;
+
+        // Send all messages that were received before the websocket connection was established
+        var messages = deferredMessages;
+        deferredMessages = [];
+        if (_.isEmpty(messages)) {
+            return callback();
+        }
+
+        // Keep track of how many deferred messages have called back (i.e., have been
+        // received by the server)
+        var numCalledBack = 0;
+
+        _.each(messages, function(message) {
+            sendMessage(message.name, message.payload, function() {
+                // First invoke the message callback for this deferred message
+                message.callback.apply(null, _.toArray(arguments));
+
+                // Only after all the deferred message callbacks have been invoked do we
+                // call the initialization callback. Practically speaking, these messages
+                // will be subscriptions to things like activity stream, notification
+                // stream, etc... Since we perform activity-generating actions on page load
+                // (e.g., accepting an invitation to the system), we need to ensure these
+                // subscriptions are registered before the activity-generating actions are
+                // performed
+                numCalledBack++;
+                if (numCalledBack === messages.length) {
+                    callback();
+                }
+            });
+        });
+    };
+
+    /**
+     * Renew all subscriptions that have been acknowledged by the server on a previous websocket
+     * connection. Subscriptions that haven't been acknowledged yet will still be waiting to be
+     * sent as a deferred message. Once a subscription has been renewed, the activities that were
+     * missed whilst the connection was down will be retrieved and delivered to the subscribers
+     *
+     * @api private
+     */
+    var resubscribe = function() {
+        _.each(subscriptions, function(streamTypes, resourceId) {
+            _.each(streamTypes, function(formats, streamType) {
+                _.each(formats, function(subscription, format) {
+                    if (subscription.subscribed) {
+                        var since = subscription.lastSeen;
+                        sendMessage('subscribe', getSubscriptionPayload(resourceId, streamType, format, subscription.token), function(err) {
+                            if (!err) {
+                                catchUp(resourceId, streamType, format, since);
+                            }
+                        });
+                    }
                 });
             });
+        });
+    };
+
+    /**
+     * Retrieve the activities that were published on a stream whilst the websocket connection was down
+     * and deliver them to the subscribers of that stream, oldest activity first. The missed activities
+     * are delivered as individual messages, just like they would have been when they were received over
+     * the websocket, so they go through the same aggregation process
+     *
+     * @param  {String}     resourceId      Id of the resource for which to retrieve the missed activities
+     * @param  {String}     streamType      Name of the stream type for which to retrieve the missed activities
+     * @param  {String}     format          The format in which the activities should be retrieved
+     * @param  {Number}     since           Timestamp in milliseconds of the most recent activity that was delivered before the connection was lost
+     * @api private
+     */
+    var catchUp = function(resourceId, streamType, format, since) {
+        if (!CATCH_UP_FEEDS[streamType] || !_.isNumber(since)) {
+            return;
+        }
+
+        getActivitiesSince(CATCH_UP_FEEDS[streamType](resourceId), format, since, null, 0, function(err, missedActivities) {
+            if (err) {
+                return;
+            }
+
+            // The `message` stream pushes out the individual messages rather than aggregated activities
+            if (streamType === 'message') {
+                missedActivities = splitMessageActivities(missedActivities, since);
+            }
+
+            // The activity feeds return the most recent activities first
+            _.each(missedActivities.reverse(), function(activity) {
+                var message = {
+                    'resourceId': resourceId,
+                    'streamType': streamType,
+                    'format': format,
+                    'activities': [activity]
+                };
+                if (streamType === 'notification') {
+                    message.numNewActivities = 1;
+                }
+
+                deliverMessage(message, true);
+            });
+        });
+    };
+
+    /**
+     * Retrieve all activities from a REST activity feed that were published after a given point in time
+     *
+     * @param  {String}         url                 The url of the activity feed
+     * @param  {String}         format              The format in which the activities should be retrieved
+     * @param  {Number}         since               Timestamp in milliseconds after which the activities should have been published
+     * @param  {String}         [start]             The token used for paging through the feed. When not provided, the most recent activities will be retrieved
+     * @param  {Number}         pages               The number of pages that have already been retrieved
+     * @param  {Function}       callback            Standard callback function
+     * @param  {Object}         callback.err        Error object containing error code and error message
+     * @param  {Activity[]}     callback.activities The activities published after `since`, most recent activity first
+     * @api private
+     */
+    var getActivitiesSince = function(url, format, since, start, pages, callback) {
+        var data = {
+            'format': format,
+            'limit': CATCH_UP_PAGE_SIZE
         };
+        if (start) {
+            data.start = start;
+        }
+
+        $.ajax({
+            'url': url,
+            'data': data,
+            'success': function(data) {
+                var newActivities = _.filter(data.items, function(activity) {
+                    return activity.published > since;
+                });
+
+                // Retrieve the next page when all activities on this page are new and there are more activities to retrieve
+                if (newActivities.length === data.items.length && data.nextToken && pages + 1 < CATCH_UP_MAX_PAGES) {
+                    return getActivitiesSince(url, format, since, data.nextToken, pages + 1, function(err, olderActivities) {
+                        callback(null, err ? newActivities : newActivities.concat(olderActivities));
+                    });
+                }
+
+                callback(null, newActivities);
+            },
+            'error': function(jqXHR, textStatus) {
+                callback(errorAPI.createError(jqXHR, this.url));
+            }
+        });
+    };
+
+    /**
+     * Convert aggregated comment and message activities from a resource's activity feed into the
+     * individual activities that the `message` stream pushes out. Activities of other types and
+     * messages that were posted before the connection was lost are left out
+     *
+     * @param  {Activity[]}     activities      The activities from the resource's activity feed
+     * @param  {Number}         since           Timestamp in milliseconds of the most recent activity that was delivered before the connection was lost
+     * @return {Activity[]}                     An activity per individual message, in the same order as the provided activities
+     * @api private
+     */
+    var splitMessageActivities = function(activities, since) {
+        var messageActivities = [];
+        _.each(activities, function(activity) {
+            if (!_.contains(MESSAGE_ACTIVITY_TYPES, activity['oae:activityType'])) {
+                return;
+            }
+
+            var messages = activity.object['oae:collection'] || [activity.object];
+            _.each(messages, function(message) {
+                var created = message.published || message.created;
+                if (!created || created > since) {
+                    messageActivities.push(_.extend({}, activity, {'object': message}));
+                }
+            });
+        });
+        return messageActivities;
     };
 
     /**
@@ -225,14 +722,108 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util', 'sockjs'], function(e
         // that have subscribed to the resource channel the event was sent over and the
         // associated stream type
         if (message.resourceId && message.streamType) {
-            notifySubscribers(message);
+            deliverMessage(message);
+            relayPushMessage(message);
         // The message is an acknowledgement message. In this case, the original message's
         // acknowledgement callback function is executed
         } else if (acknowledgementCallbacks[message.replyTo]) {
-            acknowledgementCallbacks[message.replyTo](message);
+            acknowledgementCallbacks[message.replyTo].callback(message);
         }
     };
 
+    /**
+     * Deliver a push notification message to the subscribers of its resource channel and stream type.
+     * Activities that have already been delivered are left out, as these can be retrieved again when
+     * catching up with the activities that were missed whilst the websocket connection was down
+     *
+     * @param  {Object}     message         Push notification message that should be delivered to its subscribers
+     * @param  {Boolean}    [isCatchUp]     Whether or not the message contains an activity that was retrieved while catching up. Such activities are also left out when a more recent activity has been delivered in the meantime
+     * @api private
+     */
+    var deliverMessage = function(message, isCatchUp) {
+        // Keep track of the most recent activity on the stream, so the activities that are missed
+        // whilst the websocket connection is down can be retrieved once it has been re-established
+        var subscription = getSubscription(message.resourceId, message.streamType, message.format);
+        if (subscription) {
+            var activities = _.filter(message.activities, function(activity) {
+                var key = getActivityKey(activity);
+                if (key && _.contains(subscription.delivered, key)) {
+                    return false;
+                } else if (isCatchUp && activity.published <= subscription.lastSeen) {
+                    return false;
+                }
+
+                if (key) {
+                    subscription.delivered = _.last(subscription.delivered.concat(key), DELIVERED_HISTORY_SIZE);
+                }
+                subscription.lastSeen = Math.max(subscription.lastSeen, activity.published || 0);
+                return true;
+            });
+
+            if (_.isEmpty(activities)) {
+                return;
+            }
+
+            // The original message is passed on to the other tabs, which keep track of the
+            // delivered activities themselves
+            message = _.extend({}, message, {'activities': activities});
+        }
+
+        // The activities indicate that the resources they reference have changed, so these
+        // resources should be retrieved from the server again when they are next requested
+        cacheAPI.invalidateActivities(message.activities);
+        notifySubscribers(message);
+    };
+
+    /**
+     * Get the key that uniquely identifies a delivered activity. The activities on the `message` stream
+     * share the id of the aggregated activity they were taken from, so the id of the object is included
+     *
+     * @param  {Activity}   activity        The activity for which to get the key
+     * @return {String}                     The key that uniquely identifies the activity. This will be `null` when the activity has no id
+     * @api private
+     */
+    var getActivityKey = function(activity) {
+        if (!activity['oae:activityId']) {
+            return null;
+        }
+
+        var object = activity.object || {};
+        return activity['oae:activityId'] + '#' + (object['oae:id'] || object.id);
+    };
+
+    /**
+     * Take the timestamp of the most recent activity on a stream from the server, so the activities that
+     * are missed whilst the websocket connection is down can be retrieved even when no activity has been
+     * delivered before the connection was lost
+     *
+     * @param  {String}     resourceId      Id of the resource on which channel the subscription was made
+     * @param  {String}     streamType      Name of the stream type of the subscription
+     * @param  {String}     format          The format of the subscription
+     * @param  {Object}     subscription    The subscription for which to retrieve the timestamp
+     * @api private
+     */
+    var seedLastSeen = function(resourceId, streamType, format, subscription) {
+        if (!CATCH_UP_FEEDS[streamType]) {
+            return;
+        }
+
+        $.ajax({
+            'url': CATCH_UP_FEEDS[streamType](resourceId),
+            'data': {
+                'format': format,
+                'limit': 1
+            },
+            'success': function(data) {
+                var published = _.isEmpty(data.items) ? 0 : data.items[0].published;
+                subscription.lastSeen = Math.max(subscription.lastSeen, published || 0);
+            },
+            'error': function() {
+                // The missed activities can only be retrieved once an activity has been delivered
+            }
+        });
+    };
+
     /**
      * Subscribe to all messages on a specific channel for a specific stream type and the specified format
      *
@@ -247,52 +838,151 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util', 'sockjs'], function(e
      * @param  {Object}         messageCallback.message         The message that came in over the websocket. The `activities` key will have been modified to contain the aggregated activities
      * @param  {Function}       [callback]                      Standard callback function
      * @param  {Object}         [callback.err]                  Error object containing error code and message
+     * @return {Promise}                                        When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      */
-    var subscribe = exports.subscribe = function(resourceId, streamType, token, transformer, performInlineAggregation, performFullAggregation, messageCallback, callback) {
+    var subscribe = exports.subscribe = utilAPI.promisify(function(resourceId, streamType, token, transformer, performInlineAggregation, performFullAggregation, messageCallback, callback) {
         // Set a default callback function in case no callback function has been provided
         callback = callback || function() {};
 
         // Default the transformer to `internal`
         transformer = transformer || 'internal';
 
+        var listener = {
+            'performInlineAggregation': performInlineAggregation,
+            'performFullAggregation': performFullAggregation,
+            'messageCallback': messageCallback
+        };
+
         // Check if there is already a subscription for the provided channel and stream type.
         // If there is, we add an additional listener
-        if (subscriptions[resourceId] && subscriptions[resourceId][streamType] && subscriptions[resourceId][streamType][transformer]) {
-            subscriptions[resourceId][streamType][transformer].push({
-                'performInlineAggregation': performInlineAggregation,
-                'performFullAggregation': performFullAggregation,
-                'messageCallback': messageCallback
-            });
+        var existingSubscription = getSubscription(resourceId, streamType, transformer);
+        if (existingSubscription) {
+            existingSubscription.listeners.push(listener);
             return callback();
         }
 
         // Register the listener
+        var subscription = {
+            'token': token,
+            'subscribed': false,
+            'lastSeen': null,
+            'delivered': [],
+            'listeners': [listener]
+        };
         subscriptions[resourceId] = subscriptions[resourceId] || {};
         subscriptions[resourceId][streamType] = subscriptions[resourceId][streamType] || {};
-        subscriptions[resourceId][streamType][transformer] = [{
-            'performInlineAggregation': performInlineAggregation,
-            'performFullAggregation': performFullAggregation,
-            'messageCallback': messageCallback
-        }];
+        subscriptions[resourceId][streamType][transformer] = subscription;
 
         // Construct the subscription request
         var name = 'subscribe';
-        var payload = {
-            'format': transformer,
+        var payload = getSubscriptionPayload(resourceId, streamType, transformer, token);
+
+        // Keep track of the subscriptions that have been acknowledged by the server, as these
+        // will need to be renewed when the websocket connection is re-established
+        var subscribeCallback = function(err) {
+            if (!err) {
+                subscription.subscribed = true;
+
+                // As the subscriber will have retrieved the current state of the stream just before
+                // subscribing, only activities from this point onwards can be missed
+                seedLastSeen(resourceId, streamType, transformer, subscription);
+            }
+            callback.apply(null, _.toArray(arguments));
+        };
+
+        // If the websocket has not been established yet, the subscription is queued until
+        // it has been established
+        if (!websocketEstablished) {
+            deferredMessages.push({'name': name, 'payload': payload, 'callback': subscribeCallback});
+        // Subscribe straight away when the websocket has already been successfully established
+        } else {
+            sendMessage(name, payload, subscribeCallback);
+        }
+    });
+
+    /**
+     * Construct the payload of a subscription request
+     *
+     * @param  {String}         resourceId      Id of the resource on which channel to subscribe
+     * @param  {String}         streamType      Name of the stream type to subscribe to
+     * @param  {String}         format          The format in which the activity entities should be received
+     * @param  {String}         token           Token used to authorize the subscription
+     * @return {Object}                         The payload of the subscription request
+     * @api private
+     */
+    var getSubscriptionPayload = function(resourceId, streamType, format, token) {
+        return {
+            'format': format,
             'stream': {
                 'resourceId': resourceId,
                 'streamType': streamType
             },
             'token': token
         };
+    };
 
-        // If the websocket has not been established yet, the subscription is queued until
-        // it has been established
-        if (!websocketEstablished) {
-            deferredMessages.push({'name': name, 'payload': payload, 'callback': callback});
-        // Subscribe straight away when the websocket has already been successfully established
+    /**
+     * Get the subscription of the current tab to a stream
+     *
+     * @param  {String}         resourceId      Id of the resource on which channel the subscription was made
+     * @param  {String}         streamType      Name of the stream type the subscription was made to
+     * @param  {String}         format          The format in which the activity entities are received
+     * @return {Object}                         The subscription, as stored in `subscriptions`. This will be `undefined` when the current tab hasn't subscribed to the stream
+     * @api private
+     */
+    var getSubscription = function(resourceId, streamType, format) {
+        return subscriptions[resourceId] && subscriptions[resourceId][streamType] && subscriptions[resourceId][streamType][format];
+    };
+
+    /**
+     * Get the key that uniquely identifies a stream
+     *
+     * @param  {String}         resourceId      Id of the resource on which channel the stream is
+     * @param  {String}         streamType      Name of the stream type
+     * @param  {String}         format          The format in which the activity entities are received
+     * @return {String}                         The key that identifies the stream
+     * @api private
+     */
+    var getStreamKey = function(resourceId, streamType, format) {
+        return resourceId + '#' + streamType + '#' + format;
+    };
+
+    /**
+     * Register the rule that should be followed for aggregating activities of a certain activity type.
+     * This allows extensions to declare how their own activity types aggregate. When a rule has already
+     * been registered for the activity type, it will be replaced. The rule defines the fields of the
+     * activity that should match with those fields on a different activity of the same type before both
+     * activities can be aggregated into one activity. For example:
+     *
+     * ```
+     * {
+     *     'actor': true,
+     *     'target': 'objectType'
+     * }
+     * ```
+     *
+     * will aggregate activities that have the same actor and a target of the same object type. Having a
+     * `true` value means that the entities should have the same id.
+     *
+     * @param  {String}     activityType        The activity type for which to register the aggregation rule (e.g. `content-create`)
+     * @param  {Object}     rule                The fields of the activity that should match before activities can be aggregated. The keys should be one of `actor`, `object` or `target`. The values should be `true` or the name of the entity property that should match
+     * @param  {Number}     [timeout]           Time in milliseconds during which activities of this type should be aggregated before they are delivered to the subscribers. Defaults to 1 second
+     * @throws {Error}                          Error thrown when no valid activity type or aggregation rule has been provided
+     */
+    var registerAggregationRule = exports.registerAggregationRule = function(activityType, rule, timeout) {
+        if (!activityType) {
+            throw new Error('A valid activity type should be provided');
+        } else if (!_.isObject(rule) || _.isEmpty(rule)) {
+            throw new Error('A valid aggregation rule should be provided');
+        } else if (timeout !== undefined && (!_.isNumber(timeout) || timeout < 0)) {
+            throw new Error('A valid aggregation timeout should be provided');
+        }
+
+        aggregationRules[activityType] = _.clone(rule);
+        if (timeout !== undefined) {
+            aggregationTimeouts[activityType] = timeout;
         } else {
-            sendMessage(name, payload, callback);
+            delete aggregationTimeouts[activityType];
         }
     };
 
@@ -321,7 +1011,7 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util', 'sockjs'], function(e
 
         // Run through all subscription for the provided resource, stream type and format
         if (subscriptions[message.resourceId] && subscriptions[message.resourceId][message.streamType] && subscriptions[message.resourceId][message.streamType][message.format]) {
-            _.each(subscriptions[message.resourceId][message.streamType][message.format], function(listener) {
+            _.each(subscriptions[message.resourceId][message.streamType][message.format].listeners, function(listener) {
                 // Check if the activity that is associated to the push notification requires
                 // aggregation. If it doesn't, it can be distributed to its subscribers straight away
                 if (listener.performFullAggregation) {
@@ -447,7 +1137,9 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util', 'sockjs'], function(e
         }
 
         // We wait a little bit before returing to the caller so we can aggregate with
-        // activities from messages that will arrive later
+        // activities from messages that will arrive later. The time to wait depends on
+        // the types of all activities that are waiting to be delivered
+        var timeout = getAggregationTimeout(activities[resourceId][streamType]);
         timers[resourceId][streamType] = setTimeout(function() {
             var activitiesToNotify = activities[resourceId][streamType];
 
@@ -458,7 +1150,7 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util', 'sockjs'], function(e
             }
 
             return callback(activitiesToNotify);
-        }, AGGREGATION_TIMEOUT);
+        }, timeout);
     };
 
     /**
@@ -478,7 +1170,7 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util', 'sockjs'], function(e
 
             // If we don't have any defined aggregation rules for this activity type,
             // we can skip it and add it as-is
-            if (!AGGREGATION_RULES[activity['oae:activityType']]) {
+            if (!aggregationRules[activity['oae:activityType']]) {
                 aggregatedActivities.push(activity);
                 continue;
             }
@@ -507,6 +1199,22 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util', 'sockjs'], function(e
         return aggregatedActivities;
     };
 
+    /**
+     * Get the time during which a set of activities should be aggregated with activities that arrive later.
+     * When the activities are of different types, the longest of the timeouts for those types is used
+     *
+     * @param  {Activity[]}     activities      The activities for which to get the aggregation timeout
+     * @return {Number}                         The time in milliseconds during which the activities should be aggregated
+     * @api private
+     */
+    var getAggregationTimeout = function(activities) {
+        var timeouts = _.map(activities, function(activity) {
+            var timeout = aggregationTimeouts[activity['oae:activityType']];
+            return _.isNumber(timeout) ? timeout : DEFAULT_AGGREGATION_TIMEOUT;
+        });
+        return _.isEmpty(timeouts) ? DEFAULT_AGGREGATION_TIMEOUT : _.max(timeouts);
+    };
+
     /**
      * Checks if two activities can be aggregated based on their activity
      * type and existing aggregation rules
@@ -523,7 +1231,7 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util', 'sockjs'], function(e
 
         // If we don't have any aggregation rules defined for the activity types,
         // we cannot aggregate them
-        } else if (!AGGREGATION_RULES[activityA['oae:activityType']]) {
+        } else if (!aggregationRules[activityA['oae:activityType']]) {
             return false;
         }
 
@@ -546,7 +1254,7 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util', 'sockjs'], function(e
      */
     var getAggregateKey = function(activity) {
         var aggregateKey = [];
-        _.each(AGGREGATION_RULES[activity['oae:activityType']], function(aggregationSpec, activityField) {
+        _.each(aggregationRules[activity['oae:activityType']], function(aggregationSpec, activityField) {
             // Having a "true" aggregation spec implicitly means to aggregate on the id of the
             // entity. However by specifying a string, it is possible to aggregate on other
             // entity fields
@@ -606,16 +1314,18 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util', 'sockjs'], function(e
     };
 
     /**
-     * Send a new message over the established websocket
+     * Send a new message over the established websocket. When the current tab doesn't hold the
+     * websocket connection, the message will be sent through the tab that does
      *
      * @param  {String}     name                Name of the message identifying the type of message
      * @param  {Object}     payload             Additional data that needs to be sent along with the message
      * @param  {Function}   callback            Standard callback function
      * @param  {Object}     callback.err        Error object containing error code and message
      * @param  {Object}     callback.payload    The payload of the received response
+     * @param  {Boolean}    [relayed]           Whether or not the message is sent on behalf of a different tab
      * @api private
      */
-    var sendMessage = function(name, payload, callback) {
+    var sendMessage = function(name, payload, callback, relayed) {
         // Construct the message object
         var message = {
             'id': utilAPI.generateId(),
@@ -624,15 +1334,394 @@ define(['exports', 'jquery', 'underscore', 'oae.api.util', 'sockjs'], function(e
         };
 
         // Store a reference to the function that will be called when the response
-        // to the message has been received
-        acknowledgementCallbacks[message.id] = function(responseMessage) {
-            callback(responseMessage.error, responseMessage.payload);
-            // Remove the reference now that the callback has been called
-            delete acknowledgementCallbacks[message.id];
+        // to the message has been received. The message is retained as well, so it
+        // can be sent again when the connection is lost before it is acknowledged
+        acknowledgementCallbacks[message.id] = {
+            'message': {
+                'name': name,
+                'payload': payload,
+                'callback': callback,
+                'relayed': relayed
+            },
+            'callback': function(responseMessage) {
+                // Remove the reference now that the callback is being called
+                delete acknowledgementCallbacks[message.id];
+                callback(responseMessage.error, responseMessage.payload);
+            }
         };
 
         // Send the message over the websocket
-        sockjs.send(JSON.stringify(message));
+        if (isLeader) {
+            sockjs.send(JSON.stringify(message));
+        } else {
+            postTabMessage({'type': 'request', 'message': message});
+        }
+    };
+
+    /**
+     * Set up a channel over which the tabs of the current user can communicate with each other. A
+     * `BroadcastChannel` will be used when the browser supports it. Otherwise, messages will be
+     * exchanged through local storage events. As the lease on the websocket connection is kept in
+     * local storage, no channel will be set up when local storage is not available
+     *
+     * @param  {String}     name                The name of the channel
+     * @param  {Function}   onMessage           Function that will be invoked when a message from a different tab arrives
+     * @param  {Object}     onMessage.message   The message that arrived
+     * @return {Object}                         Object with a `post` function that can be used to send a message to all other tabs. This will be `null` when tabs can't communicate in the current browser
+     * @api private
+     */
+    var createTabChannel = function(name, onMessage) {
+        try {
+            window.localStorage.setItem(name, name);
+            window.localStorage.removeItem(name);
+        } catch (err) {
+            return null;
+        }
+
+        if (window.BroadcastChannel) {
+            var broadcastChannel = new window.BroadcastChannel(name);
+            broadcastChannel.onmessage = function(ev) {
+                onMessage(ev.data);
+            };
+            return {
+                'post': function(message) {
+                    broadcastChannel.postMessage(message);
+                }
+            };
+        }
+
+        // Every message is stored under the same key and removed straight away, which will trigger a
+        // storage event in all other tabs. The message is given a unique id to ensure that a storage
+        // event is triggered when the same message is sent twice
+        $(window).on('storage', function(ev) {
+            var storageEvent = ev.originalEvent;
+            if (storageEvent.key === name && storageEvent.newValue) {
+                onMessage(JSON.parse(storageEvent.newValue).message);
+            }
+        });
+        return {
+            'post': function(message) {
+                try {
+                    window.localStorage.setItem(name, JSON.stringify({'id': utilAPI.generateId(), 'message': message}));
+                    window.localStorage.removeItem(name);
+                } catch (err) {
+                    // The message could not be stored. The other tabs will recover through the lease
+                }
+            }
+        };
+    };
+
+    /**
+     * Send a message to all other tabs of the current user
+     *
+     * @param  {Object}     message         The message to send. The `type` property identifies the type of message
+     * @api private
+     */
+    var postTabMessage = function(message) {
+        message.from = tabId;
+        tabChannel.post(message);
+    };
+
+    /**
+     * Function that is called when a message from a different tab of the current user arrives
+     *
+     * @param  {Object}     message         The message that arrived
+     * @api private
+     */
+    var receiveTabMessage = function(message) {
+        // Some browsers trigger storage events in the tab that made the change as well
+        if (message.from === tabId) {
+            return;
+        }
+
+        // A new tab has been opened and wants to know the status of the websocket connection
+        if (message.type === 'hello') {
+            if (isLeader) {
+                postTabMessage({'type': 'status', 'status': connectionStatus});
+            }
+
+        // A different tab has taken hold of the websocket connection. Any messages that were sent
+        // through the previous tab will be sent again once the new connection has been established
+        } else if (message.type === 'leader') {
+            if (isLeader && !useWebLocks) {
+                checkLease();
+            } else if (websocketEstablished) {
+                linkLost();
+            }
+
+        // The tab holding the websocket connection has been closed
+        } else if (message.type === 'leader-gone') {
+            if (!isLeader && !useWebLocks) {
+                claimLease();
+            }
+
+        // The status of the websocket connection held by a different tab has changed
+        } else if (message.type === 'status') {
+            if (!isLeader) {
+                followConnectionStatus(message.status);
+            }
+
+        // A different tab wants to send a message over the websocket connection
+        } else if (message.type === 'request') {
+            if (isLeader) {
+                relayMessage(message.from, message.message);
+            }
+
+        // The response to a message that was sent through a different tab has been received
+        } else if (message.type === 'reply') {
+            if (message.to === tabId && acknowledgementCallbacks[message.message.replyTo]) {
+                acknowledgementCallbacks[message.message.replyTo].callback(message.message);
+            }
+
+        // A push notification has been received by the tab holding the websocket connection
+        } else if (message.type === 'push') {
+            if (!isLeader) {
+                deliverMessage(message.message);
+            }
+
+        // A different tab has been closed and no longer needs its subscriptions
+        } else if (message.type === 'tab-closed') {
+            if (isLeader) {
+                releaseTabSubscriptions(message.from);
+            }
+        }
+    };
+
+    /**
+     * Update the status of the websocket connection in a tab that doesn't hold the websocket connection
+     * itself, following the status of the connection in the tab that does
+     *
+     * @param  {String}     status          The status of the connection in the tab that holds it. One of the `STATUS_*` constants
+     * @api private
+     */
+    var followConnectionStatus = function(status) {
+        if (status === STATUS_CONNECTED) {
+            if (!websocketEstablished) {
+                connectionEstablished();
+            }
+        } else if (status) {
+            if (websocketEstablished) {
+                linkLost();
+            }
+            setConnectionStatus(status);
+        }
+    };
+
+    /**
+     * Send a message over the websocket connection on behalf of a different tab and send the response
+     * back to that tab. Subscriptions are reference counted, which avoids subscribing to the same
+     * stream multiple times and ensures that push notifications are only passed on for as long as
+     * there is a tab that uses the subscription
+     *
+     * @param  {String}     fromTabId       The id of the tab that wants to send the message
+     * @param  {Object}     message         The message to send
+     * @api private
+     */
+    var relayMessage = function(fromTabId, message) {
+        // The other tab will send the message again once the connection has been established
+        if (!websocketEstablished) {
+            return;
+        }
+
+        var reply = function(err, payload) {
+            postTabMessage({
+                'type': 'reply',
+                'to': fromTabId,
+                'message': {
+                    'replyTo': message.id,
+                    'error': err,
+                    'payload': payload
+                }
+            });
+        };
+
+        if (message.name !== 'subscribe') {
+            return sendMessage(message.name, message.payload, reply, true);
+        }
+
+        var stream = message.payload.stream;
+        var key = getStreamKey(stream.resourceId, stream.streamType, message.payload.format);
+        var tabSubscription = tabSubscriptions[key] = tabSubscriptions[key] || {'subscribed': false, 'tabs': []};
+        if (!_.contains(tabSubscription.tabs, fromTabId)) {
+            tabSubscription.tabs.push(fromTabId);
+        }
+
+        // There is no need to subscribe again when the connection is already subscribed to the stream
+        var subscription = getSubscription(stream.resourceId, stream.streamType, message.payload.format);
+        if (tabSubscription.subscribed || (subscription && subscription.subscribed)) {
+            return reply();
+        }
+
+        sendMessage(message.name, message.payload, function(err, payload) {
+            if (!err) {
+                tabSubscription.subscribed = true;
+            }
+            reply(err, payload);
+        }, true);
+    };
+
+    /**
+     * Pass a push notification that has been received over the websocket connection on to the other tabs
+     * that have subscribed to the message's resource channel and stream type
+     *
+     * @param  {Object}     message         The push notification message to pass on
+     * @api private
+     */
+    var relayPushMessage = function(message) {
+        var tabSubscription = tabSubscriptions[getStreamKey(message.resourceId, message.streamType, message.format)];
+        if (tabChannel && tabSubscription) {
+            postTabMessage({'type': 'push', 'message': message});
+        }
+    };
+
+    /**
+     * Remove a tab that has been closed from all subscriptions that have been made on its behalf. Push
+     * notifications for subscriptions that are no longer used by any tab will no longer be passed on
+     *
+     * @param  {String}     closedTabId     The id of the tab that has been closed
+     * @api private
+     */
+    var releaseTabSubscriptions = function(closedTabId) {
+        _.each(tabSubscriptions, function(tabSubscription, key) {
+            tabSubscription.tabs = _.without(tabSubscription.tabs, closedTabId);
+            if (_.isEmpty(tabSubscription.tabs)) {
+                delete tabSubscriptions[key];
+            }
+        });
+    };
+
+    /**
+     * Check the lease on the websocket connection. When the current tab holds the lease, it will be
+     * renewed. When the lease has expired because the tab holding it has gone away, the current tab
+     * will try to take over the websocket connection
+     *
+     * @api private
+     */
+    var checkLease = function() {
+        var lease = readLease();
+        if (isLeader) {
+            // Hand over the websocket connection when a different tab has claimed it in the meantime
+            if (lease && lease.tabId !== tabId && lease.expires > Date.now()) {
+                return stepDown();
+            }
+            writeLease();
+        } else if (!lease || lease.expires <= Date.now()) {
+            claimLease();
+        }
+    };
+
+    /**
+     * Try to take hold of the websocket connection. When multiple tabs try to claim the lease at the
+     * same time, only the tab that claimed it last will take hold of the connection
+     *
+     * @api private
+     */
+    var claimLease = function() {
+        writeLease();
+        setTimeout(function() {
+            var lease = readLease();
+            if (!isLeader && lease && lease.tabId === tabId) {
+                becomeLeader();
+            }
+        }, LEASE_CLAIM_DELAY);
+    };
+
+    /**
+     * Take hold of the websocket connection on behalf of all tabs of the current user
+     *
+     * @api private
+     */
+    var becomeLeader = function() {
+        isLeader = true;
+        if (websocketEstablished) {
+            linkLost();
+        }
+
+        postTabMessage({'type': 'leader'});
+        connect();
+    };
+
+    /**
+     * Hand over the websocket connection to a different tab that has claimed it
+     *
+     * @api private
+     */
+    var stepDown = function() {
+        isLeader = false;
+        tabSubscriptions = {};
+        clearTimeout(reconnectTimeout);
+        reconnectTimeout = null;
+
+        // Close the websocket connection, ignoring any events that are still coming in
+        var socket = sockjs;
+        sockjs = null;
+        if (socket) {
+            socket.close();
+        }
+
+        if (websocketEstablished) {
+            linkLost();
+        }
+    };
+
+    /**
+     * Let the other tabs know that the current tab is being closed. When the current tab holds the
+     * websocket connection, one of the other tabs will take over. Otherwise, the subscriptions that
+     * were made on behalf of the current tab will be released
+     *
+     * @api private
+     */
+    var leaveTabs = function() {
+        if (isLeader) {
+            var lease = useWebLocks ? null : readLease();
+            if (lease && lease.tabId === tabId) {
+                removeLease();
+            }
+            postTabMessage({'type': 'leader-gone'});
+        } else {
+            postTabMessage({'type': 'tab-closed'});
+        }
+    };
+
+    /**
+     * Read the lease on the websocket connection from local storage
+     *
+     * @return {Object}     The lease, containing the `tabId` of the tab holding the connection and the timestamp in milliseconds at which the lease `expires`. This will be `null` when no tab holds the lease
+     * @api private
+     */
+    var readLease = function() {
+        try {
+            return JSON.parse(window.localStorage.getItem(leaseKey));
+        } catch (err) {
+            return null;
+        }
+    };
+
+    /**
+     * Store a lease on the websocket connection for the current tab in local storage
+     *
+     * @api private
+     */
+    var writeLease = function() {
+        try {
+            window.localStorage.setItem(leaseKey, JSON.stringify({'tabId': tabId, 'expires': Date.now() + LEASE_DURATION}));
+        } catch (err) {
+            // The lease could not be stored. Another tab might take over the connection once the
+            // current lease expires
+        }
+    };
+
+    /**
+     * Remove the lease on the websocket connection from local storage
+     *
+     * @api private
+     */
+    var removeLease = function() {
+        try {
+            window.localStorage.removeItem(leaseKey);
+        } catch (err) {
+            // The lease will expire by itself
+        }
     };
 
 });
@@ -0,0 +1,450 @@
+/*!
+ * Copyright 2017 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+define(['exports', 'jquery', 'underscore', 'oae.api.cache', 'oae.api.error', 'oae.api.i18n', 'oae.api.util'], function(exports, $, _, cacheAPI, errorAPI, i18nAPI, utilAPI) {
+
+    // Prefix of the local storage key under which the queued requests are persisted. The id of the
+    // current user is appended to this prefix, to ensure that requests queued by one user are never
+    // sent on behalf of a different user that signs in on the same browser
+    var STORAGE_KEY_PREFIX = 'oae.api.queue.';
+
+    // Time in milliseconds to wait before retrying the queued requests for the first time. Every
+    // subsequent unsuccessful attempt will double the delay, up until `MAX_RETRY_DELAY`
+    var MIN_RETRY_DELAY = 2000;
+
+    // Maximum time in milliseconds to wait in between attempts to send the queued requests
+    var MAX_RETRY_DELAY = 60000;
+
+    // Time in milliseconds after which the window that is sending the queued requests is considered to
+    // have gone away, when it hasn't finished sending the request it claimed in the meantime. This is
+    // only used in browsers that don't support the Web Locks API
+    var SENDER_LEASE_DURATION = 60000;
+
+    // Time in milliseconds to wait after claiming the sender lease before checking whether the claim
+    // succeeded. This resolves the race between windows that try to claim the lease at the same time,
+    // as only the claim that was written last will be retained
+    var SENDER_LEASE_CLAIM_DELAY = 250;
+
+    // Unique id of the current window
+    var windowId = utilAPI.generateId();
+
+    // Variable that keeps track of the local storage key under which the queued requests for the
+    // current user are persisted. This will only be set once the queue has been initialized
+    var storageKey = null;
+
+    // Variable that keeps track of the requests that are waiting to be sent. The requests are kept
+    // in the order in which they were made and are stored in the following way:
+    //
+    //   [
+    //      {
+    //          'id': '<Unique id of the queued request>',
+    //          'resourceId': '<Id of the resource the request applies to>',
+    //          'url': '<Request url>',
+    //          'type': '<Request method>',
+    //          'data': <Request data>,
+    //          'traditional': <Whether or not the data should be serialized in the traditional way>,
+    //          'queued': <Timestamp in milliseconds at which the request was queued>
+    //      },
+    //      ...
+    //   ]
+    var queuedRequests = [];
+
+    // Variable that keeps track of the timeout for the next attempt to send the queued requests
+    var retryTimeout = null;
+
+    // Variable that keeps track of the time to wait before the next attempt to send the queued requests
+    var retryDelay = MIN_RETRY_DELAY;
+
+    // Variable that keeps track of whether or not the queued requests are currently being sent
+    var sending = false;
+
+    // Variable that keeps track of the name of the lock that needs to be held in order to send the
+    // queued requests. Only one window of the current user sends the queued requests at any given
+    // time, to avoid the same request from being sent by every open window
+    var senderLockName = null;
+
+    // Variable that keeps track of the local storage key through which the window that sent a queued
+    // request lets the other windows of the current user know about the outcome
+    var outcomeKey = null;
+
+    /**
+     * Initialize the outbound request queue for the current user. Requests that were queued during a
+     * previous visit and that haven't been sent yet will be retried straight away. Whenever the browser
+     * indicates that connectivity has been restored, the queued requests will be retried as well.
+     *
+     * @param  {Me}     me      The me object for the current user
+     * @api private
+     */
+    var init = exports.init = function(me) {
+        // Requests are only queued for authenticated users
+        if (!me || me.anon || storageKey) {
+            return;
+        }
+
+        storageKey = STORAGE_KEY_PREFIX + me.id;
+        senderLockName = storageKey + '.sender';
+        outcomeKey = storageKey + '.outcome';
+        queuedRequests = readQueue();
+
+        $(window).on('online', function() {
+            retryDelay = MIN_RETRY_DELAY;
+            sendQueuedRequests();
+        });
+
+        // Keep the queue up-to-date with the requests that were queued and sent by other windows and
+        // let the widgets in this window know about the outcome of the requests those windows sent
+        $(window).on('storage', function(ev) {
+            var storageEvent = ev.originalEvent;
+            if (storageEvent.key === storageKey) {
+                queuedRequests = readQueue();
+            } else if (storageEvent.key === outcomeKey && storageEvent.newValue) {
+                var outcome = JSON.parse(storageEvent.newValue);
+                if (outcome.err) {
+                    $(document).trigger('oae.api.queue.failed', [outcome.request, outcome.err]);
+                } else {
+                    cacheAPI.invalidate(outcome.request.resourceId);
+                    $(document).trigger('oae.api.queue.sent', [outcome.request, outcome.data]);
+                }
+            }
+        });
+
+        sendQueuedRequests();
+    };
+
+    /**
+     * Perform a mutating request. When the request fails because the server could not be reached, the
+     * request will be persisted in the outbound queue and will be retried with an increasing delay until
+     * connectivity has been restored.
+     *
+     * When a request is queued, the callback will be invoked with an error object that has its `queued`
+     * property set to `true` and that contains the queued request as its `request` property. This allows
+     * widgets to show the pending item with an "unsent" marker. Once the queued request has been sent, an
+     * `oae.api.queue.sent` event will be triggered on the document with the queued request and the response
+     * data. When the server rejects the queued request, an `oae.api.queue.failed` event will be triggered
+     * with the queued request and the error object. Only one window of the current user sends the queued
+     * requests, but these events will be triggered in all of the user's windows.
+     *
+     * @param  {Object}         options                 The request options
+     * @param  {String}         options.url             The url of the request
+     * @param  {String}         options.type            The request method (e.g. `POST`)
+     * @param  {Object}         [options.data]          The data to send along with the request. This data should be serializable to JSON
+     * @param  {Boolean}        [options.traditional]   Whether or not the data should be serialized in the traditional way
+     * @param  {String}         [options.resourceId]    The id of the resource the request applies to. The cached responses for this resource will be invalidated once a queued request has been sent
+     * @param  {Function}       callback                Standard callback function
+     * @param  {Object}         callback.err            Error object containing error code and error message
+     * @param  {Object}         callback.data           The response data
+     * @throws {Error}                                  Error thrown when no url or request method has been provided
+     */
+    var ajax = exports.ajax = function(options, callback) {
+        if (!options || !options.url) {
+            throw new Error('A valid url should be provided');
+        } else if (!options.type) {
+            throw new Error('A valid request method should be provided');
+        }
+
+        var request = {
+            'id': utilAPI.generateId(),
+            'resourceId': options.resourceId,
+            'url': options.url,
+            'type': options.type,
+            'data': options.data,
+            'traditional': options.traditional
+        };
+
+        sendRequest(request, function(err, data) {
+            // Queue the request when the server could not be reached. Requests are only queued once the
+            // queue has been initialized, as the queue is only available to authenticated users
+            if (err && isNetworkError(err) && storageKey) {
+                request.queued = Date.now();
+                queuedRequests = readQueue();
+                queuedRequests.push(request);
+                writeQueue();
+
+                utilAPI.notification(i18nAPI.translate('__MSG__CHANGES_NOT_SENT__'), i18nAPI.translate('__MSG__CHANGES_WILL_BE_SENT__'), 'info', 'oae-queue-' + request.id);
+                scheduleRetry();
+
+                err.queued = true;
+                err.request = _.clone(request);
+            }
+
+            callback(err, data);
+        });
+    };
+
+    /**
+     * Get the requests that are waiting to be sent
+     *
+     * @param  {String}     [resourceId]    The id of the resource for which to get the queued requests. When no resource id is provided, all queued requests will be returned
+     * @return {Object[]}                   The queued requests, in the order in which they were made
+     */
+    var getQueuedRequests = exports.getQueuedRequests = function(resourceId) {
+        var requests = queuedRequests;
+        if (resourceId) {
+            requests = _.where(queuedRequests, {'resourceId': resourceId});
+        }
+        return $.extend(true, [], requests);
+    };
+
+    /**
+     * Send all queued requests in the order in which they were made. When the server can still not be
+     * reached, a new attempt will be scheduled with an increased delay. When a different window of the
+     * current user is already sending the queued requests, a new attempt will be scheduled as well, so
+     * the current window can take over when the other window goes away
+     *
+     * @api private
+     */
+    var sendQueuedRequests = function() {
+        clearTimeout(retryTimeout);
+        retryTimeout = null;
+
+        if (sending) {
+            return;
+        }
+
+        // Pick up any changes made to the queue by other windows of the same user. This avoids
+        // sending requests that have already been sent from a different window
+        queuedRequests = readQueue();
+        if (_.isEmpty(queuedRequests)) {
+            retryDelay = MIN_RETRY_DELAY;
+            return;
+        }
+
+        sending = true;
+        acquireSenderLock(function(release) {
+            if (!release) {
+                sending = false;
+                return scheduleRetry();
+            }
+
+            // The queue might have changed while the lock was being acquired
+            queuedRequests = readQueue();
+            if (_.isEmpty(queuedRequests)) {
+                sending = false;
+                retryDelay = MIN_RETRY_DELAY;
+                return release();
+            }
+
+            var request = queuedRequests[0];
+            sendRequest(request, function(err, data) {
+                if (err && isNetworkError(err)) {
+                    // The global error handlers are invoked after this callback, and shouldn't let the
+                    // user know that the connection has been lost every time a retry fails
+                    err.queued = true;
+                    sending = false;
+                    release();
+                    return scheduleRetry();
+                }
+
+                queuedRequests = _.reject(readQueue(), function(queuedRequest) {
+                    return queuedRequest.id === request.id;
+                });
+                writeQueue();
+                sending = false;
+                release();
+
+                if (err) {
+                    utilAPI.notification(i18nAPI.translate('__MSG__CHANGES_NOT_SENT__'), i18nAPI.translate('__MSG__CHANGES_COULD_NOT_BE_SENT__'), 'error');
+                    $(document).trigger('oae.api.queue.failed', [request, err]);
+                } else {
+                    cacheAPI.invalidate(request.resourceId);
+                    $(document).trigger('oae.api.queue.sent', [request, data]);
+
+                    if (_.isEmpty(queuedRequests)) {
+                        utilAPI.notification(i18nAPI.translate('__MSG__CHANGES_SENT__'), i18nAPI.translate('__MSG__CHANGES_HAVE_BEEN_SENT__'));
+                    }
+                }
+                writeOutcome(request, err, data);
+
+                retryDelay = MIN_RETRY_DELAY;
+                sendQueuedRequests();
+            });
+        });
+    };
+
+    /**
+     * Acquire the lock that needs to be held in order to send the queued requests. The Web Locks API is
+     * used when the browser supports it. Otherwise, a lease is stored in local storage
+     *
+     * @param  {Function}   callback            Standard callback function
+     * @param  {Function}   [callback.release]  Function that releases the lock once the queued request has been sent. This will be `undefined` when a different window holds the lock
+     * @api private
+     */
+    var acquireSenderLock = function(callback) {
+        if (window.navigator.locks) {
+            return window.navigator.locks.request(senderLockName, {'ifAvailable': true}, function(lock) {
+                if (!lock) {
+                    return callback();
+                }
+
+                // The lock is held until the returned promise resolves
+                return new Promise(function(resolve) {
+                    callback(function() {
+                        resolve();
+                    });
+                });
+            });
+        }
+
+        var lease = readSenderLease();
+        if (lease && lease.windowId !== windowId && lease.expires > Date.now()) {
+            return callback();
+        }
+
+        try {
+            window.localStorage.setItem(senderLockName, JSON.stringify({'windowId': windowId, 'expires': Date.now() + SENDER_LEASE_DURATION}));
+        } catch (err) {
+            // Local storage is not available, which means that the queue isn't shared with any
+            // other window either
+            return callback(function() {});
+        }
+
+        // Only the window that claimed the lease last will send the queued requests
+        setTimeout(function() {
+            lease = readSenderLease();
+            if (!lease || lease.windowId !== windowId) {
+                return callback();
+            }
+
+            callback(function() {
+                lease = readSenderLease();
+                if (lease && lease.windowId === windowId) {
+                    try {
+                        window.localStorage.removeItem(senderLockName);
+                    } catch (err) {
+                        // The lease will expire by itself
+                    }
+                }
+            });
+        }, SENDER_LEASE_CLAIM_DELAY);
+    };
+
+    /**
+     * Read the lease on sending the queued requests from local storage
+     *
+     * @return {Object}     The lease, containing the `windowId` of the window sending the queued requests and the timestamp in milliseconds at which the lease `expires`. This will be `null` when no window holds the lease
+     * @api private
+     */
+    var readSenderLease = function() {
+        try {
+            return JSON.parse(window.localStorage.getItem(senderLockName));
+        } catch (err) {
+            return null;
+        }
+    };
+
+    /**
+     * Let the other windows of the current user know about the outcome of a queued request that has
+     * been sent from the current window. The outcome is stored and removed straight away, which will
+     * trigger a storage event in all other windows
+     *
+     * @param  {Object}     request     The queued request that has been sent
+     * @param  {Object}     [err]       Error object containing error code and error message
+     * @param  {Object}     [data]      The response data
+     * @api private
+     */
+    var writeOutcome = function(request, err, data) {
+        try {
+            window.localStorage.setItem(outcomeKey, JSON.stringify({'request': request, 'err': err, 'data': data}));
+            window.localStorage.removeItem(outcomeKey);
+        } catch (storageErr) {
+            // Local storage is not available, which means that the queue isn't shared with any
+            // other window either
+        }
+    };
+
+    /**
+     * Schedule a new attempt to send the queued requests. The delay in between attempts doubles every
+     * time, up until `MAX_RETRY_DELAY`
+     *
+     * @api private
+     */
+    var scheduleRetry = function() {
+        if (retryTimeout || sending) {
+            return;
+        }
+
+        retryTimeout = setTimeout(sendQueuedRequests, retryDelay);
+        retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY);
+    };
+
+    /**
+     * Send a request to the server
+     *
+     * @param  {Object}         request             The request to send
+     * @param  {Function}       callback            Standard callback function
+     * @param  {Object}         callback.err        Error object containing error code and error message
+     * @param  {Object}         callback.data       The response data
+     * @api private
+     */
+    var sendRequest = function(request, callback) {
+        $.ajax({
+            'url': request.url,
+            'type': request.type,
+            'data': request.data,
+            'traditional': request.traditional,
+            'success': function(data) {
+                callback(null, data);
+            },
+            'error': function(jqXHR, textStatus) {
+                callback(errorAPI.createError(jqXHR, this.url));
+            }
+        });
+    };
+
+    /**
+     * Check whether a request failed because the server could not be reached
+     *
+     * @param  {Object}     err     Error object containing error code and error message
+     * @return {Boolean}            `true` when the request failed because the server could not be reached, `false` otherwise
+     * @api private
+     */
+    var isNetworkError = function(err) {
+        return err.type === errorAPI.TYPE_NETWORK;
+    };
+
+    /**
+     * Read the queued requests for the current user from local storage
+     *
+     * @return {Object[]}       The persisted queued requests
+     * @api private
+     */
+    var readQueue = function() {
+        try {
+            return JSON.parse(window.localStorage.getItem(storageKey)) || [];
+        } catch (err) {
+            // Local storage is not available (e.g. in private browsing mode) or contains invalid
+            // data. Fall back to the requests that were queued in this window
+            return queuedRequests;
+        }
+    };
+
+    /**
+     * Persist the queued requests for the current user in local storage
+     *
+     * @api private
+     */
+    var writeQueue = function() {
+        try {
+            if (_.isEmpty(queuedRequests)) {
+                window.localStorage.removeItem(storageKey);
+            } else {
+                window.localStorage.setItem(storageKey, JSON.stringify(queuedRequests));
+            }
+        } catch (err) {
+            // Local storage is not available or full. The queued requests will still be retried
+            // for as long as the current window stays open
+        }
+    };
+});
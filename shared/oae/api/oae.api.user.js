@@ -13,7 +13,7 @@
  * permissions and limitations under the License.
  */
 
-define(['exports', 'jquery', 'underscore', 'oae.api.config'], function(exports, $, _, configAPI) {
+define(['exports', 'jquery', 'underscore', 'oae.api.cache', 'oae.api.config', 'oae.api.error', 'oae.api.util'], function(exports, $, _, cacheAPI, configAPI, errorAPI, utilAPI) {
 
     /**
      * Creates a new user with an internal login strategy
@@ -32,9 +32,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.config'], function(exports,
      * @param  {Function}       [callback]                              Standard callback function
      * @param  {Object}         [callback.err]                          Error object containing error code and error message
      * @param  {User}           [callback.user]                         A User object representing the created user
+     * @return {Promise}                                                When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                                                  Error thrown when not all of the required parameters have been provided
      */
-    var createUser = exports.createUser = function(username, password, displayName, email, additionalOptions, recaptchaChallenge, recaptchaResponse, callback) {
+    var createUser = exports.createUser = utilAPI.promisify(function(username, password, displayName, email, additionalOptions, recaptchaChallenge, recaptchaResponse, callback) {
         if (!username) {
             throw new Error('A username should be provided');
         } else if (!password) {
@@ -77,10 +78,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.config'], function(exports,
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Gets the currently logged in user. A cached copy of this object will be available on oae.data.me when requiring
@@ -89,18 +90,19 @@ define(['exports', 'jquery', 'underscore', 'oae.api.config'], function(exports,
      * @param  {Function}       callback            Standard callback function takes arguments `err` and `resp`
      * @param  {Object}         callback.err        Error object containing error code and error message
      * @param  {Object}         callback.response   The user's me feed
+     * @return {Promise}                            When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      */
-    var getMe = exports.getMe = function(callback) {
+    var getMe = exports.getMe = utilAPI.promisify(function(callback) {
         $.ajax({
             'url': '/api/me',
             'success': function(data) {
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Get a user's basic profile
@@ -109,23 +111,26 @@ define(['exports', 'jquery', 'underscore', 'oae.api.config'], function(exports,
      * @param  {Function}       callback            Standard callback function
      * @param  {Object}         callback.err        Error object containing error code and error message
      * @param  {User}           callback.user       The user's basic profile
+     * @return {Promise}                            When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                              Error thrown when no userId has been provided
      */
-    var getUser = exports.getUser = function(userId, callback) {
+    var getUser = exports.getUser = utilAPI.promisify(function(userId, callback) {
         if (!userId) {
             throw new Error('A valid user id should be provided');
         }
 
-        $.ajax({
-            'url': '/api/user/' + userId,
-            'success': function(data) {
-                callback(null, data);
-            },
-            'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
-            }
-        });
-    };
+        cacheAPI.get('user', userId, function(fetchCallback) {
+            $.ajax({
+                'url': '/api/user/' + userId,
+                'success': function(data) {
+                    fetchCallback(null, data);
+                },
+                'error': function(jqXHR, textStatus) {
+                    fetchCallback(errorAPI.createError(jqXHR, this.url));
+                }
+            });
+        }, callback);
+    });
 
     /**
      * Update the current user's basic profile
@@ -133,9 +138,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.config'], function(exports,
      * @param  {Object}         params              Object representing the profile fields that need to be updated. The keys are the profile fields, the values are the profile field values
      * @param  {Function}       [callback]          Standard callback function
      * @param  {Object}         [callback.err]      Error object containing error code and error message
+     * @return {Promise}                            When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                              Error thrown when no update parameters have been provided
      */
-    var updateUser = exports.updateUser = function(params, callback) {
+    var updateUser = exports.updateUser = utilAPI.promisify(function(params, callback) {
         if (!params || _.keys(params).length === 0) {
             throw new Error('At least 1 parameter should be provided');
         }
@@ -156,13 +162,14 @@ define(['exports', 'jquery', 'underscore', 'oae.api.config'], function(exports,
             'type': 'POST',
             'data': params,
             'success': function(data) {
+                cacheAPI.invalidate(userId);
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.statusText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Get the Terms and Conditions
@@ -170,19 +177,20 @@ define(['exports', 'jquery', 'underscore', 'oae.api.config'], function(exports,
      * @param  {Object}         params              Object representing the profile fields that need to be updated. The keys are the profile fields, the values are the profile field values
      * @param  {Function}       callback            Standard callback function
      * @param  {Object}         callback.err        Error object containing error code and error message
+     * @return {Promise}                            When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                              Error thrown when no update parameters have been provided
      */
-    var getTC = exports.getTC = function(callback) {
+    var getTC = exports.getTC = utilAPI.promisify(function(callback) {
         $.ajax({
             'url': '/api/user/termsAndConditions',
             'success': function(data) {
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.statusText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Accept the Terms and Conditions
@@ -190,9 +198,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.config'], function(exports,
      * @param  {Object}         params              Object representing the profile fields that need to be updated. The keys are the profile fields, the values are the profile field values
      * @param  {Function}       [callback]          Standard callback function
      * @param  {Object}         [callback.err]      Error object containing error code and error message
+     * @return {Promise}                            When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                              Error thrown when no update parameters have been provided
      */
-    var acceptTC = exports.acceptTC = function(callback) {
+    var acceptTC = exports.acceptTC = utilAPI.promisify(function(callback) {
         // Set a default callback function in case no callback function has been provided
         callback = callback || function() {};
 
@@ -206,10 +215,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.config'], function(exports,
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Verify an email token on behalf of the specified user
@@ -218,8 +227,9 @@ define(['exports', 'jquery', 'underscore', 'oae.api.config'], function(exports,
      * @param  {String}         token               The token that verifies the email address
      * @param  {Function}       [callback]          Standard callback function
      * @param  {Object}         [callback.err]      Error object containing error code and error message
+     * @return {Promise}                            When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      */
-    var verifyEmail = exports.verifyEmail = function(userId, token, callback) {
+    var verifyEmail = exports.verifyEmail = utilAPI.promisify(function(userId, token, callback) {
         // Set a default callback function in case no callback function has been provided
         callback = callback || function() {};
 
@@ -233,10 +243,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.config'], function(exports,
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Accept a user invitation with the specified email token
@@ -247,8 +257,9 @@ define(['exports', 'jquery', 'underscore', 'oae.api.config'], function(exports,
      * @param  {Object}         callback.result             The accept invitation result
      * @param  {String}         callback.result.email       The email address that was associated to the token
      * @param  {Resource[]}     callback.result.resources   The resources that the user was invited into
+     * @return {Promise}                                    When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      */
-    var acceptInvitation = exports.acceptInvitation = function(token, callback) {
+    var acceptInvitation = exports.acceptInvitation = utilAPI.promisify(function(token, callback) {
         // Set a default callback function in case no callback function has been provided
         callback = callback || function() {};
 
@@ -266,10 +277,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.config'], function(exports,
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Resend an email verification token for the specified user
@@ -277,8 +288,9 @@ define(['exports', 'jquery', 'underscore', 'oae.api.config'], function(exports,
      * @param  {String}         userId              The id of the user whose email token to resend
      * @param  {Function}       [callback]          Standard callback function
      * @param  {Object}         [callback.err]      Error object containing error code and error message
+     * @return {Promise}                            When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      */
-    var resendEmailToken = exports.resendEmailToken = function(userId, callback) {
+    var resendEmailToken = exports.resendEmailToken = utilAPI.promisify(function(userId, callback) {
         // Set a default callback function in case no callback function has been provided
         callback = callback || function() {};
 
@@ -289,10 +301,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.config'], function(exports,
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Get the pending email verification status for the current user, if any
@@ -301,8 +313,9 @@ define(['exports', 'jquery', 'underscore', 'oae.api.config'], function(exports,
      * @param  {Function}   callback            Standard callback function
      * @param  {Object}     callback.err        Error object containing error code and error message
      * @param  {String}     [callback.email]    The email address that is pending verification, if any
+     * @return {Promise}                        When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      */
-    var getEmailVerificationStatus = exports.getEmailVerificationStatus = function(userId, callback) {
+    var getEmailVerificationStatus = exports.getEmailVerificationStatus = utilAPI.promisify(function(userId, callback) {
         $.ajax({
             'url': '/api/user/' + userId + '/email/token',
             'type': 'GET',
@@ -310,18 +323,19 @@ define(['exports', 'jquery', 'underscore', 'oae.api.config'], function(exports,
                 callback(null, data.email);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Delete the pending email verification for the current user, if any
      *
      * @param  {Function}   [callback]      Standard callback function
      * @param  {Object}     [callback.err]  Error object containing error code and error message
+     * @return {Promise}                    When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      */
-    var deletePendingEmailVerification = exports.deletePendingEmailVerification = function(callback) {
+    var deletePendingEmailVerification = exports.deletePendingEmailVerification = utilAPI.promisify(function(callback) {
         // Set a default callback function in case no callback function has been provided
         callback = callback || function() {};
 
@@ -334,8 +348,8 @@ define(['exports', 'jquery', 'underscore', 'oae.api.config'], function(exports,
                 callback(null, data.email);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 });
@@ -13,7 +13,7 @@
  * permissions and limitations under the License.
  */
 
-define(['exports', 'require', 'jquery', 'underscore', 'oae.api.config', 'markdown', 'jquery.validate', 'trimpath', 'jquery.autosuggest', 'tinycon'], function(exports, require, $, _, configAPI, markdown) {
+define(['exports', 'require', 'jquery', 'underscore', 'oae.api.config', 'oae.api.error', 'markdown', 'jquery.validate', 'trimpath', 'jquery.autosuggest', 'tinycon'], function(exports, require, $, _, configAPI, errorAPI, markdown) {
 
     /**
      * Initialize all utility functionality.
@@ -27,6 +27,8 @@ define(['exports', 'require', 'jquery', 'underscore', 'oae.api.config', 'markdow
         validation().init();
         // Set up the custom autosuggest listeners
         autoSuggest().init();
+        // Set up the markdown editor listeners
+        markdownEditor().init();
         // Set up Google Analytics
         googleAnalytics();
         // Set up the favicon bubble
@@ -35,6 +37,44 @@ define(['exports', 'require', 'jquery', 'underscore', 'oae.api.config', 'markdow
         template().init(callback);
     };
 
+    /**
+     * Wrap an asynchronous API function that takes a standard callback function as its last parameter, so that it
+     * returns a promise when it is invoked without a callback function. This allows for API calls to be composed
+     * (e.g. through `$.when` or `Promise.all`) without breaking the existing callers that provide a callback function.
+     *
+     * The returned promise is a jQuery promise that will be resolved with the result that would have been passed into
+     * the callback function, or rejected with the error object that would have been passed into the callback function.
+     * Errors thrown when invalid parameters have been provided are still thrown synchronously.
+     *
+     * @param  {Function}   fn      The asynchronous function to wrap. The callback function should be its last declared parameter
+     * @return {Function}           The wrapped function, which returns a promise when it is invoked without a callback function
+     */
+    var promisify = exports.promisify = function(fn) {
+        var callbackIndex = fn.length - 1;
+
+        return function() {
+            var args = _.toArray(arguments);
+
+            // When a callback function has been provided, the function is invoked as-is
+            if (_.isFunction(args[callbackIndex])) {
+                return fn.apply(this, args);
+            }
+
+            // Use a callback function that settles the promise when the function completes
+            var deferred = $.Deferred();
+            args[callbackIndex] = function(err, result) {
+                if (err) {
+                    return deferred.reject(err);
+                }
+
+                return deferred.resolve(result);
+            };
+
+            fn.apply(this, args);
+            return deferred.promise();
+        };
+    };
+
     /**
      * Request a number of static files at once through a static batch request
      *
@@ -42,8 +82,9 @@ define(['exports', 'require', 'jquery', 'underscore', 'oae.api.config', 'markdow
      * @param  {Function}       callback            Standard callback function
      * @param  {Object}         callback.err        Error object containing error code and message
      * @param  {Object}         callback.response   JSON Object where the keys are the paths to the requested files and values are the content of those static files. An element will be null when the static file could not be found
+     * @return {Promise}                            When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      */
-    var staticBatch = exports.staticBatch = function(paths, callback) {
+    var staticBatch = exports.staticBatch = promisify(function(paths, callback) {
         if (!paths || paths.length === 0) {
             throw new Error('At least one path should be provided to the static batch');
         }
@@ -55,10 +96,10 @@ define(['exports', 'require', 'jquery', 'underscore', 'oae.api.config', 'markdow
                 callback(null, data);
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
-    };
+    });
 
     /**
      * Generate a random id. This id generator does not guarantee global uniqueness.
@@ -360,13 +401,9 @@ define(['exports', 'require', 'jquery', 'underscore', 'oae.api.config', 'markdow
             throw new Error('A valid notification message should be provided');
         }
 
-        if (id) {
-            if (_.contains(notificationIds, id)) {
-                // A notification with this id has been triggered already, do not trigger another one
-                return;
-            }
-
-            notificationIds.push(id);
+        if (id && !trackNotification(id)) {
+            // A notification with this id has been triggered already, do not trigger another one
+            return;
         }
 
         // Check if the notifications container has already been created.
@@ -395,6 +432,28 @@ define(['exports', 'require', 'jquery', 'underscore', 'oae.api.config', 'markdow
         }).show();
     };
 
+    /**
+     * Keep track of a notification that is about to be shown. This allows different kinds of notifications, such
+     * as in-page notifications and desktop notifications, to avoid showing the same notification twice.
+     *
+     * @param  {String}     id      Unique identifier for the notification
+     * @return {Boolean}            `true` when no notification with the provided id has been shown before, `false` otherwise
+     * @throws {Error}              Error thrown when no notification id has been provided
+     * @api private
+     */
+    var trackNotification = exports.trackNotification = function(id) {
+        if (!id) {
+            throw new Error('A valid notification id should be provided');
+        }
+
+        if (_.contains(notificationIds, id)) {
+            return false;
+        }
+
+        notificationIds.push(id);
+        return true;
+    };
+
     /*!
      * All functionality related to setting the favicon bubble
      */
@@ -645,6 +704,9 @@ define(['exports', 'require', 'jquery', 'underscore', 'oae.api.config', 'markdow
             // element
             options.highlight = function($element) {
                 $($element).parents('.form-group').addClass('has-error');
+                // Make sure that the validation message is visible when the field is part of a markdown
+                // editor that is showing its preview
+                $($element).parents('.oae-markdown-editor').find('[data-markdown-tab="write"]').click();
             };
 
             // Function that will be called when a form field should be marked no longer
@@ -674,6 +736,10 @@ define(['exports', 'require', 'jquery', 'underscore', 'oae.api.config', 'markdow
                 }
             };
 
+            // By default, hidden fields are not validated. Fields that are part of a markdown editor
+            // are validated as well when the editor is showing its preview
+            options.ignore = options.ignore || ':hidden:not(.oae-markdown-editor-write textarea)';
+
             // Set up the form with the provided options in jquery.validate
             $form.validate(options);
         };
@@ -1566,6 +1632,634 @@ define(['exports', 'require', 'jquery', 'underscore', 'oae.api.config', 'markdow
     };
 
 
+    /////////////////////
+    // MARKDOWN EDITOR //
+    /////////////////////
+
+    // Variable that will cache the markdown editor TrimPath templates. The template will only be loaded
+    // the first time it is required
+    var $markdownEditorTemplates = null;
+
+    /**
+     * All functionality related to the markdown editor component. The markdown editor enhances a standard
+     * textarea with a formatting toolbar, keyboard shortcuts, a preview of the rendered markdown and a
+     * markdown syntax cheat-sheet
+     */
+    var markdownEditor = exports.markdownEditor = function() {
+
+        // The formatting actions that are triggered by the keyboard shortcuts, keyed by the key code of
+        // the key that needs to be pressed in combination with the Ctrl or Cmd key
+        var SHORTCUTS = {
+            '66': 'bold',
+            '73': 'italic',
+            '75': 'link'
+        };
+
+        /**
+         * Initialize the markdown editor functionality by binding the listeners for the formatting toolbar,
+         * the keyboard shortcuts, the write and preview tabs and the syntax cheat-sheet
+         *
+         * @api private
+         */
+        var init = function() {
+            $(document).on('click', '.oae-markdown-editor [data-markdown-action]', function() {
+                var $editor = $(this).parents('.oae-markdown-editor');
+                applyFormatting($('.oae-markdown-editor-write textarea', $editor), $(this).attr('data-markdown-action'));
+            });
+
+            $(document).on('keydown', '.oae-markdown-editor-write textarea', function(ev) {
+                var action = SHORTCUTS[ev.which];
+                if (action && (ev.ctrlKey || ev.metaKey) && !ev.altKey && !ev.shiftKey) {
+                    applyFormatting($(this), action);
+                    return false;
+                }
+            });
+
+            $(document).on('click', '.oae-markdown-editor [data-markdown-tab]', function() {
+                showTab($(this).parents('.oae-markdown-editor'), $(this).attr('data-markdown-tab'));
+                return false;
+            });
+
+            $(document).on('click', '.oae-markdown-editor-help-toggle', function() {
+                var $editor = $(this).parents('.oae-markdown-editor');
+                var $help = $('.oae-markdown-editor-help', $editor).toggleClass('hide');
+                $(this).attr('aria-expanded', !$help.hasClass('hide'));
+            });
+
+            // Go back to the write tab when a form containing a markdown editor is reset
+            $(document).on('reset', 'form', function() {
+                $('.oae-markdown-editor', this).each(function() {
+                    showTab($(this), 'write');
+                });
+            });
+        };
+
+        /**
+         * The HTML for the markdown editor can be found in the `markdowneditor.html` templates file. When the first
+         * markdown editor is initialised on a page, these templates will be loaded and cached for further usage. If
+         * the templates have already been loaded, nothing happens
+         *
+         * @param  {Function}           callback            Standard callback function
+         * @api private
+         */
+        var getMarkdownEditorTemplates = function(callback) {
+            if (!$markdownEditorTemplates) {
+                // Load the markdown editor templates through the RequireJS Text plugin
+                require(['text!/shared/oae/macros/markdowneditor.html'], function(markdownEditorTemplates) {
+                    // Translate the template. We require the i18n API here to avoid creating a cyclic dependency
+                    markdownEditorTemplates = require('oae.api.i18n').translate(markdownEditorTemplates);
+                    $markdownEditorTemplates = $('<div>').append(markdownEditorTemplates);
+                    callback();
+                });
+            } else {
+                callback();
+            }
+        };
+
+        /**
+         * Apply markdown formatting to the selected text in a textarea. Inline formatting (e.g. bold) wraps the
+         * selected text, whilst block formatting (e.g. a bulleted list) prefixes each of the selected lines
+         *
+         * @param  {jQuery}     $textarea       The textarea to which the formatting should be applied
+         * @param  {String}     action          The formatting that should be applied. One of `bold`, `italic`, `strikethrough`, `link`, `code`, `quote`, `bulletedlist`, `numberedlist` or `tasklist`
+         * @api private
+         */
+        var applyFormatting = function($textarea, action) {
+            var textarea = $textarea[0];
+            var value = $textarea.val();
+            var start = textarea.selectionStart;
+            var end = textarea.selectionEnd;
+
+            var linePrefixes = {
+                'quote': function() {
+                    return '> ';
+                },
+                'bulletedlist': function() {
+                    return '- ';
+                },
+                'numberedlist': function(index) {
+                    return (index + 1) + '. ';
+                },
+                'tasklist': function() {
+                    return '- [ ] ';
+                }
+            };
+
+            // Block formatting always applies to entire lines
+            if (linePrefixes[action]) {
+                start = value.lastIndexOf('\n', start - 1) + 1;
+            }
+
+            var selection = value.substring(start, end);
+            var formatted = null;
+
+            /*!
+             * Wrap the selected text in the provided markdown syntax, keeping the selected text selected
+             */
+            var wrap = function(before, after) {
+                return {
+                    'text': before + selection + after,
+                    'selectionStart': before.length,
+                    'selectionEnd': before.length + selection.length
+                };
+            };
+
+            if (action === 'bold') {
+                formatted = wrap('**', '**');
+            } else if (action === 'italic') {
+                formatted = wrap('*', '*');
+            } else if (action === 'strikethrough') {
+                formatted = wrap('~~', '~~');
+            } else if (action === 'code') {
+                // Code that spans multiple lines is formatted as a code block
+                formatted = (selection.indexOf('\n') === -1) ? wrap('`', '`') : wrap('```\n', '\n```');
+            } else if (action === 'link') {
+                // Select the URL when text has been selected, so it can be replaced straight away. Otherwise,
+                // the cursor is placed where the link text should be typed
+                var url = 'http://';
+                formatted = wrap('[', '](' + url + ')');
+                if (selection) {
+                    formatted.selectionStart = selection.length + 3;
+                    formatted.selectionEnd = formatted.selectionStart + url.length;
+                }
+            } else if (linePrefixes[action]) {
+                var lines = _.map(selection.split('\n'), function(line, index) {
+                    return linePrefixes[action](index) + line;
+                });
+                formatted = {
+                    'text': lines.join('\n'),
+                    'selectionStart': 0,
+                    'selectionEnd': lines.join('\n').length
+                };
+            } else {
+                return;
+            }
+
+            $textarea.val(value.substring(0, start) + formatted.text + value.substring(end));
+            $textarea.focus();
+            textarea.setSelectionRange(start + formatted.selectionStart, start + formatted.selectionEnd);
+
+            // Let listeners such as the form change detection and textarea autosizing know the value has changed
+            $textarea.trigger('input');
+        };
+
+        /**
+         * Show the write or preview tab of a markdown editor. The preview renders the markdown through the same
+         * sanitization that is used when displaying it
+         *
+         * @param  {jQuery}     $editor         The markdown editor container
+         * @param  {String}     tab             The tab that should be shown. One of `write` or `preview`
+         * @api private
+         */
+        var showTab = function($editor, tab) {
+            var isPreview = (tab === 'preview');
+            var $textarea = $('.oae-markdown-editor-write textarea', $editor);
+
+            $('[data-markdown-tab]', $editor).each(function() {
+                var isActive = ($(this).attr('data-markdown-tab') === tab);
+                $(this).attr('aria-selected', isActive).parent().toggleClass('active', isActive);
+            });
+
+            if (isPreview) {
+                template().render($('#markdowneditor-preview-template', $markdownEditorTemplates), {
+                    'markdown': $.trim($textarea.val())
+                }, $('.oae-markdown-editor-preview', $editor));
+            }
+
+            $('.oae-markdown-editor-toolbar .btn', $editor).not('.oae-markdown-editor-help-toggle').prop('disabled', isPreview);
+            $('.oae-markdown-editor-write', $editor).toggleClass('hide', isPreview);
+            $('.oae-markdown-editor-preview', $editor).toggleClass('hide', !isPreview);
+
+            if (!isPreview) {
+                $textarea.trigger('autosize.resize');
+            }
+        };
+
+        /**
+         * Set up a new markdown editor. The provided textarea will be moved into the markdown editor, which will
+         * take the place of the textarea. Setting up a markdown editor on a textarea that is already part of a
+         * markdown editor has no effect
+         *
+         * @param  {Element|String}     $textarea       jQuery element or jQuery selector for the textarea that should be enhanced
+         * @param  {Function}           [callback]      Standard callback function
+         * @throws {Error}                              Error thrown when no textarea has been provided
+         */
+        var setup = function($textarea, callback) {
+            if (!$textarea) {
+                throw new Error('A valid textarea should be provided');
+            }
+
+            // Load the markdown editor templates in case they haven't been loaded yet
+            getMarkdownEditorTemplates(function() {
+                $textarea = $($textarea);
+
+                if ($textarea.parents('.oae-markdown-editor').length === 0) {
+                    // Mac users use the Cmd key rather than the Ctrl key for keyboard shortcuts
+                    var isMac = /Mac|iPhone|iPad/.test(navigator.platform);
+                    var $editor = $(template().render($('#markdowneditor-template', $markdownEditorTemplates), {
+                        'ariaModifier': isMac ? 'Meta' : 'Control',
+                        'shortcutModifier': isMac ? '\u2318' : 'Ctrl+'
+                    }));
+                    $textarea.before($editor);
+                    $('.oae-markdown-editor-write', $editor).append($textarea);
+                }
+
+                if (_.isFunction(callback)) {
+                    callback();
+                }
+            });
+        };
+
+        return {
+            'init': init,
+            'setup': setup
+        };
+    };
+
+
+    //////////////////////
+    // IMAGE PROCESSING //
+    //////////////////////
+
+    // Variable that will cache whether or not the browser applies the EXIF orientation of an image when
+    // loading it. This will only be determined the first time an image is processed
+    var orientationAppliedByBrowser = null;
+
+    /**
+     * All functionality related to processing images in the browser before they are uploaded. Photos can be rotated
+     * according to their EXIF orientation, scaled down to the maximum dimensions configured for the tenant and
+     * stripped of their location metadata. This avoids photos taken on phones showing up sideways and keeps the
+     * uploaded photos small
+     */
+    var image = exports.image = function() {
+
+        // The mime types of the images that can be processed. GIF images are not processed, as animated
+        // GIF images would lose their animation
+        var PROCESSABLE_TYPES = ['image/jpeg', 'image/png'];
+
+        // The JPEG markers that are used when reading the EXIF metadata of a JPEG image
+        var JPEG_MARKER_SOI = 0xFFD8;
+        var JPEG_MARKER_APP1 = 0xFFE1;
+        var JPEG_MARKER_SOS = 0xFFDA;
+
+        // The EXIF tags that contain the orientation of the image and a pointer to the GPS metadata
+        var EXIF_TAG_ORIENTATION = 0x0112;
+        var EXIF_TAG_GPS_INFO = 0x8825;
+
+        /**
+         * Get the image processing settings that have been configured for the current tenant
+         *
+         * @return {Object}     settings                    The image processing settings
+         * @return {Boolean}    settings.enabled            Whether or not images should be processed before they are uploaded
+         * @return {Number}     settings.maxDimension       The maximum width and height in pixels of processed images. Larger images are scaled down. `0` if images should not be scaled down
+         * @return {Number}     settings.quality            The quality with which processed JPEG images are encoded, as a number between 0 and 1
+         * @return {Boolean}    settings.stripLocation      Whether or not the location metadata should be removed from images by default
+         */
+        var getSettings = function() {
+            return {
+                'enabled': configAPI.getValue('oae-content', 'images', 'enabled'),
+                'maxDimension': configAPI.getValue('oae-content', 'images', 'maxDimension'),
+                'quality': configAPI.getValue('oae-content', 'images', 'quality') / 100,
+                'stripLocation': configAPI.getValue('oae-content', 'images', 'stripLocation')
+            };
+        };
+
+        /**
+         * Check whether or not a file is an image that can be processed in the current browser
+         *
+         * @param  {File}       file        The file to check
+         * @return {Boolean}                Whether or not the file can be processed
+         */
+        var canProcess = function(file) {
+            return !!(file && _.contains(PROCESSABLE_TYPES, file.type) && window.FileReader && window.URL && window.DataView && window.Blob &&
+                document.createElement('canvas').getContext);
+        };
+
+        /**
+         * Process an image before it is uploaded. The image will be rotated according to its EXIF orientation and will
+         * be scaled down when it exceeds the maximum dimensions. Images that are re-encoded don't retain any of their
+         * metadata. When an image doesn't need to be re-encoded, its location metadata can be removed without affecting
+         * the quality of the image. When an image can not or does not need to be processed, the original file is returned
+         *
+         * @param  {File}       file                        The image to process
+         * @param  {Object}     [options]                   Options that determine how the image should be processed. By default, the settings configured for the tenant will be used
+         * @param  {Number}     [options.maxDimension]      The maximum width and height in pixels of the processed image. `0` if the image should not be scaled down
+         * @param  {Number}     [options.quality]           The quality with which a processed JPEG image is encoded, as a number between 0 and 1
+         * @param  {Boolean}    [options.stripLocation]     Whether or not the location metadata should be removed from the image
+         * @param  {Function}   callback                    Standard callback function
+         * @param  {Object}     callback.err                Error object containing error code and error message
+         * @param  {File}       callback.file               The processed image or the original file when it hasn't been processed
+         * @throws {Error}                                  Error thrown when no valid callback has been provided
+         */
+        var process = function(file, options, callback) {
+            if (!_.isFunction(callback)) {
+                throw new Error('A valid callback function should be provided');
+            } else if (!canProcess(file)) {
+                return callback(null, file);
+            }
+
+            options = _.extend(getSettings(), options);
+
+            readFile(file, function(err, buffer) {
+                if (err) {
+                    return callback(err);
+                }
+
+                var metadata = file.type === 'image/jpeg' ? readExif(buffer) : {'orientation': 1, 'hasLocation': false};
+                loadImage(file, function(err, img) {
+                    if (err) {
+                        return callback(err);
+                    }
+
+                    isOrientationAppliedByBrowser(function(isApplied) {
+                        var needsRotation = metadata.orientation > 1;
+
+                        // Determine the dimensions of the image, taking into account that its width and height
+                        // are swapped when it's rotated by 90 degrees
+                        var width = img.naturalWidth;
+                        var height = img.naturalHeight;
+                        var isTransposed = !isApplied && metadata.orientation >= 5;
+                        var longestSide = Math.max(width, height);
+                        var scale = options.maxDimension && longestSide > options.maxDimension ? options.maxDimension / longestSide : 1;
+                        var stripLocation = options.stripLocation && metadata.hasLocation;
+
+                        // The image doesn't need to be re-encoded. Only the metadata needs to be removed
+                        if (!needsRotation && scale === 1) {
+                            if (stripLocation) {
+                                return callback(null, toFile(removeMetadata(buffer), file, file.type));
+                            }
+                            return callback(null, file);
+                        }
+
+                        // Draw the scaled down image onto a canvas. When the browser doesn't apply the EXIF
+                        // orientation itself, the canvas is transformed to rotate the image upright
+                        var canvas = document.createElement('canvas');
+                        var context = canvas.getContext('2d');
+                        width = Math.round(width * scale);
+                        height = Math.round(height * scale);
+                        canvas.width = isTransposed ? height : width;
+                        canvas.height = isTransposed ? width : height;
+                        if (!isApplied) {
+                            transformCanvas(context, metadata.orientation, width, height);
+                        }
+                        context.drawImage(img, 0, 0, width, height);
+
+                        canvasToBlob(canvas, file.type, options.quality, function(blob) {
+                            // The browser can fail to encode the canvas (e.g. when it exceeds the maximum canvas
+                            // size), in which case the original file is used
+                            if (!blob || !blob.size) {
+                                return callback(null, file);
+                            }
+                            callback(null, toFile(blob, file, file.type));
+                        });
+                    });
+                });
+            });
+        };
+
+        /**
+         * Transform a canvas so an image that is drawn onto it is rotated and flipped according to its EXIF orientation
+         *
+         * @param  {CanvasRenderingContext2D}   context         The context of the canvas to transform
+         * @param  {Number}                     orientation     The EXIF orientation of the image
+         * @param  {Number}                     width           The width with which the image will be drawn
+         * @param  {Number}                     height          The height with which the image will be drawn
+         * @api private
+         */
+        var transformCanvas = function(context, orientation, width, height) {
+            switch (orientation) {
+                case 2:
+                    return context.transform(-1, 0, 0, 1, width, 0);
+                case 3:
+                    return context.transform(-1, 0, 0, -1, width, height);
+                case 4:
+                    return context.transform(1, 0, 0, -1, 0, height);
+                case 5:
+                    return context.transform(0, 1, 1, 0, 0, 0);
+                case 6:
+                    return context.transform(0, 1, -1, 0, height, 0);
+                case 7:
+                    return context.transform(0, -1, -1, 0, height, width);
+                case 8:
+                    return context.transform(0, -1, 1, 0, 0, width);
+            }
+        };
+
+        /**
+         * Read the orientation of a JPEG image and whether it contains location metadata from its EXIF metadata
+         *
+         * @param  {ArrayBuffer}    buffer                  The contents of the JPEG image
+         * @return {Object}         metadata                The metadata of the image
+         * @return {Number}         metadata.orientation    The EXIF orientation of the image. `1` when the image has no orientation
+         * @return {Boolean}        metadata.hasLocation    Whether or not the image contains location metadata
+         * @api private
+         */
+        var readExif = function(buffer) {
+            var metadata = {'orientation': 1, 'hasLocation': false};
+
+            try {
+                var view = new DataView(buffer);
+                if (view.getUint16(0) !== JPEG_MARKER_SOI) {
+                    return metadata;
+                }
+
+                // Find the APP1 segment that contains the EXIF metadata. The EXIF metadata is always found
+                // before the image data starts
+                var offset = 2;
+                while (offset + 4 <= view.byteLength) {
+                    var marker = view.getUint16(offset);
+                    if (marker === JPEG_MARKER_SOS) {
+                        break;
+                    } else if (marker === JPEG_MARKER_APP1 && view.getUint32(offset + 4) === 0x45786966) {
+                        // The EXIF header (`Exif\0\0`) is followed by a TIFF header, which starts with the byte order
+                        // and the offset of the first image file directory (IFD)
+                        var tiffOffset = offset + 10;
+                        var littleEndian = view.getUint16(tiffOffset) === 0x4949;
+                        var ifdOffset = tiffOffset + view.getUint32(tiffOffset + 4, littleEndian);
+                        var entries = view.getUint16(ifdOffset, littleEndian);
+                        for (var i = 0; i < entries; i++) {
+                            var entryOffset = ifdOffset + 2 + (i * 12);
+                            var tag = view.getUint16(entryOffset, littleEndian);
+                            if (tag === EXIF_TAG_ORIENTATION) {
+                                metadata.orientation = view.getUint16(entryOffset + 8, littleEndian);
+                            } else if (tag === EXIF_TAG_GPS_INFO) {
+                                metadata.hasLocation = true;
+                            }
+                        }
+                        break;
+                    }
+                    offset += 2 + view.getUint16(offset + 2);
+                }
+            } catch (err) {
+                // The image contains invalid metadata, which will be ignored
+            }
+
+            return metadata;
+        };
+
+        /**
+         * Remove the metadata from a JPEG image without re-encoding the image. All APP1 segments, which contain the
+         * EXIF and XMP metadata, are removed
+         *
+         * @param  {ArrayBuffer}    buffer      The contents of the JPEG image
+         * @return {Blob}                       The JPEG image without its metadata
+         * @api private
+         */
+        var removeMetadata = function(buffer) {
+            var view = new DataView(buffer);
+            var parts = [buffer.slice(0, 2)];
+            var offset = 2;
+            while (offset + 4 <= view.byteLength) {
+                var marker = view.getUint16(offset);
+                if (marker === JPEG_MARKER_SOS) {
+                    break;
+                }
+
+                var end = offset + 2 + view.getUint16(offset + 2);
+                if (marker !== JPEG_MARKER_APP1) {
+                    parts.push(buffer.slice(offset, end));
+                }
+                offset = end;
+            }
+            parts.push(buffer.slice(offset));
+
+            return new Blob(parts, {'type': 'image/jpeg'});
+        };
+
+        /**
+         * Determine whether or not the browser applies the EXIF orientation of an image when loading it. This is done
+         * by loading a 2x1 pixels JPEG image with an EXIF orientation that rotates the image by 90 degrees
+         *
+         * @param  {Function}   callback            Standard callback function
+         * @param  {Boolean}    callback.isApplied  Whether or not the browser applies the EXIF orientation of an image
+         * @api private
+         */
+        var isOrientationAppliedByBrowser = function(callback) {
+            if (orientationAppliedByBrowser === null) {
+                orientationAppliedByBrowser = $.Deferred();
+
+                var canvas = document.createElement('canvas');
+                canvas.width = 2;
+                canvas.height = 1;
+                var jpeg = window.atob(canvas.toDataURL('image/jpeg').split(',')[1]);
+                var bytes = new Uint8Array(jpeg.length);
+                for (var i = 0; i < jpeg.length; i++) {
+                    bytes[i] = jpeg.charCodeAt(i);
+                }
+
+                // APP1 segment containing an EXIF orientation of 6, which rotates the image by 90 degrees
+                var exif = new Uint8Array([
+                    0xFF, 0xE1, 0x00, 0x22,
+                    0x45, 0x78, 0x69, 0x66, 0x00, 0x00,
+                    0x4D, 0x4D, 0x00, 0x2A, 0x00, 0x00, 0x00, 0x08,
+                    0x00, 0x01,
+                    0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, 0x06, 0x00, 0x00,
+                    0x00, 0x00, 0x00, 0x00
+                ]);
+
+                loadImage(new Blob([bytes.subarray(0, 2), exif, bytes.subarray(2)], {'type': 'image/jpeg'}), function(err, img) {
+                    orientationAppliedByBrowser.resolve(!err && img.naturalWidth === 1);
+                });
+            }
+
+            orientationAppliedByBrowser.done(callback);
+        };
+
+        /**
+         * Read the contents of a file
+         *
+         * @param  {File}           file                The file to read
+         * @param  {Function}       callback            Standard callback function
+         * @param  {Object}         callback.err        Error object containing error code and error message
+         * @param  {ArrayBuffer}    callback.buffer     The contents of the file
+         * @api private
+         */
+        var readFile = function(file, callback) {
+            var reader = new FileReader();
+            reader.onload = function() {
+                callback(null, reader.result);
+            };
+            reader.onerror = function() {
+                callback({'code': 400, 'msg': 'The image could not be read'});
+            };
+            reader.readAsArrayBuffer(file);
+        };
+
+        /**
+         * Load an image into an image element
+         *
+         * @param  {Blob}           blob                The image to load
+         * @param  {Function}       callback            Standard callback function
+         * @param  {Object}         callback.err        Error object containing error code and error message
+         * @param  {Image}          callback.img        The image element into which the image has been loaded
+         * @api private
+         */
+        var loadImage = function(blob, callback) {
+            var url = window.URL.createObjectURL(blob);
+            var img = document.createElement('img');
+            img.onload = function() {
+                window.URL.revokeObjectURL(url);
+                callback(null, img);
+            };
+            img.onerror = function() {
+                window.URL.revokeObjectURL(url);
+                callback({'code': 400, 'msg': 'The image could not be loaded'});
+            };
+            img.src = url;
+        };
+
+        /**
+         * Get the contents of a canvas as an image
+         *
+         * @param  {Canvas}         canvas              The canvas to get the contents for
+         * @param  {String}         type                The mime type of the image
+         * @param  {Number}         quality             The quality with which a JPEG image is encoded, as a number between 0 and 1
+         * @param  {Function}       callback            Standard callback function
+         * @param  {Blob}           callback.blob       The contents of the canvas. This will be `null` or empty when the browser could not encode the contents of the canvas
+         * @api private
+         */
+        var canvasToBlob = function(canvas, type, quality, callback) {
+            if (canvas.toBlob) {
+                return canvas.toBlob(callback, type, quality);
+            }
+
+            // Older browsers can only provide the contents of the canvas as a data URL
+            var data = window.atob(canvas.toDataURL(type, quality).split(',')[1]);
+            var bytes = new Uint8Array(data.length);
+            for (var i = 0; i < data.length; i++) {
+                bytes[i] = data.charCodeAt(i);
+            }
+            callback(new Blob([bytes], {'type': type}));
+        };
+
+        /**
+         * Turn the contents of a processed image into a file with the same name as the original file
+         *
+         * @param  {Blob}       blob        The contents of the processed image
+         * @param  {File}       file        The original file
+         * @param  {String}     type        The mime type of the processed image
+         * @return {File}                   The processed image
+         * @api private
+         */
+        var toFile = function(blob, file, type) {
+            try {
+                return new File([blob], file.name, {'type': type, 'lastModified': file.lastModified});
+            } catch (err) {
+                // Older browsers don't support the File constructor, in which case the name of the
+                // original file is added to the blob
+                blob.name = file.name;
+                blob.lastModified = file.lastModified;
+                return blob;
+            }
+        };
+
+        return {
+            'canProcess': canProcess,
+            'getSettings': getSettings,
+            'process': process
+        };
+    };
+
     //////////////
     // SECURITY //
     //////////////
@@ -1644,7 +2338,8 @@ define(['exports', 'require', 'jquery', 'underscore', 'oae.api.config', 'markdow
         /**
          * Sanitizes markdown input in a manner that makes it safe for the input to be placed inside of an HTML tag.
          * This sanitizer will also recognise bare URLs, including path elements, but not query parameters, inside
-         * the provided input and will convert these into links.
+         * the provided input and will convert these into links. Links to the profiles of mentioned users and groups
+         * will be marked with an `oae-mention` class.
          *
          * @param  {String}     [input]         The markdown input string that should be sanitized. If this is not provided, an empty string will be returned
          * @return {String}                     The sanitized HTML, ready to be put inside of an HTML tag with all URLs converted to markdown links
@@ -1667,6 +2362,17 @@ define(['exports', 'require', 'jquery', 'underscore', 'oae.api.config', 'markdow
 
                 input = converter.makeHtml(input.toString());
 
+                // Mentions are links to the profile of a user or group of which the link text starts with
+                // an `@` (e.g. `[@Jane Doe](/user/cam/abc123)`). These are marked so they can be styled as
+                // mentions, and mentions of the current user are highlighted
+                input = input.replace(new RegExp('<a href="(/(?:user|group)/[^"]+)">@', 'g'), function(match, mentionPath) {
+                    var mentionClass = 'oae-mention';
+                    if (mentionPath === require('oae.core').data.me.profilePath) {
+                        mentionClass += ' oae-mention-me';
+                    }
+                    return '<a href="' + profilePath(mentionPath) + '" class="' + mentionClass + '">@';
+                });
+
                 return input;
             }
         };
@@ -1800,6 +2506,25 @@ define(['exports', 'require', 'jquery', 'underscore', 'oae.api.config', 'markdow
             window.location = '/servermaintenance';
         };
 
+        /**
+         * Redirect the current user to the error page that corresponds to an error that occurred whilst retrieving
+         * the entity a page is about. Network errors don't redirect the user, as the global error handler will let
+         * the user know that the connection has been lost
+         *
+         * @param  {Object}     err     Error object containing the error code and error classification
+         */
+        var fromError = function(err) {
+            if (err.type === errorAPI.TYPE_AUTH) {
+                accessdenied();
+            } else if (err.code === 502) {
+                unavailable();
+            } else if (err.code === 503) {
+                maintenance();
+            } else if (err.type !== errorAPI.TYPE_NETWORK) {
+                notfound();
+            }
+        };
+
         return {
             'tenant': tenant,
             'login': login,
@@ -1807,7 +2532,8 @@ define(['exports', 'require', 'jquery', 'underscore', 'oae.api.config', 'markdow
             'accessdenied': accessdenied,
             'notfound': notfound,
             'unavailable': unavailable,
-            'maintenance': maintenance
+            'maintenance': maintenance,
+            'fromError': fromError
         };
     };
 
@@ -13,7 +13,7 @@
  * permissions and limitations under the License.
  */
 
-define(['exports', 'jquery', 'underscore', 'oae.api.config', 'oae.api.i18n', 'oae.api.util'], function(exports, $, _, configAPI, i18nAPI, utilAPI) {
+define(['exports', 'jquery', 'underscore', 'oae.api.config', 'oae.api.error', 'oae.api.i18n', 'oae.api.push', 'oae.api.util'], function(exports, $, _, configAPI, errorAPI, i18nAPI, pushAPI, utilAPI) {
 
     // Variable that will be used to cache the widget manifests
     var manifests = null;
@@ -39,12 +39,18 @@ define(['exports', 'jquery', 'underscore', 'oae.api.config', 'oae.api.i18n', 'oa
             'url': '/api/ui/widgets',
             'success': function(data) {
                 manifests = data;
-                initOnLoadWidgets();
-                registerLazyLoading();
-                callback(null);
+                registerAggregationRules();
+
+                // Wait until the activity types of all widgets have been registered before rendering
+                // any widgets, as widgets can render activities straight away
+                loadActivityAdapters(function() {
+                    initOnLoadWidgets();
+                    registerLazyLoading();
+                    callback(null);
+                });
             },
             'error': function(jqXHR, textStatus) {
-                callback({'code': jqXHR.status, 'msg': jqXHR.responseText});
+                callback(errorAPI.createError(jqXHR, this.url));
             }
         });
     };
@@ -90,6 +96,72 @@ define(['exports', 'jquery', 'underscore', 'oae.api.config', 'oae.api.i18n', 'oa
         return filteredWidgets;
     };
 
+    /**
+     * Register the activity aggregation rules that widgets have declared in their manifest file. This allows
+     * widget packages to define how the activity types they introduce should be aggregated, by adding the
+     * following to a widget's manifest.json file:
+     *
+     * ```
+     * 'aggregationRules': {
+     *     '<activityType>': {
+     *         'fields': {
+     *             'actor': true,
+     *             'target': true
+     *         },
+     *         'timeout': 2000
+     *     }
+     * }
+     * ```
+     *
+     * The `timeout` is optional. @see oae.api.push.registerAggregationRule for more information about the
+     * aggregation rules
+     *
+     * @api private
+     */
+    var registerAggregationRules = function() {
+        $.each(getWidgetManifests(), function(widgetName, widget) {
+            $.each(widget.aggregationRules || {}, function(activityType, aggregationRule) {
+                pushAPI.registerAggregationRule(activityType, aggregationRule.fields, aggregationRule.timeout);
+            });
+        });
+    };
+
+    /**
+     * Load the activity adapter extensions that widgets have declared in their manifest file. This allows
+     * widget packages to register the activity types they introduce with the activity adapter, so their
+     * activities get a proper summary and activity preview. The extension is declared by adding the following
+     * to a widget's manifest.json file:
+     *
+     * ```
+     * 'activityAdapter': 'js/activityadapter.js'
+     * ```
+     *
+     * The extension should be an AMD module that registers its activity types using the `registerActivityType`
+     * function of the `activityadapter` module. Widgets for which the extension can not be loaded will have
+     * their activities rendered using the default activity summary
+     *
+     * @param  {Function}   callback        Standard callback function
+     * @api private
+     */
+    var loadActivityAdapters = function(callback) {
+        var activityAdapters = [];
+        $.each(getWidgetManifests(), function(widgetName, widget) {
+            if (widget.activityAdapter) {
+                activityAdapters.push(convertRelativeToAbsolutePath(widget.activityAdapter, '/node_modules/' + widget.path));
+            }
+        });
+
+        if (_.isEmpty(activityAdapters)) {
+            return callback();
+        }
+
+        require(activityAdapters, function() {
+            return callback();
+        }, function() {
+            return callback();
+        });
+    };
+
     ///////////////////
     // WIDGET LOADER //
     ///////////////////
@@ -228,8 +300,9 @@ define(['exports', 'jquery', 'underscore', 'oae.api.config', 'oae.api.i18n', 'oa
      * @param  {Function}           [callback]      Standard callback function executed when all widgets have finished loading and rendering
      * @param  {Object}             [widgetData]    JSON object containing the data that should be passed into the widgets. The keys are the widget's unique instance ids, and the value is what will be passed into the widget with that id
      * @param  {Object}             [callback.err]  Error containing the error code and message
+     * @return {Promise}                            When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      */
-    var loadWidgets = exports.loadWidgets = function($container, showSettings, widgetData, callback) {
+    var loadWidgets = exports.loadWidgets = utilAPI.promisify(function($container, showSettings, widgetData, callback) {
         // Default callback function
         callback = callback || function() {};
         // Default to view mode if showSettings is not provided
@@ -240,7 +313,7 @@ define(['exports', 'jquery', 'underscore', 'oae.api.config', 'oae.api.i18n', 'oa
         widgetData = widgetData || {};
 
         locateWidgets($container, showSettings, widgetData, callback);
-    };
+    });
 
     /**
      * Find all of the widgets declared inside of the provided container, and pass this information
@@ -481,9 +554,10 @@ define(['exports', 'jquery', 'underscore', 'oae.api.config', 'oae.api.i18n', 'oa
      * @param  {Object}             [widgetData]    JSON object representing widget instance data that should be passed into the widget load function
      * @param  {Function}           [callback]      Standard callback function executed when the widgets has finished loading and rendering
      * @param  {Object}             [callback.err]  Error containing the error code and message
+     * @return {Promise}                            When no callback function has been provided, a promise that will be resolved with the result or rejected with the error object
      * @throws {Error}                              Error thrown when no or an invalid widget name is provided
      */
-    var insertWidget = exports.insertWidget = function(widgetName, widgetId, $container, showSettings, widgetData, callback) {
+    var insertWidget = exports.insertWidget = utilAPI.promisify(function(widgetName, widgetId, $container, showSettings, widgetData, callback) {
         if (!widgetName || !manifests[widgetName]) {
             throw new Error('A valid widget name should be provided');
         }
@@ -508,5 +582,5 @@ define(['exports', 'jquery', 'underscore', 'oae.api.config', 'oae.api.i18n', 'oa
         $container.prepend($widget);
         // Load the widget
         loadWidgets($container, showSettings, widgetDataToPassIn, callback);
-    };
+    });
 });
@@ -78,10 +78,12 @@ requirejs.config({
         'oae.api': 'oae/api/oae.api',
         'oae.api.admin': 'oae/api/oae.api.admin',
         'oae.api.authentication': 'oae/api/oae.api.authentication',
+        'oae.api.cache': 'oae/api/oae.api.cache',
         'oae.api.config': 'oae/api/oae.api.config',
         'oae.api.content': 'oae/api/oae.api.content',
         'oae.api.comment': 'oae/api/oae.api.comment',
         'oae.api.discussion': 'oae/api/oae.api.discussion',
+        'oae.api.error': 'oae/api/oae.api.error',
         'oae.api.folder': 'oae/api/oae.api.folder',
         'oae.api.follow': 'oae/api/oae.api.follow',
         'oae.api.group': 'oae/api/oae.api.group',
@@ -89,7 +91,10 @@ requirejs.config({
         'oae.api.l10n': 'oae/api/oae.api.l10n',
         'oae.api.lti' : 'oae/api/oae.api.lti',
         'oae.api.meetingJitsi': 'oae/api/oae.api.meetingJitsi',
+        'oae.api.mock': 'oae/api/oae.api.mock',
+        'oae.api.notification': 'oae/api/oae.api.notification',
         'oae.api.push': 'oae/api/oae.api.push',
+        'oae.api.queue': 'oae/api/oae.api.queue',
         'oae.api.user': 'oae/api/oae.api.user',
         'oae.api.util': 'oae/api/oae.api.util',
         'oae.api.widget': 'oae/api/oae.api.widget',
@@ -35,10 +35,12 @@ define([
          */
         'oae.api.admin',
         'oae.api.authentication',
+        'oae.api.cache',
         'oae.api.config',
         'oae.api.content',
         'oae.api.comment',
         'oae.api.discussion',
+        'oae.api.error',
         'oae.api.folder',
         'oae.api.follow',
         'oae.api.group',
@@ -46,7 +48,9 @@ define([
         'oae.api.l10n',
         'oae.api.lti',
         'oae.api.meetingJitsi',
+        'oae.api.notification',
         'oae.api.push',
+        'oae.api.queue',
         'oae.api.user',
         'oae.api.util',
         'oae.api.widget',
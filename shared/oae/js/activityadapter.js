@@ -24,11 +24,34 @@
  */
 var _expose = function(exports) {
 
-    // Variable that keeps track of the different activity types that are used for comment activities
-    var COMMENT_ACTIVITY_TYPES = ['content-comment', 'folder-comment', 'discussion-message', 'meeting-jitsi-message'];
+    // The kind of activity types that post a comment or message on their target
+    var KIND_COMMENT = exports.KIND_COMMENT = 'comment';
+
+    // The kind of activity types that share their object with their target
+    var KIND_SHARE = exports.KIND_SHARE = 'share';
+
+    // The kind of activity types that react to comments or messages on their target
+    var KIND_REACTION = exports.KIND_REACTION = 'reaction';
+
+    // The i18n keys of the labels of the known activity type filters. Activity types that have been added by
+    // extensions may not have a label, in which case the id of the filter can be used as the label
+    var TYPE_FILTER_LABELS = {
+        'comment': '__MSG__ACTIVITY_TYPE_COMMENT__',
+        'content': '__MSG__ACTIVITY_TYPE_CONTENT__',
+        'discussion': '__MSG__ACTIVITY_TYPE_DISCUSSION__',
+        'folder': '__MSG__ACTIVITY_TYPE_FOLDER__',
+        'following': '__MSG__ACTIVITY_TYPE_FOLLOWING__',
+        'group': '__MSG__ACTIVITY_TYPE_GROUP__',
+        'invitation': '__MSG__ACTIVITY_TYPE_INVITATION__',
+        'invite': '__MSG__ACTIVITY_TYPE_INVITE__',
+        'meeting': '__MSG__ACTIVITY_TYPE_MEETING__',
+        'reaction': '__MSG__ACTIVITY_TYPE_REACTION__',
+        'share': '__MSG__ACTIVITY_TYPE_SHARE__'
+    };
 
-    // Variable that keeps track of the different activity types that are used for sharing activities
-    var SHARE_ACTIVITY_TYPES = ['content-share', 'discussion-share', 'folder-share', 'meeting-jitsi-share'];
+    // Variable that keeps track of how the activities of the different activity types should be adapted,
+    // keyed by activity type. Activity types can be added through `registerActivityType`
+    var activityTypes = {};
 
     /**
      * Adapt a set of activities in activitystrea.ms format to a simpler view model
@@ -50,6 +73,166 @@ var _expose = function(exports) {
         });
     };
 
+    /**
+     * Register how activities of a certain activity type should be adapted. This allows modules that introduce
+     * new activity types to provide a proper summary and activity preview for their activities without having
+     * to change the activity adapter. When the activity type has already been registered, its registration
+     * will be replaced. Activity types that have not been registered will use a summary based on the activity
+     * verb. For example:
+     *
+     * ```
+     * registerActivityType('meeting-jitsi-update', {
+     *     'summary': {
+     *         '1': '__MSG__ACTIVITY_MEETING_UPDATE_1__',
+     *         '2': '__MSG__ACTIVITY_MEETING_UPDATE_2__',
+     *         '2+': '__MSG__ACTIVITY_MEETING_UPDATE_2+__'
+     *     }
+     * });
+     * ```
+     *
+     * Registrations are kept per instance of the activity adapter. In the browser, the widget API registers the
+     * activity types of the widgets that declare an `activityAdapter` in their manifest file. In the back-end, the
+     * server registers the activity adapters of the widgets explicitly, so the activity emails use the same summaries
+     * as the activity streams.
+     *
+     * @param  {String}                 activityType                            The activity type to register (e.g., `content-create`)
+     * @param  {Object}                 registration                            Object describing how the activities of the activity type should be adapted
+     * @param  {Function|Object}        registration.summary                    Function that returns the i18n key of the summary of an activity, or an object that maps the number of actors (`1`, `2` or `2+`) to the i18n key that should be used. When the function doesn't return an i18n key, the summary based on the activity verb will be used
+     * @param  {User}                   registration.summary.me                 The currently loggedin user
+     * @param  {Activity}               registration.summary.activity           The activity for which to generate the summary
+     * @param  {Object}                 registration.summary.properties         The properties that can be used in the i18n value. Properties can be added to this object when the i18n value requires them
+     * @param  {String}                 [registration.kind]                     The kind of the activity type. Activities of kind `KIND_COMMENT` will have their comments ordered into a comment tree and show their target as the activity preview. Activities of kind `KIND_SHARE` will show the entities the object was shared with as the activity preview. Activities of kind `KIND_REACTION` will have the comments that were reacted to several times collapsed into a single comment and show their target as the activity preview
+     * @param  {Function}               [registration.preview]                  Function that returns the entity that should be shown as the activity preview. When this is not provided, the activity preview will be determined by the kind of the activity type or will default to the activity object
+     * @param  {String}                 registration.preview.context            The ID of the user or group that owns the activity stream
+     * @param  {Activity}               registration.preview.activity           The activity for which to return the activity preview
+     * @throws {Error}                                                          Error thrown when no valid activity type or registration has been provided
+     */
+    var registerActivityType = exports.registerActivityType = function(activityType, registration) {
+        if (!activityType) {
+            throw new Error('A valid activity type should be provided');
+        } else if (!registration || !registration.summary) {
+            throw new Error('A valid activity summary should be provided');
+        } else if (registration.kind && registration.kind !== KIND_COMMENT && registration.kind !== KIND_SHARE && registration.kind !== KIND_REACTION) {
+            throw new Error('A valid activity kind should be provided');
+        }
+
+        activityTypes[activityType] = {
+            'kind': registration.kind,
+            'preview': registration.preview,
+            'summary': registration.summary
+        };
+    };
+
+    /**
+     * Get the activity types that have been registered
+     *
+     * @return {Object[]}                   The registered activity types. Every activity type has an `activityType` property and, when the activity type has been registered as a certain kind of activity type, a `kind` property
+     */
+    var getActivityTypes = exports.getActivityTypes = function() {
+        return Object.keys(activityTypes).sort().map(function(activityType) {
+            return {
+                'activityType': activityType,
+                'kind': activityTypes[activityType].kind
+            };
+        });
+    };
+
+    /**
+     * Get the filters that can be used to filter activities by their activity type. These are the kinds of activity
+     * types, such as comments and shares, followed by the categories of all registered activity types. The category
+     * of an activity type is the first part of the activity type (e.g., `discussion` for `discussion-share`)
+     *
+     * @return {Object[]}                   The activity type filters. Every filter has an `id` and the i18n key of its label as `i18nKey`. The i18n key will be `null` for filters that have no label, in which case the id can be used as the label
+     */
+    var getActivityTypeFilters = exports.getActivityTypeFilters = function() {
+        var ids = [];
+        var addId = function(id) {
+            if (id && ids.indexOf(id) === -1) {
+                ids.push(id);
+            }
+        };
+
+        var registeredTypes = Object.keys(activityTypes).sort();
+        registeredTypes.forEach(function(activityType) {
+            addId(activityTypes[activityType].kind);
+        });
+        registeredTypes.forEach(function(activityType) {
+            addId(_getActivityTypeCategory(activityType));
+        });
+
+        return ids.map(function(id) {
+            return {
+                'id': id,
+                'i18nKey': TYPE_FILTER_LABELS[id] || null
+            };
+        });
+    };
+
+    /**
+     * Check whether or not an activity type matches an activity type filter. An activity type matches a filter when
+     * the filter is the category of the activity type or the kind it has been registered as
+     *
+     * @param  {String}                 activityType                            The activity type to check (e.g., `content-create`)
+     * @param  {String}                 filter                                  The id of the activity type filter, as returned by `getActivityTypeFilters`
+     * @return {Boolean}                                                        `true` when the activity type matches the filter, `false` otherwise
+     */
+    var matchesActivityTypeFilter = exports.matchesActivityTypeFilter = function(activityType, filter) {
+        if (filter === _getActivityTypeCategory(activityType)) {
+            return true;
+        }
+        return Boolean(activityTypes[activityType] && activityTypes[activityType].kind === filter);
+    };
+
+    /**
+     * Get the category of an activity type, which is the first part of the activity type
+     *
+     * @param  {String}                 activityType                            The activity type for which to get the category
+     * @return {String}                                                         The category of the activity type
+     * @api private
+     */
+    var _getActivityTypeCategory = function(activityType) {
+        return activityType.split('-')[0];
+    };
+
+    /**
+     * Get the users and groups that are mentioned in the body of a comment. A mention is a Markdown link to the
+     * profile of a user or group of which the link text starts with an `@` (e.g. `[@Jane Doe](/user/cam/abc123)`)
+     *
+     * @param  {String}     [body]          The body of the comment
+     * @return {Object[]}                   The mentioned users and groups. Every mention has a `displayName` and a `profilePath` property
+     */
+    var getMentions = exports.getMentions = function(body) {
+        var mentions = [];
+        var profilePaths = {};
+        var mentionRegex = /\[@([^\]]+)\]\((\/(?:user|group)\/[^\s)]+)\)/g;
+
+        var match = mentionRegex.exec(body || '');
+        while (match) {
+            if (!profilePaths[match[2]]) {
+                profilePaths[match[2]] = true;
+                mentions.push({
+                    'displayName': match[1],
+                    'profilePath': match[2]
+                });
+            }
+            match = mentionRegex.exec(body);
+        }
+
+        return mentions;
+    };
+
+    /**
+     * Check whether an activity type has been registered as a certain kind of activity type
+     *
+     * @param  {String}     activityType    The activity type to check
+     * @param  {String}     kind            The kind of activity type to check for. One of `KIND_COMMENT`, `KIND_SHARE` or `KIND_REACTION`
+     * @return {Boolean}                    Whether or not the activity type is of the provided kind
+     * @api private
+     */
+    var _isActivityTypeOfKind = function(activityType, kind) {
+        return (activityTypes[activityType] && activityTypes[activityType].kind === kind) ? true : false;
+    };
+
     /**
      * Adapt a single activity in activitystrea.ms format to a simpler view model
      *
@@ -104,7 +287,7 @@ var _expose = function(exports) {
             'primaryActor': primaryActor,
             'summary': summary
         };
-        if (COMMENT_ACTIVITY_TYPES.indexOf(activity['oae:activityType']) !== -1) {
+        if (_isActivityTypeOfKind(activity['oae:activityType'], KIND_COMMENT)) {
             that.allComments = activity.object['oae:collection'];
             that.latestComments = activity.object.latestComments;
         }
@@ -174,6 +357,7 @@ var _expose = function(exports) {
      *  - targets with an image are ordered first
      *  - comments are processed into an ordered set
      *  - each comment is assigned the level in the comment tree
+     *  - comments that have been reacted to several times are only included once
      *
      * @param  {User}       me          The currently loggedin user
      * @param  {Activity}   activity    The activity to prepare
@@ -197,7 +381,7 @@ var _expose = function(exports) {
         }
 
         // We process the comments into an ordered set
-        if (COMMENT_ACTIVITY_TYPES.indexOf(activity['oae:activityType']) !== -1) {
+        if (_isActivityTypeOfKind(activity['oae:activityType'], KIND_COMMENT)) {
             var comments = activity.object['oae:collection'];
             if (!comments) {
                 comments = [activity.object];
@@ -219,6 +403,24 @@ var _expose = function(exports) {
             activity.object.objectType = 'comments';
             activity.object['oae:collection'] = allComments;
             activity.object.latestComments = latestComments;
+
+        // A comment can be reacted to by many users and with different reactions. As all of those reactions are
+        // aggregated into a single activity, we only keep the most recent occurrence of every comment
+        } else if (_isActivityTypeOfKind(activity['oae:activityType'], KIND_REACTION) && activity.object['oae:collection']) {
+            var seenComments = {};
+            var reactedComments = activity.object['oae:collection'].filter(function(comment) {
+                if (seenComments[comment['oae:id']]) {
+                    return false;
+                }
+                seenComments[comment['oae:id']] = true;
+                return true;
+            });
+
+            if (reactedComments.length === 1) {
+                activity.object = reactedComments[0];
+            } else {
+                activity.object['oae:collection'] = reactedComments;
+            }
         }
     };
 
@@ -505,14 +707,17 @@ var _expose = function(exports) {
     var _generateActivityPreviewItems = function(context, activity) {
         var activityType = activity['oae:activityType'];
 
-        // Comment activities should always show the target as the activity preview
         var previewObj = null;
-        if (COMMENT_ACTIVITY_TYPES.indexOf(activityType) !== -1) {
+        // Activity types can provide their own activity preview
+        if (activityTypes[activityType] && activityTypes[activityType].preview) {
+            previewObj = activityTypes[activityType].preview(context, activity);
+        // Comment and reaction activities should always show the target as the activity preview
+        } else if (_isActivityTypeOfKind(activityType, KIND_COMMENT) || _isActivityTypeOfKind(activityType, KIND_REACTION)) {
             previewObj = activity.target;
         // Share activities are considered to be a special social activity, where the
         // users and groups the item is shared with are preferred as a preview over
         // the object that is being shared
-        } else if (SHARE_ACTIVITY_TYPES.indexOf(activityType) !== -1) {
+        } else if (_isActivityTypeOfKind(activityType, KIND_SHARE)) {
             previewObj = activity.target;
             // When the current context is part of the target entities, we prefer
             // to use the activity's object as the activity preview instead. This
@@ -520,14 +725,6 @@ var _expose = function(exports) {
             if (_isContextInActivityEntities(context, previewObj)) {
                 previewObj = activity.object;
             }
-        // When a user is accepting an invitation to join target(s), we show the targets, unless the
-        // target is the context, in which case we show the user who is accepting the invitation
-        } else if (activityType === 'invitation-accept') {
-            previewObj = activity.target;
-
-            if (_isContextInActivityEntities(context, previewObj)) {
-                previewObj = activity.actor;
-            }
         // Otherwise, we always want to show the activity object as the activity preview
         } else if (activity.object) {
             previewObj = activity.object;
@@ -549,6 +746,23 @@ var _expose = function(exports) {
         return previewItems;
     };
 
+    /**
+     * Get the activity preview for an invitation accept activity. When a user is accepting an invitation to
+     * join target(s), we show the targets, unless the target is the context, in which case we show the user
+     * who is accepting the invitation
+     *
+     * @param  {String}                 context     The ID of the user or group that owns this activity stream
+     * @param  {Activity}               activity    The invitation accept activity for which to get the activity preview
+     * @return {Actor|Target}                       The entity that should be shown as the activity preview
+     * @api private
+     */
+    var _getInvitationAcceptPreview = function(context, activity) {
+        if (_isContextInActivityEntities(context, activity.target)) {
+            return activity.actor;
+        }
+        return activity.target;
+    };
+
 
     ///////////////
     // Summaries //
@@ -675,263 +889,67 @@ var _expose = function(exports) {
 
         // Depending on the activity type, we render a different template that is specific to that activity,
         // to make sure that the summary is as accurate and descriptive as possible
-        var activityType = activity['oae:activityType'];
-        if (activityType === 'content-add-to-library') {
-            return _generateContentAddToLibrarySummary(me, activity, properties);
-        } else if (activityType === 'content-comment') {
-            return _generateContentCommentSummary(me, activity, properties);
-        } else if (activityType === 'content-create') {
-            return _generateContentCreateSummary(me, activity, properties);
-        } else if (activityType === 'content-restored-revision') {
-            return _generateContentRestoredRevision(activity, properties);
-        } else if (activityType === 'content-revision') {
-            return _generateContentRevisionSummary(me, activity, properties);
-        } else if (activityType === 'content-share') {
-            return _generateContentShareSummary(me, activity, properties);
-        } else if (activityType === 'content-update') {
-            return _generateContentUpdateSummary(me, activity, properties);
-        } else if (activityType === 'content-update-member-role') {
-            return _generateContentUpdateMemberRoleSummary(me, activity, properties);
-        } else if (activityType === 'content-update-visibility') {
-            return _generateContentUpdateVisibilitySummary(me, activity, properties);
-        } else if (activityType === 'discussion-add-to-library') {
-            return _generateDiscussionAddToLibrarySummary(me, activity, properties);
-        } else if (activityType === 'discussion-create') {
-            return _generateDiscussionCreateSummary(me, activity, properties);
-        } else if (activityType === 'discussion-message') {
-            return _generateDiscussionMessageSummary(me, activity, properties);
-        } else if (activityType === 'discussion-share') {
-            return _generateDiscussionShareSummary(me, activity, properties);
-        } else if (activityType === 'discussion-update') {
-            return _generateDiscussionUpdateSummary(me, activity, properties);
-        } else if (activityType === 'discussion-update-member-role') {
-            return _generateDiscussionUpdateMemberRoleSummary(me, activity, properties);
-        } else if (activityType === 'discussion-update-visibility') {
-            return _generateDiscussionUpdateVisibilitySummary(me, activity, properties);
-        } else if (activityType === 'folder-add-to-folder') {
-            return _generateFolderAddToFolderSummary(me, activity, properties);
-        } else if (activityType === 'folder-add-to-library') {
-            return _generateFolderAddToLibrarySummary(me, activity, properties);
-        } else if (activityType === 'folder-comment') {
-            return _generateFolderCommentSummary(me, activity, properties);
-        } else if (activityType === 'folder-create') {
-            return _generateFolderCreateSummary(me, activity, properties);
-        } else if (activityType === 'folder-share') {
-            return _generateFolderShareSummary(me, activity, properties);
-        } else if (activityType === 'folder-update') {
-            return _generateFolderUpdateSummary(me, activity, properties);
-        } else if (activityType === 'folder-update-member-role') {
-            return _generateFolderUpdateMemberRoleSummary(me, activity, properties);
-        } else if (activityType === 'folder-update-visibility') {
-            return _generateFolderUpdateVisibilitySummary(me, activity, properties);
-        } else if (activityType === 'following-follow') {
-            return _generateFollowingSummary(me, activity, properties);
-        } else if (activityType === 'group-add-member') {
-            return _generateGroupAddMemberSummary(me, activity, properties);
-        } else if (activityType === 'group-create') {
-            return _generateGroupCreateSummary(me, activity, properties);
-        } else if (activityType === 'group-join') {
-            return _generateGroupJoinSummary(me, activity, properties);
-        } else if (activityType === 'group-update') {
-            return _generateGroupUpdateSummary(me, activity, properties);
-        } else if (activityType === 'group-update-member-role') {
-            return _generateGroupUpdateMemberRoleSummary(me, activity, properties);
-        } else if (activityType === 'group-update-visibility') {
-            return _generateGroupUpdateVisibilitySummary(me, activity, properties);
-        } else if (activityType === 'invite' || activityType === 'invitation-accept') {
-            return _generateInvitationSummary(me, activity, properties);
-        } else if (activityType === 'meeting-jitsi-create') {
-            return _generateMeetingJitsiCreateSummary(me, activity, properties);
-        } else if (activityType === 'meeting-jitsi-message') {
-            return _generateMeetingJitsiMessageSummary(me, activity, properties);
-        } else if (activityType === 'meeting-jitsi-share') {
-            return _generateMeetingJitsiShareSummary(me, activity, properties);
-        } else if (activityType === 'meeting-jitsi-update') {
-            return _generateMeetingJitsiUpdateSummary(me, activity, properties);
-        } else if (activityType === 'meeting-jitsi-update-member-role') {
-            return _generateMeetingJitsiUpdateMemberRoleSummary(me, activity, properties);
-        } else if (activityType === 'meeting-jitsi-update-visibility') {
-            return _generateMeetingJitsiUpdateVisibilitySummary(me, activity, properties);
-        // Fall back on the default activity summary if no specific template is found for the activity type
-        } else {
-            return _generateDefaultSummary(me, activity, properties);
-        }
-    };
-
-    /**
-     * Render the end-user friendly, internationalized summary of a visibility update activity for a meeting.
-     *
-     * @param  {User}                   me              The currently loggedin user
-     * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the meeting visibility update activity, for which to generate the activity summary
-     * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
-     * @api private
-     */
-    var _generateMeetingJitsiUpdateVisibilitySummary = function (me, activity, properties) {
-        var i18nKey = null;
-        if (activity.object['oae:visibility'] === 'public') {
-            i18nKey = '__MSG__ACTIVITY_MEETING_VISIBILITY_PUBLIC__';
-        } else if (activity.object['oae:visibility'] === 'loggedin') {
-            i18nKey = '__MSG__ACTIVITY_MEETING_VISIBILITY_LOGGEDIN__';
-        } else {
-            i18nKey = '__MSG__ACTIVITY_MEETING_VISIBILITY_PRIVATE__';
-        }
-        return new ActivityViewSummary(i18nKey, properties);
-    };
-
-    /**
-     * Render the end-user friendly, internationalized summary of a meeting member role update activity.
-     *
-     * @param  {User}                   me              The currently loggedin user
-     * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the meeting member update activity, for which to generate the activity summary
-     * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
-     * @api private
-     */
-    var _generateMeetingJitsiUpdateMemberRoleSummary = function (me, activity, properties) {
         var i18nKey = null;
-        if (properties.objectCount === 1) {
-            if (activity.object['oae:id'] === me.id) {
-                i18nKey = '__MSG__ACTIVITY_MEETING_UPDATE_MEMBER_ROLE_YOU__';
-            } else {
-                i18nKey = '__MSG__ACTIVITY_MEETING_UPDATE_MEMBER_ROLE_1__';
-            }
-        } else if (properties.objectCount === 2) {
-            i18nKey = '__MSG__ACTIVITY_MEETING_UPDATE_MEMBER_ROLE_2__';
-        } else {
-            i18nKey = '__MSG__ACTIVITY_MEETING_UPDATE_MEMBER_ROLE_2+__';
+        var registration = activityTypes[activity['oae:activityType']];
+        if (registration && registration.summary instanceof Function) {
+            i18nKey = registration.summary(me, activity, properties);
+        } else if (registration) {
+            i18nKey = _getI18nKeyForActorCount(registration.summary, properties);
         }
-        return new ActivityViewSummary(i18nKey, properties);
-    };
 
-    /**
-     * Render the end-user friendly, internationalized summary of a meeting update activity.
-     *
-     * @param  {User}                   me              The currently loggedin user
-     * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the meeting update activity, for which to generate the activity summary
-     * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
-     * @api private
-     */
-    var _generateMeetingJitsiUpdateSummary = function(me, activity, properties) {
-        var i18nKey = null;
-        if (properties.actorCount === 1) {
-            i18nKey = '__MSG__ACTIVITY_MEETING_UPDATE_1__';
-        } else if (properties.actorCount === 2) {
-            i18nKey = '__MSG__ACTIVITY_MEETING_UPDATE_2__';
-        } else {
-            i18nKey = '__MSG__ACTIVITY_MEETING_UPDATE_2+__';
+        // Fall back on the default activity summary if no specific template is found for the activity type
+        if (!i18nKey) {
+            i18nKey = _generateDefaultSummary(me, activity, properties);
         }
-        return new ActivityViewSummary(i18nKey, properties);
-    };
-
-    /**
-     * Render the end-user friendly, internationalized summary of a meeting post activity.
-     *
-     * @param  {User}                   me              The currently loggedin user
-     * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the meeting message activity, for which to generate the activity summary
-     * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
-     * @api private
-     */
-    var _generateMeetingJitsiMessageSummary = function (me, activity, properties) {
-        var i18nKey = null;
 
-        if (properties.actorCount === 1) {
-            i18nKey = '__MSG__ACTIVITY_MEETING_MESSAGE_1__';
-        } else if (properties.actorCount === 2) {
-            i18nKey = '__MSG__ACTIVITY_MEETING_MESSAGE_2__';
-        } else {
-            i18nKey = '__MSG__ACTIVITY_MEETING_MESSAGE_2+__';
+        // Highlight comments in which the current user has been mentioned
+        if (target1Obj && _isMentionedInComments(me, activity)) {
+            i18nKey = _getI18nKeyForActorCount({
+                '1': '__MSG__ACTIVITY_COMMENT_MENTION_1__',
+                '2': '__MSG__ACTIVITY_COMMENT_MENTION_2__',
+                '2+': '__MSG__ACTIVITY_COMMENT_MENTION_2+__'
+            }, properties);
         }
 
         return new ActivityViewSummary(i18nKey, properties);
     };
 
     /**
-     * Render the end-user friendly, internationalized summary of a meeting creation activity.
+     * Check whether the current user has been mentioned in any of the comments of a comment activity
      *
-     * @param  {User}                   me              The currently loggedin user
-     * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the meeting creation activity, for which to generate the activity summary
-     * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
+     * @param  {User}       [me]        The currently loggedin user
+     * @param  {Activity}   activity    The prepared activity to check
+     * @return {Boolean}                Whether the current user has been mentioned in any of the comments of the activity
      * @api private
      */
-    var _generateMeetingJitsiCreateSummary = function (me, activity, properties) {
-        var i18nKey = null;
-
-        // Add the target to the activity summary when a targer is present on the
-        // activity and the target is not an user different from the current user
-        if (properties.targetCount === 1 && !(activity.target.objectType === 'user' && activity.target['oae:id'] !== me.id)) {
-            if (activity.target['oae:id'] === me.id) {
-                if (properties.objectCount === 1) {
-                    i18nKey = '__MSG__ACTIVITY_MEETING_CREATE_1_YOU__';
-                } else if (properties.objectCount === 2) {
-                    i18nKey = '__MSG__ACTIVITY_MEETING_CREATE_2_YOU__';
-                } else {
-                    i18nKey = '__MSG__ACTIVITY_MEETING_CREATE_2+_YOU__';
-                }
-            } else if (activity.target.objectType === 'group') {
-                if (properties.objectCount === 1) {
-                    i18nKey = '__MSG__ACTIVITY_MEETING_CREATE_1_GROUP__';
-                } else if (properties.objectCount === 2) {
-                    i18nKey = '__MSG__ACTIVITY_MEETING_CREATE_2_GROUP__';
-                } else {
-                    i18nKey = '__MSG__ACTIVITY_MEETING_CREATE_2+_GROUP__';
-                }
-            }
-        } else {
-            if (properties.objectCount === 1) {
-                i18nKey = '__MSG__ACTIVITY_MEETING_CREATE_1__';
-            } else if (properties.objectCount === 2) {
-                i18nKey = '__MSG__ACTIVITY_MEETING_CREATE_2__';
-            } else {
-                i18nKey = '__MSG__ACTIVITY_MEETING_CREATE_2+__';
-            }
+    var _isMentionedInComments = function(me, activity) {
+        if (!me || !me.profilePath || !_isActivityTypeOfKind(activity['oae:activityType'], KIND_COMMENT)) {
+            return false;
         }
 
-        return new ActivityViewSummary(i18nKey, properties);
+        // The comments of a prepared comment activity are an ordered tree of `{level, comment}` objects
+        return activity.object['oae:collection'].some(function(item) {
+            return getMentions(item.comment.content).some(function(mention) {
+                return mention.profilePath === me.profilePath;
+            });
+        });
     };
 
     /**
-     * Render the end-user friendly, internationalized summary of a meeting share activity.
+     * Get the i18n key for an activity summary from a set of i18n keys that depend on the number of actors
      *
-     * @param  {User}                   me              The currently loggedin user
-     * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the meeting share activity, for which to generate the activity summary
+     * @param  {Object}                 i18nKeys        Object that maps the number of actors (`1`, `2` or `2+`) to the i18n key that should be used
      * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
+     * @return {String}                                 The i18n key of the summary
      * @api private
      */
-    var _generateMeetingJitsiShareSummary = function(me, activity, properties) {
-        var i18nKey = null;
-        if (properties.objectCount === 1) {
-            if (properties.targetCount === 1) {
-                if (activity.target['oae:id'] === me.id) {
-                    i18nKey = '__MSG__ACTIVITY_MEETING_SHARE_YOU__';
-                } else {
-                    i18nKey = '__MSG__ACTIVITY_MEETING_SHARE_1__';
-                }
-            } else if (properties.targetCount === 2) {
-                i18nKey = '__MSG__ACTIVITY_MEETING_SHARE_2__';
-            } else {
-                i18nKey = '__MSG__ACTIVITY_MEETING_SHARE_2+__';
-            }
-        } else {
-            if (properties.objectCount === 2) {
-                if (activity.target['oae:id'] === me.id) {
-                    i18nKey = '__MSG__ACTIVITY_MEETINGS_SHARE_2_YOU__';
-                } else {
-                    i18nKey = '__MSG__ACTIVITY_MEETINGS_SHARE_2__';
-                }
-            } else {
-                if (activity.target['oae:id'] === me.id) {
-                    i18nKey = '__MSG__ACTIVITY_MEETINGS_SHARE_2+_YOU__';
-                } else {
-                    i18nKey = '__MSG__ACTIVITY_MEETINGS_SHARE_2+__';
-                }
-            }
+    var _getI18nKeyForActorCount = function(i18nKeys, properties) {
+        if (properties.actorCount === 1) {
+            return i18nKeys['1'];
+        } else if (properties.actorCount === 2) {
+            return i18nKeys['2'];
         }
-        return new ActivityViewSummary(i18nKey, properties);
+        return i18nKeys['2+'];
     };
 
     /**
@@ -941,7 +959,7 @@ var _expose = function(exports) {
      * @param  {User}                   me              The currently loggedin user
      * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the unrecognized activity, for which to generate the activity summary
      * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
+     * @return {String}                                 The i18n key of the summary
      * @api private
      */
     var _generateDefaultSummary = function(me, activity, properties) {
@@ -955,7 +973,7 @@ var _expose = function(exports) {
             i18nKey = '__MSG__ACTIVITY_DEFAULT_2+__';
         }
 
-        return new ActivityViewSummary(i18nKey, properties);
+        return i18nKey;
     };
 
     /**
@@ -964,7 +982,7 @@ var _expose = function(exports) {
      * @param  {User}                   me              The currently loggedin user
      * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the add to content library activity, for which to generate the activity summary
      * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
+     * @return {String}                                 The i18n key of the summary
      * @api private
      */
     var _generateContentAddToLibrarySummary = function(me, activity, properties) {
@@ -982,7 +1000,7 @@ var _expose = function(exports) {
         } else {
             i18nKey = '__MSG__ACTIVITY_CONTENT_ADD_LIBRARY_2+__';
         }
-        return new ActivityViewSummary(i18nKey, properties);
+        return i18nKey;
     };
 
     /**
@@ -991,7 +1009,7 @@ var _expose = function(exports) {
      * @param  {User}                   me              The currently loggedin user
      * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the content comment activity, for which to generate the activity summary
      * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
+     * @return {String}                                 The i18n key of the summary
      * @api private
      */
     var _generateContentCommentSummary = function(me, activity, properties) {
@@ -1021,7 +1039,45 @@ var _expose = function(exports) {
                 i18nKey = '__MSG__ACTIVITY_CONTENT_COMMENT_LINK_2+__';
             }
         }
-        return new ActivityViewSummary(i18nKey, properties);
+        return i18nKey;
+    };
+
+    /**
+     * Render the end-user friendly, internationalized summary of a comment reaction activity. This is used for reactions
+     * to comments on content items and folders as well as reactions to discussion messages.
+     *
+     * @param  {User}                   me              The currently loggedin user
+     * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the comment reaction activity, for which to generate the activity summary
+     * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
+     * @return {String}                                 The i18n key of the summary
+     * @api private
+     */
+    var _generateCommentReactionSummary = function(me, activity, properties) {
+        var isDiscussion = (activity['oae:activityType'] === 'discussion-message-reaction');
+        if (properties.objectCount === 1 && isDiscussion) {
+            return _getI18nKeyForActorCount({
+                '1': '__MSG__ACTIVITY_DISCUSSION_MESSAGE_REACTION_1__',
+                '2': '__MSG__ACTIVITY_DISCUSSION_MESSAGE_REACTION_2__',
+                '2+': '__MSG__ACTIVITY_DISCUSSION_MESSAGE_REACTION_2+__'
+            }, properties);
+        } else if (isDiscussion) {
+            return _getI18nKeyForActorCount({
+                '1': '__MSG__ACTIVITY_DISCUSSION_MESSAGES_REACTION_1__',
+                '2': '__MSG__ACTIVITY_DISCUSSION_MESSAGES_REACTION_2__',
+                '2+': '__MSG__ACTIVITY_DISCUSSION_MESSAGES_REACTION_2+__'
+            }, properties);
+        } else if (properties.objectCount === 1) {
+            return _getI18nKeyForActorCount({
+                '1': '__MSG__ACTIVITY_COMMENT_REACTION_1__',
+                '2': '__MSG__ACTIVITY_COMMENT_REACTION_2__',
+                '2+': '__MSG__ACTIVITY_COMMENT_REACTION_2+__'
+            }, properties);
+        }
+        return _getI18nKeyForActorCount({
+            '1': '__MSG__ACTIVITY_COMMENTS_REACTION_1__',
+            '2': '__MSG__ACTIVITY_COMMENTS_REACTION_2__',
+            '2+': '__MSG__ACTIVITY_COMMENTS_REACTION_2+__'
+        }, properties);
     };
 
     /**
@@ -1030,7 +1086,7 @@ var _expose = function(exports) {
      * @param  {User}                   me              The currently loggedin user
      * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the content creation activity, for which to generate the activity summary
      * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
+     * @return {String}                                 The i18n key of the summary
      * @api private
      */
     var _generateContentCreateSummary = function(me, activity, properties) {
@@ -1096,7 +1152,7 @@ var _expose = function(exports) {
                 i18nKey = '__MSG__ACTIVITY_CONTENT_CREATE_2+__';
             }
         }
-        return new ActivityViewSummary(i18nKey, properties);
+        return i18nKey;
     };
 
     /**
@@ -1105,10 +1161,10 @@ var _expose = function(exports) {
      * @param  {User}                   me              The currently loggedin user
      * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the restore content revision activity, for which to generate the activity summary
      * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
+     * @return {String}                                 The i18n key of the summary
      * @api private
      */
-    var _generateContentRestoredRevision = function(activity, properties) {
+    var _generateContentRestoredRevision = function(me, activity, properties) {
         var i18nKey = null;
         if (activity.object['oae:resourceSubType'] === 'collabdoc') {
             if (properties.actorCount === 1) {
@@ -1127,7 +1183,7 @@ var _expose = function(exports) {
                 i18nKey = '__MSG__ACTIVITY_CONTENT_RESTORED_FILE_2+__';
             }
         }
-        return new ActivityViewSummary(i18nKey, properties);
+        return i18nKey;
     };
 
     /**
@@ -1136,7 +1192,7 @@ var _expose = function(exports) {
      * @param  {User}                   me              The currently loggedin user
      * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the content revision creation activity, for which to generate the activity summary
      * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
+     * @return {String}                                 The i18n key of the summary
      * @api private
      */
     var _generateContentRevisionSummary = function(me, activity, properties) {
@@ -1166,7 +1222,7 @@ var _expose = function(exports) {
                 i18nKey = '__MSG__ACTIVITY_CONTENT_REVISION_LINK_2+__';
             }
         }
-        return new ActivityViewSummary(i18nKey, properties);
+        return i18nKey;
     };
 
     /**
@@ -1175,7 +1231,7 @@ var _expose = function(exports) {
      * @param  {User}                   me              The currently loggedin user
      * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the content share activity, for which to generate the activity summary
      * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
+     * @return {String}                                 The i18n key of the summary
      * @api private
      */
     var _generateContentShareSummary = function(me, activity, properties) {
@@ -1233,7 +1289,7 @@ var _expose = function(exports) {
                 }
             }
         }
-        return new ActivityViewSummary(i18nKey, properties);
+        return i18nKey;
     };
 
     /**
@@ -1242,7 +1298,7 @@ var _expose = function(exports) {
      * @param  {User}                   me              The currently loggedin user
      * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the content members update activity, for which to generate the activity summary
      * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
+     * @return {String}                                 The i18n key of the summary
      * @api private
      */
     var _generateContentUpdateMemberRoleSummary = function(me, activity, properties) {
@@ -1284,7 +1340,7 @@ var _expose = function(exports) {
                 i18nKey = '__MSG__ACTIVITY_CONTENT_UPDATE_MEMBER_ROLE_LINK_2+__';
             }
         }
-        return new ActivityViewSummary(i18nKey, properties);
+        return i18nKey;
     };
 
     /**
@@ -1293,7 +1349,7 @@ var _expose = function(exports) {
      * @param  {User}                   me              The currently loggedin user
      * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the content update activity, for which to generate the activity summary
      * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
+     * @return {String}                                 The i18n key of the summary
      * @api private
      */
     var _generateContentUpdateSummary = function(me, activity, properties) {
@@ -1323,7 +1379,7 @@ var _expose = function(exports) {
                 i18nKey = '__MSG__ACTIVITY_CONTENT_UPDATE_LINK_2+__';
             }
         }
-        return new ActivityViewSummary(i18nKey, properties);
+        return i18nKey;
     };
 
     /**
@@ -1332,7 +1388,7 @@ var _expose = function(exports) {
      * @param  {User}                   me              The currently loggedin user
      * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the content visibility update activity, for which to generate the activity summary
      * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
+     * @return {String}                                 The i18n key of the summary
      * @api private
      */
     var _generateContentUpdateVisibilitySummary = function(me, activity, properties) {
@@ -1362,7 +1418,7 @@ var _expose = function(exports) {
                 i18nKey = '__MSG__ACTIVITY_CONTENT_VISIBILITY_LINK_PRIVATE__';
             }
         }
-        return new ActivityViewSummary(i18nKey, properties);
+        return i18nKey;
     };
 
     /**
@@ -1371,7 +1427,7 @@ var _expose = function(exports) {
      * @param  {User}                   me              The currently loggedin user
      * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the add to discussion library activity, for which to generate the activity summary
      * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
+     * @return {String}                                 The i18n key of the summary
      * @api private
      */
     var _generateDiscussionAddToLibrarySummary = function(me, activity, properties) {
@@ -1383,7 +1439,7 @@ var _expose = function(exports) {
         } else {
             i18nKey = '__MSG__ACTIVITY_DISCUSSION_ADD_LIBRARY_2+__';
         }
-        return new ActivityViewSummary(i18nKey, properties);
+        return i18nKey;
     };
 
     /**
@@ -1392,7 +1448,7 @@ var _expose = function(exports) {
      * @param  {User}                   me              The currently loggedin user
      * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the discussion creation activity, for which to generate the activity summary
      * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
+     * @return {String}                                 The i18n key of the summary
      * @api private
      */
     var _generateDiscussionCreateSummary = function(me, activity, properties) {
@@ -1404,7 +1460,7 @@ var _expose = function(exports) {
         } else {
             i18nKey = '__MSG__ACTIVITY_DISCUSSION_CREATE_2+__';
         }
-        return new ActivityViewSummary(i18nKey, properties);
+        return i18nKey;
     };
 
     /**
@@ -1413,7 +1469,7 @@ var _expose = function(exports) {
      * @param  {User}                   me              The currently loggedin user
      * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the discussion message activity, for which to generate the activity summary
      * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
+     * @return {String}                                 The i18n key of the summary
      * @api private
      */
     var _generateDiscussionMessageSummary = function(me, activity, properties) {
@@ -1425,7 +1481,7 @@ var _expose = function(exports) {
         } else {
             i18nKey = '__MSG__ACTIVITY_DISCUSSION_MESSAGE_2+__';
         }
-        return new ActivityViewSummary(i18nKey, properties);
+        return i18nKey;
     };
 
     /**
@@ -1434,7 +1490,7 @@ var _expose = function(exports) {
      * @param  {User}                   me              The currently loggedin user
      * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the discussion share activity, for which to generate the activity summary
      * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
+     * @return {String}                                 The i18n key of the summary
      * @api private
      */
     var _generateDiscussionShareSummary = function(me, activity, properties) {
@@ -1466,7 +1522,7 @@ var _expose = function(exports) {
                 }
             }
         }
-        return new ActivityViewSummary(i18nKey, properties);
+        return i18nKey;
     };
 
     /**
@@ -1475,7 +1531,7 @@ var _expose = function(exports) {
      * @param  {User}                   me              The currently loggedin user
      * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the discussion member update activity, for which to generate the activity summary
      * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
+     * @return {String}                                 The i18n key of the summary
      * @api private
      */
     var _generateDiscussionUpdateMemberRoleSummary = function(me, activity, properties) {
@@ -1491,7 +1547,7 @@ var _expose = function(exports) {
         } else {
             i18nKey = '__MSG__ACTIVITY_DISCUSSION_UPDATE_MEMBER_ROLE_2+__';
         }
-        return new ActivityViewSummary(i18nKey, properties);
+        return i18nKey;
     };
 
     /**
@@ -1500,7 +1556,7 @@ var _expose = function(exports) {
      * @param  {User}                   me              The currently loggedin user
      * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the discussion update activity, for which to generate the activity summary
      * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
+     * @return {String}                                 The i18n key of the summary
      * @api private
      */
     var _generateDiscussionUpdateSummary = function(me, activity, properties) {
@@ -1512,7 +1568,7 @@ var _expose = function(exports) {
         } else {
             i18nKey = '__MSG__ACTIVITY_DISCUSSION_UPDATE_2+__';
         }
-        return new ActivityViewSummary(i18nKey, properties);
+        return i18nKey;
     };
 
     /**
@@ -1521,7 +1577,7 @@ var _expose = function(exports) {
      * @param  {User}                   me              The currently loggedin user
      * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the discussion visibility update activity, for which to generate the activity summary
      * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
+     * @return {String}                                 The i18n key of the summary
      * @api private
      */
     var _generateDiscussionUpdateVisibilitySummary = function(me, activity, properties) {
@@ -1533,7 +1589,7 @@ var _expose = function(exports) {
         } else {
             i18nKey = '__MSG__ACTIVITY_DISCUSSION_VISIBILITY_PRIVATE__';
         }
-        return new ActivityViewSummary(i18nKey, properties);
+        return i18nKey;
     };
 
     /**
@@ -1542,7 +1598,7 @@ var _expose = function(exports) {
      * @param  {User}                   me              The currently loggedin user
      * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the add to folder activity, for which to generate the activity summary
      * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
+     * @return {String}                                 The i18n key of the summary
      * @api private
      */
     var _generateFolderAddToFolderSummary = function(me, activity, properties) {
@@ -1560,7 +1616,7 @@ var _expose = function(exports) {
         } else {
             i18nKey = '__MSG__ACTIVITY_FOLDER_ADD_FOLDER_2+__';
         }
-        return new ActivityViewSummary(i18nKey, properties);
+        return i18nKey;
     };
 
     /**
@@ -1569,7 +1625,7 @@ var _expose = function(exports) {
      * @param  {User}                   me              The currently loggedin user
      * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the add to folder library activity, for which to generate the activity summary
      * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
+     * @return {String}                                 The i18n key of the summary
      * @api private
      */
     var _generateFolderAddToLibrarySummary = function(me, activity, properties) {
@@ -1581,7 +1637,7 @@ var _expose = function(exports) {
         } else {
             i18nKey = '__MSG__ACTIVITY_FOLDER_ADD_LIBRARY_2+__';
         }
-        return new ActivityViewSummary(i18nKey, properties);
+        return i18nKey;
     };
 
     /**
@@ -1590,7 +1646,7 @@ var _expose = function(exports) {
      * @param  {User}                   me              The currently loggedin user
      * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the folder comment activity, for which to generate the activity summary
      * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
+     * @return {String}                                 The i18n key of the summary
      * @api private
      */
     var _generateFolderCommentSummary = function(me, activity, properties) {
@@ -1602,7 +1658,7 @@ var _expose = function(exports) {
         } else {
             i18nKey = '__MSG__ACTIVITY_FOLDER_COMMENT_2+__';
         }
-        return new ActivityViewSummary(i18nKey, properties);
+        return i18nKey;
     };
 
     /**
@@ -1611,7 +1667,7 @@ var _expose = function(exports) {
      * @param  {User}                   me              The currently loggedin user
      * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the folder creation activity, for which to generate the activity summary
      * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
+     * @return {String}                                 The i18n key of the summary
      * @api private
      */
     var _generateFolderCreateSummary = function(me, activity, properties) {
@@ -1645,7 +1701,7 @@ var _expose = function(exports) {
                 i18nKey = '__MSG__ACTIVITY_FOLDER_CREATE_2+__';
             }
         }
-        return new ActivityViewSummary(i18nKey, properties);
+        return i18nKey;
     };
 
     /**
@@ -1654,7 +1710,7 @@ var _expose = function(exports) {
      * @param  {User}                   me              The currently loggedin user
      * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the folder share activity, for which to generate the activity summary
      * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
+     * @return {String}                                 The i18n key of the summary
      * @api private
      */
     var _generateFolderShareSummary = function(me, activity, properties) {
@@ -1686,7 +1742,7 @@ var _expose = function(exports) {
                 }
             }
         }
-        return new ActivityViewSummary(i18nKey, properties);
+        return i18nKey;
     };
 
     /**
@@ -1695,7 +1751,7 @@ var _expose = function(exports) {
      * @param  {User}                   me              The currently loggedin user
      * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the folder update activity, for which to generate the activity summary
      * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
+     * @return {String}                                 The i18n key of the summary
      * @api private
      */
     var _generateFolderUpdateSummary = function(me, activity, properties) {
@@ -1707,7 +1763,7 @@ var _expose = function(exports) {
         } else {
             i18nKey = '__MSG__ACTIVITY_FOLDER_UPDATE_2+__';
         }
-        return new ActivityViewSummary(i18nKey, properties);
+        return i18nKey;
     };
 
     /**
@@ -1716,7 +1772,7 @@ var _expose = function(exports) {
      * @param  {User}                   me              The currently loggedin user
      * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the folder member update activity, for which to generate the activity summary
      * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
+     * @return {String}                                 The i18n key of the summary
      * @api private
      */
     var _generateFolderUpdateMemberRoleSummary = function(me, activity, properties) {
@@ -1732,7 +1788,7 @@ var _expose = function(exports) {
         } else {
             i18nKey = '__MSG__ACTIVITY_FOLDER_UPDATE_MEMBER_ROLE_2+__';
         }
-        return new ActivityViewSummary(i18nKey, properties);
+        return i18nKey;
     };
 
     /**
@@ -1741,7 +1797,7 @@ var _expose = function(exports) {
      * @param  {User}                   me              The currently loggedin user
      * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the folder visibility update activity, for which to generate the activity summary
      * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
+     * @return {String}                                 The i18n key of the summary
      * @api private
      */
     var _generateFolderUpdateVisibilitySummary = function(me, activity, properties) {
@@ -1753,7 +1809,7 @@ var _expose = function(exports) {
         } else {
             i18nKey = '__MSG__ACTIVITY_FOLDER_VISIBILITY_PRIVATE__';
         }
-        return new ActivityViewSummary(i18nKey, properties);
+        return i18nKey;
     };
 
     /**
@@ -1762,7 +1818,7 @@ var _expose = function(exports) {
      * @param  {User}                   me              The currently loggedin user
      * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the following activity, for which to generate the activity summary
      * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
+     * @return {String}                                 The i18n key of the summary
      * @api private
      */
     var _generateFollowingSummary = function(me, activity, properties) {
@@ -1794,7 +1850,7 @@ var _expose = function(exports) {
                 i18nKey = '__MSG__ACTIVITY_FOLLOWING_1_1__';
             }
         }
-        return new ActivityViewSummary(i18nKey, properties);
+        return i18nKey;
     };
 
     /**
@@ -1803,7 +1859,7 @@ var _expose = function(exports) {
      * @param  {User}                   me              The currently loggedin user
      * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the add group member activity, for which to generate the activity summary
      * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
+     * @return {String}                                 The i18n key of the summary
      * @api private
      */
     var _generateGroupAddMemberSummary = function(me, activity, properties) {
@@ -1819,7 +1875,7 @@ var _expose = function(exports) {
         } else {
             i18nKey = '__MSG__ACTIVITY_GROUP_ADD_MEMBER_2+__';
         }
-        return new ActivityViewSummary(i18nKey, properties);
+        return i18nKey;
     };
 
     /**
@@ -1828,7 +1884,7 @@ var _expose = function(exports) {
      * @param  {User}                   me              The currently loggedin user
      * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the group member update activity, for which to generate the activity summary
      * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
+     * @return {String}                                 The i18n key of the summary
      * @api private
      */
     var _generateGroupUpdateMemberRoleSummary = function(me, activity, properties) {
@@ -1844,7 +1900,7 @@ var _expose = function(exports) {
         } else {
             i18nKey = '__MSG__ACTIVITY_GROUP_UPDATE_MEMBER_ROLE_2+__';
         }
-        return new ActivityViewSummary(i18nKey, properties);
+        return i18nKey;
     };
 
     /**
@@ -1853,7 +1909,7 @@ var _expose = function(exports) {
      * @param  {User}                   me              The currently loggedin user
      * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the group creation activity, for which to generate the activity summary
      * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
+     * @return {String}                                 The i18n key of the summary
      * @api private
      */
     var _generateGroupCreateSummary = function(me, activity, properties) {
@@ -1865,7 +1921,7 @@ var _expose = function(exports) {
         } else {
             i18nKey = '__MSG__ACTIVITY_GROUP_CREATE_2+__';
         }
-        return new ActivityViewSummary(i18nKey, properties);
+        return i18nKey;
     };
 
     /**
@@ -1874,7 +1930,7 @@ var _expose = function(exports) {
      * @param  {User}                   me              The currently loggedin user
      * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the group join activity, for which to generate the activity summary
      * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
+     * @return {String}                                 The i18n key of the summary
      * @api private
      */
     var _generateGroupJoinSummary = function(me, activity, properties) {
@@ -1886,7 +1942,7 @@ var _expose = function(exports) {
         } else {
             i18nKey = '__MSG__ACTIVITY_GROUP_JOIN_2+__';
         }
-        return new ActivityViewSummary(i18nKey, properties);
+        return i18nKey;
     };
 
     /**
@@ -1895,7 +1951,7 @@ var _expose = function(exports) {
      * @param  {User}                   me              The currently loggedin user
      * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the group update activity, for which to generate the activity summary
      * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
+     * @return {String}                                 The i18n key of the summary
      * @api private
      */
     var _generateGroupUpdateSummary = function(me, activity, properties) {
@@ -1907,7 +1963,7 @@ var _expose = function(exports) {
         } else {
             i18nKey = '__MSG__ACTIVITY_GROUP_UPDATE_2+__';
         }
-        return new ActivityViewSummary(i18nKey, properties);
+        return i18nKey;
     };
 
     /**
@@ -1916,7 +1972,7 @@ var _expose = function(exports) {
      * @param  {User}                   me              The currently loggedin user
      * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the group visibility update activity, for which to generate the activity summary
      * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
+     * @return {String}                                 The i18n key of the summary
      * @api private
      */
     var _generateGroupUpdateVisibilitySummary = function(me, activity, properties) {
@@ -1928,7 +1984,7 @@ var _expose = function(exports) {
         } else {
             i18nKey = '__MSG__ACTIVITY_GROUP_VISIBILITY_PRIVATE__';
         }
-        return new ActivityViewSummary(i18nKey, properties);
+        return i18nKey;
     };
 
     /**
@@ -2007,7 +2063,7 @@ var _expose = function(exports) {
      * @param  {User}                   me              The currently loggedin user
      * @param  {Activity}               activity        Standard activity object as specified by the activitystrea.ms specification, representing the invite activity, for which to generate the activity summary
      * @param  {Object}                 properties      A set of properties that can be used to determine the correct summary
-     * @return {ActivityViewSummary}                    A summary object
+     * @return {String}                                 The i18n key of the summary
      * @api private
      */
     var _generateInvitationSummary = function(me, activity, properties) {
@@ -2062,10 +2118,79 @@ var _expose = function(exports) {
         labels.push(countLabel);
 
         // Generate the activity i18n key according to the labels we determined
-        var i18nKey = '__MSG__' + labels.join('_') + '__';
-
-        return new ActivityViewSummary(i18nKey, properties);
+        return '__MSG__' + labels.join('_') + '__';
     };
+
+    /////////////////////////////
+    // Built-in activity types //
+    /////////////////////////////
+
+    registerActivityType('content-add-to-library', {'summary': _generateContentAddToLibrarySummary});
+    registerActivityType('content-comment', {
+        'summary': _generateContentCommentSummary,
+        'kind': KIND_COMMENT
+    });
+    registerActivityType('content-comment-reaction', {
+        'summary': _generateCommentReactionSummary,
+        'kind': KIND_REACTION
+    });
+    registerActivityType('content-create', {'summary': _generateContentCreateSummary});
+    registerActivityType('content-restored-revision', {'summary': _generateContentRestoredRevision});
+    registerActivityType('content-revision', {'summary': _generateContentRevisionSummary});
+    registerActivityType('content-share', {
+        'summary': _generateContentShareSummary,
+        'kind': KIND_SHARE
+    });
+    registerActivityType('content-update', {'summary': _generateContentUpdateSummary});
+    registerActivityType('content-update-member-role', {'summary': _generateContentUpdateMemberRoleSummary});
+    registerActivityType('content-update-visibility', {'summary': _generateContentUpdateVisibilitySummary});
+    registerActivityType('discussion-add-to-library', {'summary': _generateDiscussionAddToLibrarySummary});
+    registerActivityType('discussion-create', {'summary': _generateDiscussionCreateSummary});
+    registerActivityType('discussion-message', {
+        'summary': _generateDiscussionMessageSummary,
+        'kind': KIND_COMMENT
+    });
+    registerActivityType('discussion-message-reaction', {
+        'summary': _generateCommentReactionSummary,
+        'kind': KIND_REACTION
+    });
+    registerActivityType('discussion-share', {
+        'summary': _generateDiscussionShareSummary,
+        'kind': KIND_SHARE
+    });
+    registerActivityType('discussion-update', {'summary': _generateDiscussionUpdateSummary});
+    registerActivityType('discussion-update-member-role', {'summary': _generateDiscussionUpdateMemberRoleSummary});
+    registerActivityType('discussion-update-visibility', {'summary': _generateDiscussionUpdateVisibilitySummary});
+    registerActivityType('folder-add-to-folder', {'summary': _generateFolderAddToFolderSummary});
+    registerActivityType('folder-add-to-library', {'summary': _generateFolderAddToLibrarySummary});
+    registerActivityType('folder-comment', {
+        'summary': _generateFolderCommentSummary,
+        'kind': KIND_COMMENT
+    });
+    registerActivityType('folder-comment-reaction', {
+        'summary': _generateCommentReactionSummary,
+        'kind': KIND_REACTION
+    });
+    registerActivityType('folder-create', {'summary': _generateFolderCreateSummary});
+    registerActivityType('folder-share', {
+        'summary': _generateFolderShareSummary,
+        'kind': KIND_SHARE
+    });
+    registerActivityType('folder-update', {'summary': _generateFolderUpdateSummary});
+    registerActivityType('folder-update-member-role', {'summary': _generateFolderUpdateMemberRoleSummary});
+    registerActivityType('folder-update-visibility', {'summary': _generateFolderUpdateVisibilitySummary});
+    registerActivityType('following-follow', {'summary': _generateFollowingSummary});
+    registerActivityType('group-add-member', {'summary': _generateGroupAddMemberSummary});
+    registerActivityType('group-create', {'summary': _generateGroupCreateSummary});
+    registerActivityType('group-join', {'summary': _generateGroupJoinSummary});
+    registerActivityType('group-update', {'summary': _generateGroupUpdateSummary});
+    registerActivityType('group-update-member-role', {'summary': _generateGroupUpdateMemberRoleSummary});
+    registerActivityType('group-update-visibility', {'summary': _generateGroupUpdateVisibilitySummary});
+    registerActivityType('invitation-accept', {
+        'summary': _generateInvitationSummary,
+        'preview': _getInvitationAcceptPreview
+    });
+    registerActivityType('invite', {'summary': _generateInvitationSummary});
 };
 
 (function() {
@@ -20,8 +20,8 @@ define(['jquery'], function (jQuery) {
          * Extracts files from a dropped item (currently only supported in Chrome)
          *
          * @param  {Object}   entry     Entry provided as event data for drop event
-         * @param  {String}   [path]    File system path for entry
-         * @return {Array}              Array of files
+         * @param  {String}   [path]    File system path of the folder containing the entry, relative to the dropped items (e.g. `lectures/week 1/`)
+         * @return {Array}              Array of files. The `relativePath` property of each file contains the path of the folder containing the file
          */
         var getFilesFromEntry = function(entry, path) {
 
@@ -60,11 +60,12 @@ define(['jquery'], function (jQuery) {
             // Handle folders recursively
             } else if (entry.isDirectory) {
                 var folder = entry.createReader();
+                var folderPath = path + entry.name + '/';
                 folder.readEntries(function(entries) {
                     $.when.apply(
                         $,
-                        $.map(entries, function(entry) {
-                            return getFilesFromEntry(entry, path + entry.name + '/');
+                        $.map(entries, function(childEntry) {
+                            return getFilesFromEntry(childEntry, folderPath);
                         })
                     ).pipe(function() {
                         // Combine the results for each entry by concatenating results
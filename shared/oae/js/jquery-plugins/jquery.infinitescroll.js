@@ -36,9 +36,12 @@ define(['jquery', 'underscore', 'oae.api.util', 'oae.api.i18n', 'oae.api.l10n'],
      * @param  {Object}                            [options]                       Optional object containing additional configuraton options.
      * @param  {String|Element}                    [options.scrollContainer]       jQuery element or selector for that jQuery element that identifies the container on which the scrollposition should be watched to check when we are close enough to the bottom to load a new set of results. If this is not provided, the document body will be used.
      * @param  {String|Function}                   [options.initialContent]        HTML string that should be prepended to the list upon initialization. If a function is provided, the function will be called with no parameters and should return the HTML string to prepend.
+     * @param  {Object}                            [options.initialData]           Server response containing the first set of results, including its `nextToken`. When provided, these results are rendered upon initialization instead of retrieving the first set of results from the REST endpoint.
      * @param  {Function}                          [options.emptyListProcessor]    Function that will be executed when the rendered list doesn't have any elements.
      * @param  {Function}                          [options.postProcessor]         Function used to transform the search results before rendering the template. This function will be called with a data parameter containing the retrieved data and should return the processed data
      * @param  {Function}                          [options.postRenderer]          Function executed after the rendered HTML has been appended to the rendered list. The full retrieved server response will be passed into this function as the first parameter as well as the rendered template.
+     * @param  {Number}                            [options.maxEmptyPages]         The maximum number of consecutive sets of results that are loaded automatically whilst the post processor leaves no results in them. When this number is reached, no more results are loaded until `loadMore` is called. This avoids paging through an entire feed when few of its items are shown. By default, results are loaded until the end of the feed is reached.
+     * @param  {Function}                          [options.pausedProcessor]       Function that will be executed when no more results will be loaded automatically because `maxEmptyPages` has been reached.
      * @throws {Error}                                                             Error thrown when not all of the required parameters have been provided
      */
     $.fn.infiniteScroll = function(source, parameters, render, options) {
@@ -81,6 +84,14 @@ define(['jquery', 'underscore', 'oae.api.util', 'oae.api.i18n', 'oae.api.l10n'],
         // search does not need to provide a paging parameter
         var initialSearchDone = false;
 
+        // Variable that keeps track of the number of consecutive sets of results that had no results left
+        // after post processing
+        var emptyPages = 0;
+
+        // Variable that keeps track of whether or not loading results has been paused because too many
+        // consecutive sets of results had no results left after post processing
+        var isPaused = false;
+
         ////////////////////////
         // Infinite scrolling //
         ////////////////////////
@@ -258,8 +269,16 @@ define(['jquery', 'underscore', 'oae.api.util', 'oae.api.i18n', 'oae.api.l10n'],
                     // results should be fetched when reaching the appropriate scroll position. However, we pause
                     // for a second, as to not to send too many requests at once
                     if (nextToken || data.results.length === parameters.limit) {
-                        canRequestMoreData = true;
-                        checkLoadNext();
+                        emptyPages = data.results.length ? 0 : emptyPages + 1;
+                        if (options.maxEmptyPages && emptyPages >= options.maxEmptyPages) {
+                            isPaused = true;
+                            if (options.pausedProcessor) {
+                                options.pausedProcessor();
+                            }
+                        } else {
+                            canRequestMoreData = true;
+                            checkLoadNext();
+                        }
                     } else {
                         // Don't do any more searches when scrolling. We omit items with
                         // `oae-list-initial` as we are specifically looking for data items rather
@@ -350,6 +369,20 @@ define(['jquery', 'underscore', 'oae.api.util', 'oae.api.i18n', 'oae.api.l10n'],
             });
         };
 
+        /**
+         * Resume loading results after loading was paused because `maxEmptyPages` consecutive sets of results
+         * had no results left after post processing
+         */
+        var loadMore = function() {
+            if (!$listContainer || !isPaused) {
+                return;
+            }
+
+            isPaused = false;
+            emptyPages = 0;
+            loadResultList();
+        };
+
         ////////////////////////////
         // Kill infinite scroller //
         ////////////////////////////
@@ -407,12 +440,19 @@ define(['jquery', 'underscore', 'oae.api.util', 'oae.api.i18n', 'oae.api.l10n'],
         $listContainer.attr('aria-live', 'assertive');
         setUpLoadingImage();
         setUpInitialContent();
-        loadResultList();
+        if (options.initialData) {
+            initialSearchDone = true;
+            nextToken = options.initialData.nextToken;
+            processList(options.initialData, {'update': true});
+        } else {
+            loadResultList();
+        }
         startInfiniteScrolling();
 
         return {
             'prependItems': prependItems,
             'removeItems': removeItems,
+            'loadMore': loadMore,
             'kill': kill
         };
 
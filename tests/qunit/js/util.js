@@ -53,6 +53,11 @@ define(['exports', 'jquery', 'underscore', 'oae.core', 'jquery.properties-parser
                     paths['/node_modules/' + widget.path + jsPath] = widgetName;
                 }
             });
+
+            // Include the activity adapter extension that registers the widget's activity types
+            if (widget.activityAdapter) {
+                paths['/node_modules/' + widget.path + widget.activityAdapter] = widgetName;
+            }
         });
 
         oae.api.util.staticBatch(_.keys(paths), function(err, data) {
@@ -379,6 +384,7 @@ define(['exports', 'jquery', 'underscore', 'oae.core', 'jquery.properties-parser
                 '/ui/folder.html': null,
                 '/ui/group.html': null,
                 '/ui/index.html': null,
+                '/ui/notifications.html': null,
                 '/ui/search.html': null,
                 '/ui/signup.html': null,
                 '/ui/user.html': null
@@ -386,10 +392,12 @@ define(['exports', 'jquery', 'underscore', 'oae.core', 'jquery.properties-parser
             'apiJS': {
                 '/shared/oae/api/oae.api.admin.js': null,
                 '/shared/oae/api/oae.api.authentication.js': null,
+                '/shared/oae/api/oae.api.cache.js': null,
                 '/shared/oae/api/oae.api.comment.js': null,
                 '/shared/oae/api/oae.api.config.js': null,
                 '/shared/oae/api/oae.api.content.js': null,
                 '/shared/oae/api/oae.api.discussion.js': null,
+                '/shared/oae/api/oae.api.error.js': null,
                 '/shared/oae/api/oae.api.folder.js': null,
                 '/shared/oae/api/oae.api.follow.js': null,
                 '/shared/oae/api/oae.api.group.js': null,
@@ -397,7 +405,10 @@ define(['exports', 'jquery', 'underscore', 'oae.core', 'jquery.properties-parser
                 '/shared/oae/api/oae.api.js': null,
                 '/shared/oae/api/oae.api.l10n.js': null,
                 '/shared/oae/api/oae.api.lti.js': null,
+                '/shared/oae/api/oae.api.mock.js': null,
+                '/shared/oae/api/oae.api.notification.js': null,
                 '/shared/oae/api/oae.api.push.js': null,
+                '/shared/oae/api/oae.api.queue.js': null,
                 '/shared/oae/api/oae.api.user.js': null,
                 '/shared/oae/api/oae.api.util.js': null,
                 '/shared/oae/api/oae.api.widget.js': null,
@@ -429,6 +440,7 @@ define(['exports', 'jquery', 'underscore', 'oae.core', 'jquery.properties-parser
                 '/ui/css/oae.folder.css': null,
                 '/ui/css/oae.group.css': null,
                 '/ui/css/oae.index.css': null,
+                '/ui/css/oae.notifications.css': null,
                 '/ui/css/oae.search.css': null,
                 '/ui/css/oae.signup.css': null
             }
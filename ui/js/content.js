@@ -79,12 +79,7 @@ require(['jquery', 'underscore', 'oae.core'], function($, _, oae) {
     var getContentProfile = function() {
         oae.api.content.getContent(contentId, function(err, profile) {
             if (err) {
-                if (err.code === 401) {
-                    oae.api.util.redirect().accessdenied();
-                } else {
-                    oae.api.util.redirect().notfound();
-                }
-                return;
+                return oae.api.util.redirect().fromError(err);
             }
 
             // Cache the content profile data
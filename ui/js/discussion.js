@@ -78,12 +78,7 @@ require(['jquery','oae.core'], function($, oae) {
     var getDiscussionProfile = function() {
         oae.api.discussion.getDiscussion(discussionId, function(err, profile) {
             if (err) {
-                if (err.code === 401) {
-                    oae.api.util.redirect().accessdenied();
-                } else {
-                    oae.api.util.redirect().notfound();
-                }
-                return;
+                return oae.api.util.redirect().fromError(err);
             }
 
             // Cache the discussion profile data
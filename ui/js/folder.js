@@ -113,12 +113,7 @@ require(['jquery', 'underscore', 'oae.core'], function($, _, oae) {
     var getFolderProfile = function() {
         oae.api.folder.getFolder(folderId, function(err, profile) {
             if (err) {
-                if (err.code === 401) {
-                    oae.api.util.redirect().accessdenied();
-                } else {
-                    oae.api.util.redirect().notfound();
-                }
-                return;
+                return oae.api.util.redirect().fromError(err);
             }
 
             // Cache the folder profile data
@@ -40,10 +40,8 @@ require(['jquery', 'oae.core'], function($, oae) {
      */
     var getGroupProfile = function(callback) {
         oae.api.group.getGroup(groupId, function(err, profile) {
-            if (err && err.code === 404) {
-                return oae.api.util.redirect().notfound();
-            } else if (err && err.code === 401) {
-                return oae.api.util.redirect().accessdenied();
+            if (err) {
+                return oae.api.util.redirect().fromError(err);
             }
 
             groupProfile = profile;
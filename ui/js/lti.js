@@ -59,12 +59,7 @@ require(['jquery', 'oae.core'], function ($, oae) {
     var getLtiLaunchProfile = function () {
         oae.api.lti.launchLtiTool(groupId, toolId, function (err, data) {
             if (err) {
-                if (err.code === 401) {
-                    oae.api.util.redirect().accessdenied();
-                } else {
-                    oae.api.util.redirect().notfound();
-                }
-                return;
+                return oae.api.util.redirect().fromError(err);
             }
             toolProfile = data;
             var launchParams = toolProfile.launchParams;
@@ -110,12 +110,7 @@ require(['jquery', 'oae.core'], function ($, oae) {
         oae.api.meetingJitsi.getMeeting(meetingId, function (err, profile) {
 
             if (err) {
-                if (err.code === 401) {
-                    oae.api.util.redirect().accessdenied();
-                } else {
-                    oae.api.util.redirect().notfound();
-                }
-                return;
+                return oae.api.util.redirect().fromError(err);
             }
 
             // Cache the meeting profile data
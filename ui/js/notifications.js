@@ -0,0 +1,331 @@
+/*!
+ * Copyright 2017 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+require(['jquery', 'oae.core', 'underscore', 'activityadapter', 'jquery.history'], function($, oae, _, ActivityAdapter) {
+
+    // The read state filter value for notifications that haven't been read yet
+    var STATE_UNREAD = 'unread';
+
+    // The maximum number of consecutive pages of notifications without any notifications that match the applied
+    // filters that are loaded automatically. The current user can choose to search older notifications after that
+    var MAX_EMPTY_PAGES = 5;
+
+    // Variable that will be used to keep track of the current infinite scroll instance
+    var infinityScroll = false;
+
+    // Variable that keeps track of the notifications that are shown in the list, keyed by their id
+    var notifications = {};
+
+    /**
+     * Get the filters that are applied to the notifications in the current state
+     *
+     * @return {Object}     filters             The filters from the current state
+     * @return {String}     filters.q           The keyword the notification summaries should contain
+     * @return {String}     filters.type        The category or kind of activity types to which the notifications should belong
+     * @return {String}     filters.state       The read state of the notifications. One of `read` or `unread`
+     */
+    var getFilters = function() {
+        var params = oae.api.util.url(History.getState().cleanUrl).param();
+        return {
+            'q': params.q || '',
+            'type': params.type || '',
+            'state': params.state || ''
+        };
+    };
+
+    /**
+     * Get the plain-text summary of an adapted notification
+     *
+     * @param  {ActivityViewModel}      activity    The adapted notification
+     * @return {String}                             The plain-text summary of the notification
+     */
+    var getSummaryText = function(activity) {
+        var summary = oae.api.i18n.translate(activity.summary.i18nKey, null, activity.summary.i18nArguments);
+        return $('<div>').html(summary).text();
+    };
+
+    /**
+     * Check whether or not an adapted notification matches the filters that are applied to the page
+     *
+     * @param  {ActivityViewModel}      activity    The adapted notification to check
+     * @param  {Object}                 filters     The filters that are applied to the page, as returned by `getFilters`
+     * @return {Boolean}                            Whether or not the notification matches the filters
+     */
+    var matchesFilters = function(activity, filters) {
+        var originalActivity = activity.originalActivity;
+        var activityType = originalActivity['oae:activityType'];
+
+        if (filters.type && !ActivityAdapter.matchesActivityTypeFilter(activityType, filters.type)) {
+            return false;
+        }
+
+        if (filters.state && oae.api.notification.isUnread(originalActivity) !== (filters.state === STATE_UNREAD)) {
+            return false;
+        }
+
+        if (filters.q && getSummaryText(activity).toLowerCase().indexOf(filters.q.toLowerCase()) === -1) {
+            return false;
+        }
+        return true;
+    };
+
+    /**
+     * Process the retrieved notifications by running them through the activity adapter, so they are rendered the
+     * same way as on the dashboard, and by removing the notifications that don't match the applied filters.
+     * Notifications about resources that have been muted by the current user will not be shown.
+     *
+     * @param  {Object}    data     The current user's notifications per the activitystrea.ms spec
+     * @return {Object}             Object containing the adapted notifications that match the applied filters
+     */
+    var processNotifications = function(data) {
+        var activities = _.reject(data.items, oae.api.notification.isMuted);
+        _.each(activities, function(activity) {
+            notifications[activity['oae:activityId']] = activity;
+        });
+
+        var filters = getFilters();
+        var sanitization = oae.api.util.security();
+        var adaptedItems = ActivityAdapter.adapt(oae.data.me.id, oae.data.me, activities, sanitization);
+        return {
+            'results': _.filter(adaptedItems, function(activity) {
+                return matchesFilters(activity, filters);
+            }),
+            'displayOptions': {
+                'additionalClasses': 'col-xs-6 col-sm-3 col-md-3 col-lg-2'
+            }
+        };
+    };
+
+    /**
+     * Flag the notifications in the list that are unread. Notifications that no longer match the read state filter
+     * are removed from the list, which will show the no results message when no notifications are left
+     */
+    var flagUnread = function() {
+        var filters = getFilters();
+        var removedIds = [];
+        $('#notifications-list > li[data-id]').each(function() {
+            var $notification = $(this);
+            var notification = notifications[$notification.attr('data-id')];
+            if (notification) {
+                var isUnread = oae.api.notification.isUnread(notification);
+                $notification.toggleClass('notifications-unread', isUnread);
+                $notification.find('.well').toggleClass('alert-info', isUnread);
+                if (filters.state && isUnread !== (filters.state === STATE_UNREAD)) {
+                    removedIds.push($notification.attr('data-id'));
+                }
+            }
+        });
+
+        if (infinityScroll && !_.isEmpty(removedIds)) {
+            infinityScroll.removeItems(removedIds);
+        }
+    };
+
+    /**
+     * Mark the selected notifications as read or unread
+     *
+     * @param  {Boolean}    unread      Whether the selected notifications should be marked as unread
+     */
+    var markSelected = function(unread) {
+        $('#notifications-list > li[data-id] input.notifications-select:checked').each(function() {
+            var notification = notifications[$(this).attr('data-id')];
+            if (notification) {
+                oae.api.notification.setUnread(notification, unread);
+            }
+            $(this).prop('checked', false);
+        });
+
+        $(document).trigger('oae.list.deselectall');
+        flagUnread();
+    };
+
+    /**
+     * Mark all of the current user's notifications as read
+     */
+    var markAllAsRead = function() {
+        oae.api.notification.markAllAsRead(function(err) {
+            if (err) {
+                return oae.api.util.notification(
+                    oae.api.i18n.translate('__MSG__NOTIFICATIONS_NOT_UPDATED__'),
+                    oae.api.i18n.translate('__MSG__NOTIFICATIONS_COULD_NOT_BE_MARKED_AS_READ__'),
+                    'error'
+                );
+            }
+
+            oae.api.push.resetAggregation(oae.data.me.id, 'notification');
+            oae.api.notification.resetUnreadCount();
+            flagUnread();
+        });
+    };
+
+    /**
+     * Get the activity type filters that can be applied to the notifications. Notifications can be filtered by the
+     * kind of their activity type (e.g. comments) or by the category of their activity type (e.g. content)
+     *
+     * @return {Object[]}           The activity type filters. Every filter has an `id` and a `displayName` property
+     */
+    var getTypeFilterOptions = function() {
+        return _.map(ActivityAdapter.getActivityTypeFilters(), function(typeFilter) {
+            return {
+                'id': typeFilter.id,
+                'displayName': typeFilter.i18nKey ? oae.api.i18n.translate(typeFilter.i18nKey) : typeFilter.id
+            };
+        });
+    };
+
+    /**
+     * Render the filters that can be applied to the notifications
+     */
+    var renderFilters = function() {
+        oae.api.util.template().render($('#notifications-filter-template'), {
+            'filters': getFilters(),
+            'types': getTypeFilterOptions()
+        }, $('#notifications-filter'));
+    };
+
+    /**
+     * Initialize a new infinite scroll container that lists the current user's notifications, taking the
+     * filters in the current state into account
+     */
+    var renderNotifications = function() {
+        // Disable the previous infinite scroll
+        if (infinityScroll) {
+            infinityScroll.kill();
+        }
+
+        var filters = getFilters();
+        var title = ['__MSG__NOTIFICATIONS__'];
+        if (filters.q) {
+            title.push(filters.q);
+        }
+        oae.api.util.setBrowserTitle(title);
+
+        renderFilters();
+        $('#notifications-load-more').addClass('hide');
+
+        // Set up the infinite scroll for the list of notifications. The filters are applied to the retrieved
+        // notifications, so loading stops after a number of pages without matching notifications to avoid
+        // paging through all of the current user's notifications
+        infinityScroll = $('#notifications-list').infiniteScroll('/api/notifications', {
+            'limit': 12
+        }, '#notifications-template', {
+            'postProcessor': processNotifications,
+            'postRenderer': flagUnread,
+            'maxEmptyPages': MAX_EMPTY_PAGES,
+            'pausedProcessor': function() {
+                $('#notifications-load-more').removeClass('hide');
+            },
+            'emptyListProcessor': function() {
+                oae.api.util.template().render($('#notifications-noresults-template'), {
+                    'filtered': !!(filters.q || filters.type || filters.state)
+                }, $('#notifications-list'));
+            }
+        });
+    };
+
+    /**
+     * Apply the filters that have been selected in the filter form by pushing a new state. This will cause
+     * the notifications to be re-rendered
+     *
+     * @return {Boolean}        Returns `false` to avoid the default form submit behavior
+     */
+    var modifyFilters = function() {
+        var params = {};
+        $('#notifications-filter [data-filter]').each(function() {
+            var value = $.trim($(this).val());
+            if (value) {
+                params[$(this).attr('data-filter')] = value;
+            }
+        });
+
+        var path = oae.api.util.url(History.getState().cleanUrl).attr('path');
+        if (!_.isEmpty(params)) {
+            path += '?' + $.param(params);
+        }
+        History.pushState({}, null, path);
+
+        return false;
+    };
+
+    /**
+     * Subscribe to notification push notifications, allowing for new notifications to be added to the
+     * list straight away
+     */
+    var setUpPushNotifications = function() {
+        oae.api.push.subscribe(oae.data.me.id, 'notification', oae.data.me.signature, 'activitystreams', true, true, function(activities) {
+            if (infinityScroll) {
+                infinityScroll.prependItems({'items': activities});
+                flagUnread();
+            }
+        });
+    };
+
+    /**
+     * Render the list header, which contains the actions that can be applied to the selected notifications
+     */
+    var setUpListHeader = function() {
+        oae.api.util.template().render($('#notifications-list-header-template'), {
+            'actions': [
+                {
+                    'icon': 'fa-circle-o',
+                    'label': oae.api.i18n.translate('__MSG__MARK_AS_READ__'),
+                    'trigger': 'notifications-mark-selected-read'
+                },
+                {
+                    'icon': 'fa-circle',
+                    'label': oae.api.i18n.translate('__MSG__MARK_AS_UNREAD__'),
+                    'trigger': 'notifications-mark-selected-unread'
+                }
+            ]
+        }, $('#notifications-list-header'));
+    };
+
+    /**
+     * Add the different event bindings
+     */
+    var addBinding = function() {
+        // Re-apply the filters when a filter changes or when the filter form is submitted
+        $(document).on('submit', '#notifications-filter-form', modifyFilters);
+        $(document).on('change', '#notifications-filter select[data-filter]', modifyFilters);
+
+        // Bulk actions
+        $(document).on('click', '.notifications-mark-selected-read', function() {
+            markSelected(false);
+        });
+        $(document).on('click', '.notifications-mark-selected-unread', function() {
+            markSelected(true);
+        });
+        $(document).on('click', '.notifications-mark-all-read', markAllAsRead);
+
+        // Search older notifications when no matching notifications were found in the most recent ones
+        $(document).on('click', '#notifications-load-more button', function() {
+            $('#notifications-load-more').addClass('hide');
+            infinityScroll.loadMore();
+        });
+
+        // Listen to History.js state changes
+        $(window).on('statechange', renderNotifications);
+    };
+
+    // Notifications are only available to authenticated users
+    if (oae.data.me.anon) {
+        return oae.api.util.redirect().login();
+    }
+
+    setUpListHeader();
+    addBinding();
+    setUpPushNotifications();
+    renderNotifications();
+});
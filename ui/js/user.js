@@ -38,10 +38,8 @@ require(['jquery', 'oae.core'], function($, oae) {
      */
     var getUserProfile = function() {
         oae.api.user.getUser(userId, function(err, profile) {
-            if (err && err.code === 404) {
-                oae.api.util.redirect().notfound();
-            } else if (err && err.code === 401) {
-                oae.api.util.redirect().accessdenied();
+            if (err) {
+                return oae.api.util.redirect().fromError(err);
             }
 
             // Cache the user profile data
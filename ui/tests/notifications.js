@@ -0,0 +1,153 @@
+/*!
+ * Copyright 2017 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+casper.test.begin('Page - Notifications', function(test) {
+
+    /**
+     * Open the notifications page with the provided filters applied and wait for the list of notifications to render
+     *
+     * @param  {String}     [query]     The query string containing the filters to apply (e.g. `type=discussion`)
+     */
+    var openNotificationsPage = function(query) {
+        casper.thenOpen(configUtil.tenantUI + '/notifications' + (query ? '?' + query : ''), function() {
+            casper.waitForSelector('#notifications-list > li');
+        });
+    };
+
+    /**
+     * Verify the number of notifications that are shown in the list
+     *
+     * @param  {Number}     count       The expected number of notifications
+     * @param  {String}     message     The assertion message
+     */
+    var verifyNotificationCount = function(count, message) {
+        test.assertEvalEquals(function() {
+            return $('#notifications-list > li[data-id]').length;
+        }, count, message);
+    };
+
+    /**
+     * Verify that all notifications are shown when no filters are applied
+     */
+    var verifyUnfiltered = function() {
+        openNotificationsPage();
+        casper.then(function() {
+            verifyNotificationCount(2, 'Both notifications are shown when no filters are applied');
+            test.assertDoesntExist('#notifications-list > li.alert', 'The no results message is not shown when notifications are available');
+        });
+    };
+
+    /**
+     * Verify that the notifications can be filtered by the category of their activity type
+     */
+    var verifyTypeFilter = function() {
+        openNotificationsPage('type=discussion');
+        casper.then(function() {
+            verifyNotificationCount(1, 'Only the discussion notification is shown when filtering by discussions');
+            test.assertEvalEquals(function() {
+                return $('#notifications-filter select[data-filter="type"]').val();
+            }, 'discussion', 'The type filter reflects the applied filter');
+        });
+
+        openNotificationsPage('type=folder');
+        casper.then(function() {
+            verifyNotificationCount(0, 'No notifications are shown when filtering by a type without notifications');
+            test.assertSelectorHasText('#notifications-list > li.alert', 'No notifications match the selected filters', 'The no matching notifications message is shown');
+        });
+    };
+
+    /**
+     * Verify that the notifications can be filtered by a keyword
+     *
+     * @param  {Discussion}     discussionProfile   The discussion for which a notification was sent
+     */
+    var verifyKeywordFilter = function(discussionProfile) {
+        openNotificationsPage('q=' + encodeURIComponent(discussionProfile.displayName));
+        casper.then(function() {
+            verifyNotificationCount(1, 'Only the notification that matches the keyword is shown');
+            test.assertSelectorHasText('#notifications-list > li[data-id]', discussionProfile.displayName, 'The matching notification mentions the keyword');
+        });
+    };
+
+    /**
+     * Verify that the notifications can be filtered by their read state and that notifications that no longer
+     * match the read state filter are removed when they are marked as read
+     */
+    var verifyStateFilter = function() {
+        openNotificationsPage('state=unread');
+        casper.then(function() {
+            verifyNotificationCount(2, 'Both notifications are shown when filtering by unread notifications');
+            test.assertExists('.notifications-mark-all-read', 'The \'Mark all as read\' button is present');
+            casper.click('.notifications-mark-all-read');
+            casper.waitForSelector('#notifications-list > li.alert', function() {
+                verifyNotificationCount(0, 'The notifications are removed from the unread notifications after marking all as read');
+                test.assertSelectorHasText('#notifications-list > li.alert', 'No notifications match the selected filters', 'The no matching notifications message is shown after marking all as read');
+            });
+        });
+
+        openNotificationsPage('state=read');
+        casper.then(function() {
+            verifyNotificationCount(2, 'Both notifications are shown when filtering by read notifications');
+        });
+    };
+
+    casper.start(configUtil.tenantUI, function() {
+        // Create a couple of users to test with
+        userUtil.createUsers(2, function(user1, user2) {
+            // Log in with the first user and send notifications to the second user
+            userUtil.doLogIn(user1.username, user1.password);
+
+            contentUtil.createFile(null, null, null, null, null, [user2.id], function(err, contentProfile) {
+                discussionUtil.createDiscussion(null, null, null, null, [user2.id], function(err, discussionProfile) {
+                    userUtil.doLogOut();
+
+                    // Wait to make sure the notifications have been processed in the backend
+                    casper.then(function() {
+                        casper.wait(configUtil.searchWaitTime, function() {
+                            userUtil.doLogIn(user2.username, user2.password);
+                        });
+                    });
+
+                    casper.then(function() {
+                        casper.echo('# Verify the notifications page without filters', 'INFO');
+                        verifyUnfiltered();
+                    });
+
+                    casper.then(function() {
+                        casper.echo('# Verify filtering notifications by type', 'INFO');
+                        verifyTypeFilter();
+                    });
+
+                    casper.then(function() {
+                        casper.echo('# Verify filtering notifications by keyword', 'INFO');
+                        verifyKeywordFilter(discussionProfile);
+                    });
+
+                    casper.then(function() {
+                        casper.echo('# Verify filtering notifications by read state', 'INFO');
+                        verifyStateFilter();
+                    });
+
+                    // Log out at the end of the test
+                    userUtil.doLogOut();
+                });
+            });
+        });
+    });
+
+    casper.run(function() {
+        test.done();
+    });
+});